@@ -0,0 +1,96 @@
+// mock/leadEndpoint.js
+// Dev/preview-only stand-in for the lead backend, mounted by vite.config.js at
+// /api/leads. Leads are kept in memory and echoed to the terminal.
+//
+//   POST /api/leads   → 201 { ok, leadId, receivedAt }  (same leadId twice → 200, no duplicate)
+//   GET  /api/leads   → 200 [ ...leads received since the server started ]
+//
+// Set MOCK_LEAD_FAIL_RATE=0.5 to make half the POSTs answer 503 and exercise
+// the client's retry / offline queue.
+
+const leads = new Map();
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(data));
+}
+
+function validateLead(lead) {
+  if (!lead || typeof lead !== "object") return "Body must be a JSON object";
+  if (lead.version !== 1) return `Unsupported payload version ${lead.version}`;
+  if (!lead.leadId) return "leadId is required";
+  if (!lead.contact?.name || !lead.contact?.phone)
+    return "contact.name and contact.phone are required";
+  return null;
+}
+
+async function handleLeads(req, res) {
+  if (req.method === "GET") {
+    sendJson(res, 200, [...leads.values()]);
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+
+  const failRate = Number(process.env.MOCK_LEAD_FAIL_RATE) || 0;
+  if (Math.random() < failRate) {
+    sendJson(res, 503, { ok: false, error: "Mock outage (MOCK_LEAD_FAIL_RATE)" });
+    return;
+  }
+
+  let lead;
+  try {
+    lead = JSON.parse(await readBody(req));
+  } catch (err) {
+    sendJson(res, 400, { ok: false, error: "Invalid JSON" });
+    return;
+  }
+
+  const problem = validateLead(lead);
+  if (problem) {
+    sendJson(res, 422, { ok: false, error: problem });
+    return;
+  }
+
+  const existing = leads.get(lead.leadId);
+  if (existing) {
+    sendJson(res, 200, { ok: true, leadId: lead.leadId, receivedAt: existing.receivedAt });
+    return;
+  }
+
+  const receivedAt = new Date().toISOString();
+  leads.set(lead.leadId, { ...lead, receivedAt });
+  console.log(
+    `[mock-leads] ${lead.leadId} from ${lead.contact.name} (${lead.contact.preferredContact}), ` +
+      `total ${lead.breakdown?.grandTotal ?? "?"}`
+  );
+  sendJson(res, 201, { ok: true, leadId: lead.leadId, receivedAt });
+}
+
+export default function mockLeadEndpoint({ path = "/api/leads" } = {}) {
+  const mount = (server) => {
+    server.middlewares.use(path, (req, res, next) => {
+      handleLeads(req, res).catch(next);
+    });
+  };
+
+  return {
+    name: "mock-lead-endpoint",
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+}
@@ -1,5 +1,111 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { estimateCabLeg } from "./cabPricing";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { formatVehicleMix, getPartyLuggage } from "./cabPricing";
+import { generateCabPlan } from "./cabPlanner";
+import CabLegPicker from "./components/CabLegPicker";
+import { getHotelBaseRate } from "./hotelPricing";
+import {
+  getDefaultFerrySelection,
+  listFerryOptions,
+  priceFerrySector,
+} from "./ferryPricing";
+import { planIslandCircuit } from "./ferryRouting";
+import {
+  addDays,
+  checkSeasonWindow,
+  findBestMonths,
+  formatMonths,
+} from "./seasons";
+import { getLocationIslandId } from "./locationUtils";
+import {
+  applyItineraryOverrides,
+  buildItinerary,
+  collectItineraryItems,
+  moveItineraryItem,
+} from "./itinerary";
+import { loadPlannerData } from "./dataLoader";
+import HotelNightBreakdown from "./components/HotelNightBreakdown";
+import DataDiagnostics from "./components/DataDiagnostics";
+import {
+  decodeTripHash,
+  deleteSavedTrip,
+  deserializeTrip,
+  encodeTripHash,
+  listSavedTrips,
+  loadAutosave,
+  loadTripVariants,
+  migrateTripState,
+  saveAutosave,
+  saveNamedTrip,
+  saveTripVariants,
+} from "./tripState";
+import FerryCircuit from "./components/FerryCircuit";
+import IslandMap from "./components/IslandMap";
+import ItineraryView from "./components/ItineraryView";
+import SavedTripsPanel from "./components/SavedTripsPanel";
+import { buildTripBreakdown } from "./tripBreakdown";
+import {
+  getAdventureLines,
+  getIslandOrder,
+  getNightsBetween,
+  getTripNights,
+  getTripTotals,
+  priceAdventures,
+  priceCabSelections,
+  priceFerrySelections,
+  priceHotelSelections,
+  priceRentalSelections,
+} from "./tripPricing";
+import {
+  breakdownToCSV,
+  breakdownToJSON,
+  downloadTextFile,
+  printQuote,
+  quoteFileName,
+  renderQuoteHtml,
+} from "./quoteExport";
+import {
+  buildLeadPayload,
+  flushLeadQueue,
+  getQueuedLeadCount,
+  submitLead,
+} from "./leadCapture";
+import LeadForm from "./components/LeadForm";
+import MobileSummaryBar from "./components/MobileSummaryBar";
+import MobileSummaryDrawer from "./components/MobileSummaryDrawer";
+import { getDefaultRentalKm, listRentalModels } from "./rentalPricing";
+import RentalPlanner from "./components/RentalPlanner";
+import { checkChildAges } from "./adventurePricing";
+import AdventureParticipants from "./components/AdventureParticipants";
+import { buildPackagePreset, listPackagePresets } from "./packagePresets";
+import PackagePresets from "./components/PackagePresets";
+import { buildVariantComparison } from "./variantComparison";
+import TripVariants from "./components/TripVariants";
+import {
+  getBudgetStatus,
+  getBudgetTotal,
+  suggestBudgetSwaps,
+} from "./budgetPlanner";
+import BudgetPanel from "./components/BudgetPanel";
+import {
+  convertBreakdown,
+  convertFromBase,
+  convertToBase,
+  createPriceFormatter,
+  describeExchangeRate,
+  getDisplayCurrency,
+  listCurrencies,
+} from "./currency";
+import {
+  buildPermitChecklist,
+  getLocationFees,
+  needsArrangement,
+} from "./permits";
+import PermitChecklist from "./components/PermitChecklist";
+import {
+  checkTripFeasibility,
+  getHotelNightsByIsland,
+} from "./feasibility";
+import TripFeasibility from "./components/TripFeasibility";
 
 /* -----------------------------
    Helpers
@@ -7,30 +113,31 @@ import { estimateCabLeg } from "./cabPricing";
 const safeNum = (n) =>
   typeof n === "number" && Number.isFinite(n) ? n : 0;
 
-const formatINR = (value) =>
-  new Intl.NumberFormat("en-IN", {
-    style: "currency",
-    currency: "INR",
-    maximumFractionDigits: 0,
-  }).format(safeNum(value));
-
-async function fetchJson(path) {
-  const res = await fetch(path);
-  if (!res.ok) {
-    throw new Error(`Failed to load ${path} (${res.status})`);
-  }
-  return res.json();
-}
-
-function computeNights(startDate, endDate) {
-  if (!startDate || !endDate) return 0;
-  const s = new Date(startDate);
-  const e = new Date(endDate);
-  if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime())) return 0;
-  const diffMs = e.getTime() - s.getTime();
-  const diffDays = diffMs / (1000 * 60 * 60 * 24);
-  return diffDays > 0 ? Math.round(diffDays) : 0;
-}
+// Starting selections; also used to fill gaps when restoring a saved trip
+const INITIAL_TRIP = {
+  startDate: "",
+  endDate: "",
+  nightsOverride: "",
+  adults: 2,
+  children: 0,
+  childAges: [],
+  luggageBags: "",
+  selectedMood: "any",
+  selectedIslands: ["PB", "HL", "NL"],
+  selectedLocationIds: [],
+  selectedAdventureIds: {},
+  adventureOptions: {},
+  selectedFerryRouteIds: [],
+  ferrySelections: {},
+  ferryOptimize: "duration",
+  selectedCabLegs: [],
+  selectedHotelsByIsland: {},
+  selectedRentals: [],
+  itineraryOverrides: {},
+  budgetTarget: "",
+  budgetMode: "total",
+  displayCurrency: "",
+};
 
 /* -----------------------------
    Main App
@@ -51,32 +158,89 @@ function App() {
     serviceFee: 0,
   });
 
+  const [exchangeRates, setExchangeRates] = useState({ currencies: {} });
+  const [dataMeta, setDataMeta] = useState({});
+  const [dataDiagnostics, setDataDiagnostics] = useState([]);
+
   const [loading, setLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
 
   // ---------- TRIP BASICS ----------
-  const [startDate, setStartDate] = useState("");
-  const [endDate, setEndDate] = useState("");
-  const [nightsOverride, setNightsOverride] = useState("");
-  const [adults, setAdults] = useState(2);
-  const [children, setChildren] = useState(0);
+  const [startDate, setStartDate] = useState(INITIAL_TRIP.startDate);
+  const [endDate, setEndDate] = useState(INITIAL_TRIP.endDate);
+  const [nightsOverride, setNightsOverride] = useState(
+    INITIAL_TRIP.nightsOverride
+  );
+  const [adults, setAdults] = useState(INITIAL_TRIP.adults);
+  const [children, setChildren] = useState(INITIAL_TRIP.children);
+  // One age per child (null = not given), used for activity age limits
+  const [childAges, setChildAges] = useState(INITIAL_TRIP.childAges);
+  // Large bags for cab sizing ("" = cabDefaults.bagsPerTraveller each)
+  const [luggageBags, setLuggageBags] = useState(INITIAL_TRIP.luggageBags);
+  // Budget to plan against, for the whole trip or per person ("perPerson")
+  const [budgetTarget, setBudgetTarget] = useState(INITIAL_TRIP.budgetTarget);
+  const [budgetMode, setBudgetMode] = useState(INITIAL_TRIP.budgetMode);
+  // "" = pricing_config general.currency
+  const [displayCurrency, setDisplayCurrency] = useState(
+    INITIAL_TRIP.displayCurrency
+  );
+
+  // ---------- LEAD CAPTURE ----------
+  const [showLeadForm, setShowLeadForm] = useState(false);
+  const [showMobileSummary, setShowMobileSummary] = useState(false);
+  const [queuedLeadCount, setQueuedLeadCount] = useState(getQueuedLeadCount);
 
   // ---------- STEP STATE ----------
-  // 1 = Basics, 2 = Locations, 3 = Cabs & Ferries, 4 = Hotels
+  // 1 = Basics, 2 = Locations, 3 = Ferries/Cabs/Rentals, 4 = Hotels, 5 = Itinerary
   const [activeStep, setActiveStep] = useState(1);
 
   // ---------- SELECTIONS ----------
-  const [selectedMood, setSelectedMood] = useState("any");
-  const [selectedIslands, setSelectedIslands] = useState(["PB", "HL", "NL"]);
-  const [selectedLocationIds, setSelectedLocationIds] = useState([]);
+  const [selectedMood, setSelectedMood] = useState(INITIAL_TRIP.selectedMood);
+  const [hideOffSeason, setHideOffSeason] = useState(false);
+  const [selectedIslands, setSelectedIslands] = useState(
+    INITIAL_TRIP.selectedIslands
+  );
+  const [selectedLocationIds, setSelectedLocationIds] = useState(
+    INITIAL_TRIP.selectedLocationIds
+  );
 
-  const [selectedAdventureIds, setSelectedAdventureIds] = useState({});
+  const [selectedAdventureIds, setSelectedAdventureIds] = useState(
+    INITIAL_TRIP.selectedAdventureIds
+  );
+  // advId -> { participants: { adults, children }, units }
+  const [adventureOptions, setAdventureOptions] = useState(
+    INITIAL_TRIP.adventureOptions
+  );
 
-  const [selectedFerryRouteIds, setSelectedFerryRouteIds] = useState([]);
+  const [selectedFerryRouteIds, setSelectedFerryRouteIds] = useState(
+    INITIAL_TRIP.selectedFerryRouteIds
+  );
+  // routeId -> { operator, classId, departure }
+  const [ferrySelections, setFerrySelections] = useState(
+    INITIAL_TRIP.ferrySelections
+  );
+  // "duration" = fastest circuit, "fare" = cheapest circuit
+  const [ferryOptimize, setFerryOptimize] = useState(
+    INITIAL_TRIP.ferryOptimize
+  );
 
-  const [selectedCabLegs, setSelectedCabLegsState] = useState([]);
+  const [selectedCabLegs, setSelectedCabLegsState] = useState(
+    INITIAL_TRIP.selectedCabLegs
+  );
 
-  const [selectedHotelsByIsland, setSelectedHotelsByIsland] = useState({});
+  const [selectedHotelsByIsland, setSelectedHotelsByIsland] = useState(
+    INITIAL_TRIP.selectedHotelsByIsland
+  );
+
+  // [{ id, islandId, kind, model, plan, days, vehicles, kmPerDay }]
+  const [selectedRentals, setSelectedRentals] = useState(
+    INITIAL_TRIP.selectedRentals
+  );
+
+  // dayIndex -> ordered item keys, set by drag-to-reorder in the Itinerary step
+  const [itineraryOverrides, setItineraryOverrides] = useState(
+    INITIAL_TRIP.itineraryOverrides
+  );
 
   /* -----------------------------
      LOAD PUBLIC DATA
@@ -86,50 +250,29 @@ function App() {
 
     async function loadAll() {
       try {
-        const base = "/data";
-
-        const [
-          islandsData,
-          locationsData,
-          adventuresData,
-          ferryRoutesData,
-          cabLegsData,
-          scootersData,
-          bicyclesData,
-          pricingConfigData,
-          hotelPricesData,
-        ] = await Promise.all([
-          fetchJson(`${base}/islands.json`),
-          fetchJson(`${base}/locations.json`),
-          fetchJson(`${base}/adventure_prices.json`),
-          fetchJson(`${base}/ferry_routes.json`),
-          fetchJson(`${base}/cab_legs.json`),
-          fetchJson(`${base}/scooter_prices.json`),
-          fetchJson(`${base}/bicycle_prices.json`),
-          fetchJson(`${base}/pricing_config.json`).catch(() => ({
-            currency: "INR",
-            taxPercent: 0,
-            serviceFee: 0,
-          })),
-          fetchJson(`${base}/hotel_prices.json`).catch(() => []),
-        ]);
+        const { data, diagnostics } = await loadPlannerData("/data");
 
         if (cancelled) return;
 
-        setIslands(islandsData);
-        setLocations(locationsData);
-        setAdventures(adventuresData);
-        setFerryRoutes(ferryRoutesData);
-        setCabLegs(cabLegsData);
-        setScooters(scootersData);
-        setBicycles(bicyclesData);
-        setPricingConfig(
-          pricingConfigData || { currency: "INR", taxPercent: 0, serviceFee: 0 }
-        );
-        setHotels(hotelPricesData);
+        setIslands(data.islands);
+        setLocations(data.locations);
+        setAdventures(data.adventures);
+        setFerryRoutes(data.ferryRoutes);
+        setCabLegs(data.cabLegs);
+        setScooters(data.scooters);
+        setBicycles(data.bicycles);
+        setPricingConfig(data.pricingConfig);
+        setHotels(data.hotels);
+        setExchangeRates(data.exchangeRates);
+        setDataMeta(data.meta);
+        setDataDiagnostics(diagnostics);
 
         setLoading(false);
-        setLoadError(null);
+        setLoadError(
+          diagnostics.every((d) => d.status === "error")
+            ? "None of the data files could be loaded"
+            : null
+        );
       } catch (err) {
         console.error(err);
         if (cancelled) return;
@@ -145,6 +288,21 @@ function App() {
     };
   }, []);
 
+  /* -----------------------------
+     DISPLAY CURRENCY
+  ------------------------------ */
+  // Prices stay in INR everywhere; only display and exports are converted
+  const currency = useMemo(
+    () => getDisplayCurrency(displayCurrency, exchangeRates, pricingConfig),
+    [displayCurrency, exchangeRates, pricingConfig]
+  );
+  const formatPrice = useMemo(() => createPriceFormatter(currency), [currency]);
+  const currencyOptions = useMemo(
+    () => listCurrencies(exchangeRates),
+    [exchangeRates]
+  );
+  const exchangeRateNote = describeExchangeRate(currency);
+
   /* -----------------------------
      DERIVED VALUES
   ------------------------------ */
@@ -154,16 +312,15 @@ function App() {
   );
 
   const nightsFromDates = useMemo(
-    () => computeNights(startDate, endDate),
+    () => getNightsBetween(startDate, endDate),
     [startDate, endDate]
   );
 
-  const totalNights = useMemo(() => {
-    const overrideVal = parseInt(nightsOverride, 10);
-    if (!Number.isNaN(overrideVal) && overrideVal > 0) return overrideVal;
-    if (nightsFromDates > 0) return nightsFromDates;
-    return 4; // default if user skips dates
-  }, [nightsOverride, nightsFromDates]);
+  // Falls back to 4 nights when the user skips dates
+  const totalNights = useMemo(
+    () => getTripNights({ startDate, endDate, nightsOverride }),
+    [startDate, endDate, nightsOverride]
+  );
 
   const islandById = useMemo(() => {
     const map = {};
@@ -182,11 +339,36 @@ function App() {
     { id: "nature", label: "Nature" },
   ];
 
+  // Season fit per location (bestTime) and adventure (season) for the dates;
+  // without an end date the trip runs totalNights from the start
+  const seasonChecks = useMemo(() => {
+    const tripEnd =
+      endDate || (startDate ? addDays(startDate, totalNights) : "");
+    const byId = (list, field) =>
+      Object.fromEntries(
+        list.map((item) => [
+          item.id,
+          checkSeasonWindow(item[field], startDate, tripEnd),
+        ])
+      );
+    return {
+      locations: byId(locations, "bestTime"),
+      adventures: byId(adventures, "season"),
+    };
+  }, [locations, adventures, startDate, endDate, totalNights]);
+
+  // Selected items always stay visible so they can still be removed
+  const isHiddenOffSeason = (check, selected) =>
+    hideOffSeason && !selected && check?.status === "out";
+
   const visibleLocations = useMemo(() => {
     if (!locations.length) return [];
     return locations.filter((loc) => {
-      const islandObj = islands.find((i) => loc.island?.includes(i.name));
-      const islandIdGuess = islandObj?.id;
+      const islandIdGuess = getLocationIslandId(loc, islands);
+      const check = seasonChecks.locations[loc.id];
+      if (isHiddenOffSeason(check, selectedLocationIds.includes(loc.id))) {
+        return false;
+      }
 
       if (selectedIslands.length && islandIdGuess) {
         if (!selectedIslands.includes(islandIdGuess)) return false;
@@ -196,7 +378,28 @@ function App() {
       if (!loc.moods || !Array.isArray(loc.moods)) return false;
       return loc.moods.includes(selectedMood);
     });
-  }, [locations, islands, selectedIslands, selectedMood]);
+  }, [
+    locations,
+    islands,
+    selectedIslands,
+    selectedMood,
+    hideOffSeason,
+    selectedLocationIds,
+    seasonChecks,
+  ]);
+
+  // Map pins: what the list shows, plus picks hidden by the current filters
+  const mapPins = useMemo(
+    () => [
+      ...visibleLocations,
+      ...locations.filter(
+        (loc) =>
+          selectedLocationIds.includes(loc.id) &&
+          !visibleLocations.includes(loc)
+      ),
+    ],
+    [visibleLocations, locations, selectedLocationIds]
+  );
 
   const adventuresByIsland = useMemo(() => {
     const map = {};
@@ -209,42 +412,51 @@ function App() {
     return map;
   }, [adventures]);
 
+  // "Best months for this plan" from the picked places and activities
+  const bestMonths = useMemo(() => {
+    const seasons = [
+      ...locations
+        .filter((loc) => selectedLocationIds.includes(loc.id))
+        .map((loc) => loc.bestTime),
+      ...adventures
+        .filter((adv) => selectedAdventureIds[adv.id])
+        .map((adv) => adv.season),
+    ];
+    return findBestMonths(seasons);
+  }, [locations, adventures, selectedLocationIds, selectedAdventureIds]);
+
+  const offSeasonPicks = [
+    ...selectedLocationIds.filter(
+      (id) => seasonChecks.locations[id]?.status === "out"
+    ),
+    ...Object.keys(selectedAdventureIds).filter(
+      (id) =>
+        selectedAdventureIds[id] &&
+        seasonChecks.adventures[id]?.status === "out"
+    ),
+  ].length;
+
   /* -----------------------------
      FERRY LOGIC
   ------------------------------ */
-  function computeRouteIds(islandOrder, routes) {
-    const ids = [];
-    for (let i = 0; i < islandOrder.length - 1; i += 1) {
-      const fromId = islandOrder[i];
-      const toId = islandOrder[i + 1];
-
-      const r =
-        routes.find(
-          (route) =>
-            route.originId === fromId && route.destinationId === toId
-        ) ||
-        routes.find(
-          (route) =>
-            route.originId === toId && route.destinationId === fromId
-        );
-
-      if (r) ids.push(r.id);
-    }
-    return ids;
-  }
-
-  const suggestedFerryRouteIds = useMemo(() => {
-    if (!ferryRoutes.length || !selectedIslands.length) return [];
-    const order = [...selectedIslands];
+  const ferryPlan = useMemo(
+    () =>
+      planIslandCircuit(selectedIslands, ferryRoutes, {
+        islands,
+        pricingConfig,
+        optimize: ferryOptimize,
+      }),
+    [selectedIslands, ferryRoutes, islands, pricingConfig, ferryOptimize]
+  );
 
-    if (order.includes("PB") && order[0] !== "PB") {
-      const filtered = order.filter((id) => id !== "PB");
-      filtered.unshift("PB");
-      return computeRouteIds(filtered, ferryRoutes);
-    }
+  const suggestedFerryRouteIds = ferryPlan.routeIds;
 
-    return computeRouteIds(order, ferryRoutes);
-  }, [ferryRoutes, selectedIslands]);
+  // Stay order: circuit order (minus the return to the gateway), then islands
+  // the ferry network cannot reach, in the order they were picked
+  const plannedIslandOrder = useMemo(
+    () => getIslandOrder(selectedIslands, ferryPlan),
+    [ferryPlan, selectedIslands]
+  );
 
   function handleUseSuggestedFerries() {
     setSelectedFerryRouteIds(suggestedFerryRouteIds);
@@ -258,28 +470,46 @@ function App() {
     );
   }
 
-  function getFerryMinFarePerPerson(route) {
-    if (!route || !route.operators) return 0;
-    const avail = route.operators.filter(
-      (op) => op.sampleFareINR != null && op.sampleFareINR > 0
-    );
-    if (!avail.length) return 0;
-    return Math.min(...avail.map((op) => safeNum(op.sampleFareINR)));
+  function updateFerrySelection(route, patch) {
+    setFerrySelections((prev) => {
+      const current =
+        prev[route.id] || getDefaultFerrySelection(route, pricingConfig) || {};
+      const next = { ...current, ...patch };
+      // Switching operator resets class/departure to what that operator offers
+      if (patch.operator && patch.operator !== current.operator) {
+        const first = listFerryOptions(route, pricingConfig).find(
+          (o) => o.operator === patch.operator
+        );
+        next.classId = first?.classId || "";
+        next.departure = first?.departures[0] || "";
+      }
+      return { ...prev, [route.id]: next };
+    });
   }
 
-  const ferryTotal = useMemo(() => {
-    if (!selectedFerryRouteIds.length) return 0;
-    let total = 0;
-
-    selectedFerryRouteIds.forEach((id) => {
-      const r = ferryRoutes.find((fr) => fr.id === id);
-      if (!r) return;
-      const perPerson = getFerryMinFarePerPerson(r);
-      total += perPerson * travellerCount;
-    });
+  const ferrySectorQuotes = useMemo(
+    () =>
+      priceFerrySelections(
+        {
+          routeIds: selectedFerryRouteIds,
+          ferryRoutes,
+          ferrySelections,
+          travellers: travellerCount,
+        },
+        pricingConfig
+      ),
+    [
+      selectedFerryRouteIds,
+      ferryRoutes,
+      ferrySelections,
+      pricingConfig,
+      travellerCount,
+    ]
+  );
 
-    return total;
-  }, [selectedFerryRouteIds, ferryRoutes, travellerCount]);
+  const ferryFareTBDCount = Object.values(ferrySectorQuotes).filter(
+    (q) => q.fareTBD
+  ).length;
 
   /* -----------------------------
      CAB LOGIC
@@ -293,11 +523,25 @@ function App() {
     return map;
   }, [cabLegs]);
 
-  function addCabLeg(legId, timeOfDay = "day") {
-    if (!legId) return;
+  // pickupTime ("HH:MM") lets cabPricing pick day/night fares itself; timeOfDay
+  // is the manual fallback when no pickup time is given. date only says when
+  // the pickup is on the quote and does not change the fare.
+  // vehicleMode "auto" books the cheapest vehicle mix for the party, "fixed"
+  // only vehicles of the leg's own class. Leg ids repeat across service
+  // classes, so serviceClass is kept alongside legId.
+  function addCabLeg(leg, vehicleMode = "auto", timeOfDay = "day") {
+    if (!leg) return;
     setSelectedCabLegsState((prev) => [
       ...prev,
-      { legId, timeOfDay, count: 1 },
+      {
+        legId: leg.id,
+        serviceClass: leg.serviceClass || "STANDARD",
+        timeOfDay,
+        vehicleMode,
+        count: 1,
+        date: startDate || "",
+        pickupTime: "",
+      },
     ]);
   }
 
@@ -315,29 +559,57 @@ function App() {
     );
   }
 
-  function updateCabLegTimeOfDay(index, timeOfDay) {
+  // Skipped legs from the last auto-plan run, shown under the cab block
+  const [cabPlanSkipped, setCabPlanSkipped] = useState([]);
+
+  // Replaces earlier auto-planned legs; legs added by hand are kept
+  function handleAutoPlanCabs() {
+    const { legs, skipped } = generateCabPlan({
+      cabLegs,
+      itinerary,
+      ferryRoutes,
+      selectedFerryRouteIds,
+      ferryQuotes: ferrySectorQuotes,
+      locations,
+      islands,
+      selectedLocationIds,
+      travellers: travellerCount,
+      pricingConfig,
+      gatewayId: ferryPlan.gatewayId,
+    });
+    setSelectedCabLegsState((prev) => [
+      ...prev.filter((sel) => !sel.auto),
+      ...legs,
+    ]);
+    setCabPlanSkipped(skipped);
+  }
+
+  function updateCabLeg(index, patch) {
     setSelectedCabLegsState((prev) =>
-      prev.map((item, i) => (i === index ? { ...item, timeOfDay } : item))
+      prev.map((item, i) => (i === index ? { ...item, ...patch } : item))
     );
   }
 
-  const cabTotal = useMemo(() => {
-    if (!selectedCabLegs.length || !cabLegs.length) return 0;
-    let total = 0;
-
-    selectedCabLegs.forEach((sel) => {
-      const leg = cabLegs.find((l) => l.id === sel.legId);
-      if (!leg) return;
-      const info = estimateCabLeg(leg, pricingConfig, {
-        timeOfDay: sel.timeOfDay || "day",
-        travellers: travellerCount,
-      });
-      const count = sel.count || 1;
-      total += safeNum(info.perVehicle) * count;
-    });
+  const partyLuggage = getPartyLuggage(
+    travellerCount,
+    luggageBags,
+    pricingConfig
+  );
 
-    return total;
-  }, [selectedCabLegs, cabLegs, pricingConfig, travellerCount]);
+  // count = how many times the leg is driven; each run books info.vehicles
+  const cabLineQuotes = useMemo(
+    () =>
+      priceCabSelections(
+        {
+          selectedCabLegs,
+          cabLegs,
+          travellers: travellerCount,
+          luggageBags,
+        },
+        pricingConfig
+      ),
+    [selectedCabLegs, cabLegs, pricingConfig, travellerCount, luggageBags]
+  );
 
   /* -----------------------------
      HOTEL LOGIC
@@ -382,22 +654,29 @@ function App() {
     });
   }
 
-  const hotelTotal = useMemo(() => {
-    let total = 0;
-
-    Object.entries(selectedHotelsByIsland).forEach(([islandId, sel]) => {
-      const hotel = (hotelsByIsland[islandId] || []).find(
-        (h) => h.id === sel.hotelId
-      );
-      if (!hotel) return;
-      const nights = sel.nights || 1;
-      const rooms = sel.rooms || 1;
-      const perNight = safeNum(hotel.basePricePerNightINR);
-      total += perNight * nights * rooms;
-    });
-
-    return total;
-  }, [selectedHotelsByIsland, hotelsByIsland]);
+  const hotelQuotesByIsland = useMemo(
+    () =>
+      priceHotelSelections(
+        {
+          islandOrder: plannedIslandOrder,
+          selectedHotelsByIsland,
+          hotels,
+          startDate,
+          adults,
+          children,
+        },
+        pricingConfig
+      ),
+    [
+      plannedIslandOrder,
+      selectedHotelsByIsland,
+      hotels,
+      startDate,
+      adults,
+      children,
+      pricingConfig,
+    ]
+  );
 
   /* -----------------------------
      ADVENTURES LOGIC
@@ -409,28 +688,34 @@ function App() {
     }));
   }
 
-  const adventureTotal = useMemo(() => {
-    if (!adventures.length) return 0;
-
-    let total = 0;
-
-    adventures.forEach((adv) => {
-      if (!selectedAdventureIds[adv.id]) return;
-
-      const unit = adv.unit || "per_person";
-      const base = safeNum(adv.basePriceINR);
+  function updateAdventureOptions(id, patch) {
+    setAdventureOptions((prev) => ({
+      ...prev,
+      [id]: { ...prev[id], ...patch },
+    }));
+  }
 
-      if (unit === "per_person") {
-        total += base * travellerCount;
-      } else if (unit === "per_trip" || unit === "per_boat") {
-        total += base;
-      } else {
-        total += base * travellerCount;
-      }
-    });
+  const adventureQuotes = useMemo(
+    () =>
+      priceAdventures(
+        adventures,
+        { adults, children, childAges, adventureOptions },
+        pricingConfig
+      ),
+    [
+      adventures,
+      adults,
+      children,
+      childAges,
+      adventureOptions,
+      pricingConfig,
+    ]
+  );
 
-    return total;
-  }, [adventures, selectedAdventureIds, travellerCount]);
+  const adventureLineQuotes = useMemo(
+    () => getAdventureLines(adventures, selectedAdventureIds, adventureQuotes),
+    [adventures, selectedAdventureIds, adventureQuotes]
+  );
 
   /* -----------------------------
      LOCATIONS
@@ -441,25 +726,711 @@ function App() {
     );
   }
 
+  /* -----------------------------
+     ITINERARY
+  ------------------------------ */
+  const itineraryItems = useMemo(
+    () =>
+      collectItineraryItems({
+        locations,
+        adventures,
+        islands,
+        selectedLocationIds,
+        selectedAdventureIds,
+        islandOrder: plannedIslandOrder,
+      }),
+    [
+      locations,
+      adventures,
+      islands,
+      selectedLocationIds,
+      selectedAdventureIds,
+      plannedIslandOrder,
+    ]
+  );
+
+  const autoItinerary = useMemo(
+    () =>
+      buildItinerary({
+        islandOrder: plannedIslandOrder,
+        hotelNightsByIsland: getHotelNightsByIsland(selectedHotelsByIsland),
+        totalNights,
+        startDate,
+        ferryPlan,
+        islandById,
+        items: itineraryItems,
+      }),
+    [
+      plannedIslandOrder,
+      selectedHotelsByIsland,
+      totalNights,
+      startDate,
+      ferryPlan,
+      islandById,
+      itineraryItems,
+    ]
+  );
+
+  const itinerary = useMemo(
+    () => applyItineraryOverrides(autoItinerary, itineraryOverrides),
+    [autoItinerary, itineraryOverrides]
+  );
+
+  function handleMoveItineraryItem(itemKey, toDayIndex, toPosition) {
+    setItineraryOverrides((prev) =>
+      moveItineraryItem(itinerary, prev, itemKey, toDayIndex, toPosition)
+    );
+  }
+
+  // Permits and tickets for the chosen places, due by their itinerary day
+  const permitChecklist = useMemo(
+    () =>
+      buildPermitChecklist({
+        locations,
+        islands,
+        selectedLocationIds,
+        adventures,
+        selectedAdventureIds,
+        itinerary,
+        startDate,
+        travellers: travellerCount,
+        pricingConfig,
+      }),
+    [
+      locations,
+      islands,
+      selectedLocationIds,
+      adventures,
+      selectedAdventureIds,
+      itinerary,
+      startDate,
+      travellerCount,
+      pricingConfig,
+    ]
+  );
+
+  // Hours planned per island (stops, ferries, cab drives) against its nights
+  const feasibility = useMemo(
+    () =>
+      checkTripFeasibility({
+        islandOrder: plannedIslandOrder,
+        selectedHotelsByIsland,
+        totalNights,
+        items: itineraryItems,
+        itinerary,
+        ferryRoutes,
+        selectedFerryRouteIds,
+        cabLines: cabLineQuotes,
+        pricingConfig,
+        islandById,
+        gatewayId: ferryPlan.gatewayId,
+      }),
+    [
+      plannedIslandOrder,
+      selectedHotelsByIsland,
+      totalNights,
+      itineraryItems,
+      itinerary,
+      ferryRoutes,
+      selectedFerryRouteIds,
+      cabLineQuotes,
+      pricingConfig,
+      islandById,
+      ferryPlan.gatewayId,
+    ]
+  );
+
+  /* -----------------------------
+     SCOOTER / BICYCLE RENTALS
+  ------------------------------ */
+  const rentalRecordsByKind = useMemo(
+    () => ({ scooter: scooters, bicycle: bicycles }),
+    [scooters, bicycles]
+  );
+
+  function addRental(islandId, kind) {
+    const first = listRentalModels(rentalRecordsByKind[kind], islandId)[0];
+    if (!first) return;
+    const plan = first.plans.DAY ? "DAY" : Object.keys(first.plans)[0];
+    setSelectedRentals((prev) => [
+      ...prev,
+      {
+        id: `rent-${Date.now().toString(36)}`,
+        islandId,
+        kind,
+        model: first.model,
+        plan,
+        days: 1,
+        // Two riders per scooter, one per bicycle
+        vehicles:
+          kind === "scooter"
+            ? Math.max(1, Math.ceil(travellerCount / 2))
+            : Math.max(1, travellerCount),
+        kmPerDay: getDefaultRentalKm(kind, plan, pricingConfig),
+      },
+    ]);
+  }
+
+  function updateRental(id, patch) {
+    setSelectedRentals((prev) =>
+      prev.map((r) => {
+        if (r.id !== id) return r;
+        const next = { ...r, ...patch };
+        // A new model may not offer the current plan
+        const plans = listRentalModels(
+          rentalRecordsByKind[r.kind],
+          r.islandId
+        ).find((m) => m.model === next.model)?.plans;
+        if (plans && !plans[next.plan]) next.plan = Object.keys(plans)[0];
+        if (next.plan !== r.plan) {
+          next.kmPerDay = getDefaultRentalKm(r.kind, next.plan, pricingConfig);
+        }
+        return next;
+      })
+    );
+  }
+
+  function removeRental(id) {
+    setSelectedRentals((prev) => prev.filter((r) => r.id !== id));
+  }
+
+  const rentalQuotes = useMemo(
+    () =>
+      priceRentalSelections(
+        {
+          selectedRentals,
+          recordsByKind: rentalRecordsByKind,
+          islandOrder: plannedIslandOrder,
+          itinerary,
+        },
+        pricingConfig
+      ),
+    [
+      selectedRentals,
+      rentalRecordsByKind,
+      plannedIslandOrder,
+      itinerary,
+      pricingConfig,
+    ]
+  );
+
+  /* -----------------------------
+     TRIP PERSISTENCE (URL + localStorage)
+  ------------------------------ */
+  const [savedTrips, setSavedTrips] = useState(() => listSavedTrips());
+  const [restoreNotes, setRestoreNotes] = useState([]);
+  const restoredRef = useRef(false);
+  // Variants are only saved once read back, so a shared link leaves them be
+  const variantsRestoredRef = useRef(false);
+
+  const tripState = useMemo(
+    () => ({
+      startDate,
+      endDate,
+      nightsOverride,
+      adults,
+      children,
+      childAges,
+      luggageBags,
+      selectedMood,
+      selectedIslands,
+      selectedLocationIds,
+      selectedAdventureIds,
+      adventureOptions,
+      selectedFerryRouteIds,
+      ferrySelections,
+      ferryOptimize,
+      selectedCabLegs,
+      selectedHotelsByIsland,
+      selectedRentals,
+      itineraryOverrides,
+      budgetTarget,
+      budgetMode,
+      displayCurrency,
+    }),
+    [
+      startDate,
+      endDate,
+      nightsOverride,
+      adults,
+      children,
+      childAges,
+      luggageBags,
+      selectedMood,
+      selectedIslands,
+      selectedLocationIds,
+      selectedAdventureIds,
+      adventureOptions,
+      selectedFerryRouteIds,
+      ferrySelections,
+      ferryOptimize,
+      selectedCabLegs,
+      selectedHotelsByIsland,
+      selectedRentals,
+      itineraryOverrides,
+      budgetTarget,
+      budgetMode,
+      displayCurrency,
+    ]
+  );
+
+  const plannerData = useMemo(
+    () => ({
+      islands,
+      locations,
+      adventures,
+      ferryRoutes,
+      cabLegs,
+      hotels,
+      scooters,
+      bicycles,
+    }),
+    [
+      islands,
+      locations,
+      adventures,
+      ferryRoutes,
+      cabLegs,
+      hotels,
+      scooters,
+      bicycles,
+    ]
+  );
+
+  // Push a full trip state into the planner's selections
+  function setPlannerState(next) {
+    setStartDate(next.startDate);
+    setEndDate(next.endDate);
+    setNightsOverride(next.nightsOverride);
+    setAdults(next.adults);
+    setChildren(next.children);
+    setChildAges(next.childAges);
+    setLuggageBags(next.luggageBags);
+    setSelectedMood(next.selectedMood);
+    setSelectedIslands(next.selectedIslands);
+    setSelectedLocationIds(next.selectedLocationIds);
+    setSelectedAdventureIds(next.selectedAdventureIds);
+    setAdventureOptions(next.adventureOptions);
+    setSelectedFerryRouteIds(next.selectedFerryRouteIds);
+    setFerrySelections(next.ferrySelections);
+    setFerryOptimize(next.ferryOptimize);
+    setSelectedCabLegsState(next.selectedCabLegs);
+    setSelectedHotelsByIsland(next.selectedHotelsByIsland);
+    setSelectedRentals(next.selectedRentals);
+    setItineraryOverrides(next.itineraryOverrides);
+    setBudgetTarget(next.budgetTarget);
+    setBudgetMode(next.budgetMode);
+    setDisplayCurrency(next.displayCurrency);
+  }
+
+  function migrateSaved(saved) {
+    return migrateTripState(saved, plannerData, dataMeta.dataVersion);
+  }
+
+  // A trip that still fails to restore (e.g. a hand-edited link) starts over
+  // rather than leaving a blank page
+  function applyTripState(saved) {
+    if (!saved) return;
+    try {
+      const { state, notes } = migrateSaved(saved);
+      setPlannerState({ ...INITIAL_TRIP, ...state });
+      setRestoreNotes(notes);
+    } catch (err) {
+      console.warn("Could not restore trip", err);
+      setPlannerState(INITIAL_TRIP);
+      setRestoreNotes([
+        "This trip could not be restored, so the planner starts over.",
+      ]);
+    }
+  }
+
+  // Once data is in: a shared link wins over the local autosave. Variants
+  // belong to the autosaved plan, so they are only restored along with it.
+  useEffect(() => {
+    if (loading || restoredRef.current) return;
+    restoredRef.current = true;
+    const shared = decodeTripHash(window.location.hash);
+    applyTripState(shared || loadAutosave());
+    if (shared) return;
+    const stored = loadTripVariants();
+    const restored = stored.variants.map((v) => ({
+      id: v.id,
+      name: v.name,
+      state: { ...INITIAL_TRIP, ...migrateSaved(v.saved).state },
+    }));
+    setVariants(restored);
+    setActiveVariantId(
+      restored.some((v) => v.id === stored.activeId) ? stored.activeId : null
+    );
+    variantsRestoredRef.current = true;
+  }, [loading]);
+
+  // Keep the URL hash and autosave in step with the plan (debounced)
+  useEffect(() => {
+    if (loading || !restoredRef.current) return undefined;
+    const timer = setTimeout(() => {
+      saveAutosave(tripState, dataMeta.dataVersion);
+      window.history.replaceState(
+        null,
+        "",
+        encodeTripHash(tripState, dataMeta.dataVersion)
+      );
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [tripState, loading, dataMeta]);
+
+  function handleSaveNamedTrip(name) {
+    setSavedTrips(saveNamedTrip(name, tripState, dataMeta.dataVersion));
+  }
+
+  function handleLoadSavedTrip(trip) {
+    applyTripState(deserializeTrip(trip.payload));
+  }
+
+  function handleDeleteSavedTrip(id) {
+    setSavedTrips(deleteSavedTrip(id));
+  }
+
+  function getShareUrl() {
+    const { origin, pathname, search } = window.location;
+    return (
+      origin +
+      pathname +
+      search +
+      encodeTripHash(tripState, dataMeta.dataVersion)
+    );
+  }
+
+  /* -----------------------------
+     TRIP VARIANTS
+  ------------------------------ */
+  // [{ id, name, state }]. The active variant is whatever is on screen, so its
+  // stored state is swapped for the live plan before comparing or switching.
+  const [variants, setVariants] = useState([]);
+  const [activeVariantId, setActiveVariantId] = useState(null);
+  const [showVariantComparison, setShowVariantComparison] = useState(false);
+
+  const liveVariants = useMemo(
+    () =>
+      variants.map((v) =>
+        v.id === activeVariantId ? { ...v, state: tripState } : v
+      ),
+    [variants, activeVariantId, tripState]
+  );
+
+  const variantComparison = useMemo(
+    () =>
+      showVariantComparison && liveVariants.length > 1
+        ? buildVariantComparison(liveVariants, plannerData, pricingConfig)
+        : null,
+    [showVariantComparison, liveVariants, plannerData, pricingConfig]
+  );
+
+  // A clone of a plan that isn't a variant yet (the first clone, or after the
+  // active one was deleted) also keeps that plan as its own variant
+  function handleCreateVariant(name) {
+    const stamp = Date.now().toString(36);
+    const base = liveVariants.some((v) => v.id === activeVariantId)
+      ? liveVariants
+      : [
+          ...liveVariants,
+          {
+            id: `var-${stamp}-0`,
+            name: `Variant ${String.fromCharCode(65 + liveVariants.length)}`,
+            state: tripState,
+          },
+        ];
+    const id = `var-${stamp}`;
+    setVariants([
+      ...base,
+      {
+        id,
+        name:
+          String(name || "").trim() ||
+          `Variant ${String.fromCharCode(65 + base.length)}`,
+        state: tripState,
+      },
+    ]);
+    setActiveVariantId(id);
+  }
+
+  function handleSwitchVariant(id) {
+    const target = liveVariants.find((v) => v.id === id);
+    if (!target || id === activeVariantId) return;
+    setVariants(liveVariants);
+    setActiveVariantId(id);
+    setPlannerState(target.state);
+  }
+
+  function handleDeleteVariant(id) {
+    setVariants((prev) => prev.filter((v) => v.id !== id));
+  }
+
+  useEffect(() => {
+    if (loading || !variantsRestoredRef.current) return undefined;
+    const timer = setTimeout(() => {
+      saveTripVariants(activeVariantId, liveVariants, dataMeta.dataVersion);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [liveVariants, activeVariantId, loading, dataMeta]);
+
+  /* -----------------------------
+     PACKAGE PRESETS
+  ------------------------------ */
+  const [showPackages, setShowPackages] = useState(false);
+
+  // Only priced while the comparison is open: each preset prices a whole trip
+  const packageOptions = useMemo(
+    () =>
+      showPackages
+        ? listPackagePresets(pricingConfig)
+            .map((p) =>
+              buildPackagePreset(p.id, tripState, plannerData, pricingConfig)
+            )
+            .filter(Boolean)
+        : [],
+    [showPackages, tripState, plannerData, pricingConfig]
+  );
+
+  function handleApplyPackage({ state }) {
+    setSelectedFerryRouteIds(state.selectedFerryRouteIds);
+    setFerrySelections(state.ferrySelections);
+    setSelectedHotelsByIsland(state.selectedHotelsByIsland);
+    setSelectedAdventureIds(state.selectedAdventureIds);
+    setAdventureOptions(state.adventureOptions);
+    setSelectedCabLegsState(state.selectedCabLegs);
+    setItineraryOverrides(state.itineraryOverrides);
+    setCabPlanSkipped([]);
+    setShowPackages(false);
+  }
+
   /* -----------------------------
      TOTALS
   ------------------------------ */
-  const baseSubtotal = cabTotal + ferryTotal + hotelTotal + adventureTotal;
-  const taxAmount =
-    safeNum(pricingConfig.taxPercent) > 0
-      ? (baseSubtotal * safeNum(pricingConfig.taxPercent)) / 100
-      : 0;
-  const serviceFee = safeNum(pricingConfig.serviceFee);
-  const grandTotal = baseSubtotal + taxAmount + serviceFee;
+  // Same totals as tripPricing.priceTrip, so whole-trip comparisons match the
+  // figures shown here
+  const { taxes, totals } = useMemo(
+    () =>
+      getTripTotals(
+        {
+          ferryQuotes: ferrySectorQuotes,
+          ferryRouteIds: selectedFerryRouteIds,
+          cabLines: cabLineQuotes,
+          hotelQuotes: hotelQuotesByIsland,
+          adventureLines: adventureLineQuotes,
+          rentalQuotes,
+          permits: permitChecklist,
+          travellers: travellerCount,
+        },
+        pricingConfig
+      ),
+    [
+      ferrySectorQuotes,
+      selectedFerryRouteIds,
+      cabLineQuotes,
+      hotelQuotesByIsland,
+      adventureLineQuotes,
+      rentalQuotes,
+      permitChecklist,
+      travellerCount,
+      pricingConfig,
+    ]
+  );
+  const {
+    ferries: ferryTotal,
+    cabs: cabTotal,
+    hotels: hotelTotal,
+    adventures: adventureTotal,
+    rentals: rentalTotal,
+    rentalDeposit,
+    grandTotal,
+  } = totals;
+
+  /* -----------------------------
+     BUDGET TARGET
+  ------------------------------ */
+  // The target is typed in the display currency but kept in INR, so switching
+  // currency converts it instead of reading the same number in another currency
+  const budgetTotal = getBudgetTotal(budgetTarget, budgetMode, travellerCount);
+  const budgetTargetInput =
+    budgetTarget === ""
+      ? ""
+      : Math.round(convertFromBase(budgetTarget, currency) * 100) / 100;
+
+  function handleBudgetTargetChange(value) {
+    setBudgetTarget(
+      value === "" ? "" : Math.round(convertToBase(value, currency) * 100) / 100
+    );
+  }
+  const budgetStatus = getBudgetStatus(
+    budgetTotal,
+    {
+      hotels: hotelTotal,
+      cabs: cabTotal,
+      ferries: ferryTotal,
+      adventures: adventureTotal,
+      rentals: rentalTotal,
+      subtotal: taxes.subtotal,
+      grandTotal,
+    },
+    travellerCount,
+    pricingConfig
+  );
+  const isOverBudget = Boolean(budgetStatus?.over);
+
+  // Each swap reprices the whole trip, so only look for them when over budget
+  const budgetSwaps = useMemo(
+    () =>
+      isOverBudget
+        ? suggestBudgetSwaps(tripState, plannerData, pricingConfig, budgetTotal)
+        : [],
+    [isOverBudget, tripState, plannerData, pricingConfig, budgetTotal]
+  );
+
+  function handleApplyBudgetSwap(swap) {
+    setPlannerState({ ...tripState, ...swap.patch });
+  }
+
+  /* -----------------------------
+     QUOTE EXPORT
+  ------------------------------ */
+  function buildCurrentBreakdown() {
+    return buildTripBreakdown({
+      trip: {
+        startDate,
+        endDate,
+        nights: totalNights,
+        adults,
+        children,
+        travellers: travellerCount,
+        route: plannedIslandOrder.map((id) => islandById[id]?.name || id),
+      },
+      hotels: plannedIslandOrder
+        .filter((id) => hotelQuotesByIsland[id])
+        .map((id) => ({
+          islandName: islandById[id]?.name || id,
+          hotel: (hotelsByIsland[id] || []).find(
+            (h) => h.id === selectedHotelsByIsland[id]?.hotelId
+          ),
+          quote: hotelQuotesByIsland[id],
+        })),
+      cabs: cabLineQuotes,
+      ferries: selectedFerryRouteIds
+        .map((id) => ferryRoutes.find((r) => r.id === id))
+        .filter(Boolean)
+        .map((r) => ({
+          fromName: r.from,
+          toName: r.to,
+          quote: ferrySectorQuotes[r.id],
+        })),
+      adventures: adventureLineQuotes,
+      rentals: selectedRentals.map((rental) => ({
+        islandName: islandById[rental.islandId]?.name || rental.islandId,
+        rental,
+        quote: rentalQuotes[rental.id],
+      })),
+      permits: permitChecklist,
+      totals: { taxes, grandTotal },
+      itinerary,
+      islandById,
+      meta: {
+        dataVersion: dataMeta.dataVersion,
+        validityDays: pricingConfig.general?.quoteValidityDays,
+      },
+    });
+  }
+
+  // Exports carry amounts in the display currency
+  function buildExportBreakdown() {
+    return convertBreakdown(buildCurrentBreakdown(), currency);
+  }
+
+  function handlePrintQuote() {
+    // Amounts are converted already, so format them at a rate of 1
+    const html = renderQuoteHtml(
+      buildExportBreakdown(),
+      createPriceFormatter({ ...currency, rate: 1 })
+    );
+    if (!printQuote(html)) {
+      window.alert(
+        "Allow pop-ups for this site to print or save the quote as PDF."
+      );
+    }
+  }
+
+  async function handleSubmitLead(contact) {
+    const payload = buildLeadPayload({
+      contact,
+      tripState,
+      breakdown: buildCurrentBreakdown(),
+      dataVersion: dataMeta.dataVersion,
+    });
+    const result = await submitLead(payload);
+    setQueuedLeadCount(getQueuedLeadCount());
+    return result;
+  }
+
+  // Deliver leads queued while offline: on load and whenever we reconnect
+  useEffect(() => {
+    async function flush() {
+      await flushLeadQueue();
+      setQueuedLeadCount(getQueuedLeadCount());
+    }
+    flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, []);
+
+  function handleDownloadBreakdown(format) {
+    const breakdown = buildExportBreakdown();
+    const name = quoteFileName(breakdown);
+    if (format === "csv") {
+      downloadTextFile(`${name}.csv`, breakdownToCSV(breakdown), "text/csv");
+    } else {
+      downloadTextFile(
+        `${name}.json`,
+        breakdownToJSON(breakdown),
+        "application/json"
+      );
+    }
+  }
 
   /* -----------------------------
      STEP + ISLAND HELPERS
   ------------------------------ */
+  // done = enough picked in the step to move on (cabs and rentals are optional)
   const steps = [
-    { id: 1, label: "Basics" },
-    { id: 2, label: "Locations & activities" },
-    { id: 3, label: "Ferries & cabs" },
-    { id: 4, label: "Hotels" },
+    { id: 1, label: "Basics", done: selectedIslands.length > 0 },
+    {
+      id: 2,
+      label: "Locations & activities",
+      done:
+        selectedLocationIds.length > 0 ||
+        Object.values(selectedAdventureIds).some(Boolean),
+    },
+    {
+      id: 3,
+      label: "Ferries, cabs & rentals",
+      done:
+        plannedIslandOrder.length > 0 &&
+        (selectedFerryRouteIds.length > 0 ||
+          plannedIslandOrder.every((id) => id === ferryPlan.gatewayId)),
+    },
+    {
+      id: 4,
+      label: "Hotels",
+      done:
+        plannedIslandOrder.length > 0 &&
+        plannedIslandOrder.every((id) => hotelQuotesByIsland[id]),
+    },
+    {
+      id: 5,
+      label: "Itinerary",
+      done:
+        itinerary.days.length > 0 &&
+        !itinerary.unscheduled.length &&
+        feasibility.ok,
+    },
   ];
 
   function isIslandSelected(id) {
@@ -558,10 +1529,72 @@ function App() {
               onChange={(e) => setChildren(Number(e.target.value || 0))}
             />
           </div>
+          {children > 0 && (
+            <div className="field-group">
+              <label>Child ages</label>
+              <div className="child-ages">
+                {Array.from({ length: children }, (_, i) => (
+                  <select
+                    key={i}
+                    value={childAges[i] ?? ""}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      setChildAges((prev) => {
+                        const next = Array.from(
+                          { length: children },
+                          (__, j) => prev[j] ?? null
+                        );
+                        next[i] = value === "" ? null : Number(value);
+                        return next;
+                      });
+                    }}
+                  >
+                    <option value="">Age?</option>
+                    {Array.from({ length: 18 }, (__, age) => (
+                      <option key={age} value={age}>
+                        {age}
+                      </option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="field-group">
+            <label>Large bags</label>
+            <input
+              type="number"
+              min="0"
+              placeholder={String(
+                getPartyLuggage(travellerCount, "", pricingConfig)
+              )}
+              value={luggageBags}
+              onChange={(e) => setLuggageBags(e.target.value)}
+            />
+          </div>
           <div className="field-group">
             <label>Total travellers</label>
             <div className="readonly-chip">{travellerCount}</div>
           </div>
+          {currencyOptions.length > 1 && (
+            <div className="field-group">
+              <label>Currency</label>
+              <select
+                value={currency.code}
+                title={exchangeRateNote}
+                onChange={(e) => setDisplayCurrency(e.target.value)}
+              >
+                {currencyOptions.map((c) => (
+                  <option key={c.code} value={c.code}>
+                    {c.code} – {c.label}
+                  </option>
+                ))}
+              </select>
+              {exchangeRateNote && (
+                <span className="currency-note">{exchangeRateNote}</span>
+              )}
+            </div>
+          )}
         </div>
       </header>
 
@@ -572,11 +1605,12 @@ function App() {
             key={step.id}
             className={
               "step-pill " +
-              (activeStep === step.id ? "step-pill-active" : "")
+              (activeStep === step.id ? "step-pill-active " : "") +
+              (step.done ? "step-pill-done" : "")
             }
             onClick={() => setActiveStep(step.id)}
           >
-            <span className="step-number">{step.id}</span>
+            <span className="step-number">{step.done ? "✓" : step.id}</span>
             <span>{step.label}</span>
           </button>
         ))}
@@ -585,13 +1619,53 @@ function App() {
       {/* MAIN LAYOUT: LEFT CANVAS + RIGHT SUMMARY */}
       <div className="app-shell">
         <main className="main-column">
+          <DataDiagnostics diagnostics={dataDiagnostics} />
+
+          <TripVariants
+            variants={variants}
+            activeId={activeVariantId}
+            comparison={variantComparison}
+            showComparison={showVariantComparison}
+            onToggleComparison={() => setShowVariantComparison((v) => !v)}
+            onCreate={handleCreateVariant}
+            onSwitch={handleSwitchVariant}
+            onDelete={handleDeleteVariant}
+            formatPrice={formatPrice}
+          />
+
+          {restoreNotes.length > 0 && (
+            <div className="panel notice-panel">
+              <div className="block-header">
+                <strong>Restored a saved trip</strong>
+                <button
+                  className="btn btn-ghost btn-small"
+                  type="button"
+                  onClick={() => setRestoreNotes([])}
+                >
+                  Dismiss
+                </button>
+              </div>
+              {restoreNotes.map((note) => (
+                <p key={note} className="warning-text">
+                  {note}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <TripFeasibility
+            feasibility={feasibility}
+            islandById={islandById}
+            onGoToStep={setActiveStep}
+          />
+
           {/* STEP 1: BASICS + ISLANDS + MOOD */}
           {activeStep === 1 && (
             <section className="panel panel-main">
               <h2>Step 1 – Islands & mood</h2>
               <p className="panel-hint">
-                Choose which islands to cover and your primary mood. Order of
-                islands influences suggested ferry legs.
+                Choose which islands to cover and your primary mood. The ferry
+                circuit from Port Blair is worked out automatically.
               </p>
 
               <h3>Islands</h3>
@@ -638,10 +1712,54 @@ function App() {
                   {selectedIslands.length
                     ? selectedIslands
                         .map((id) => islandById[id]?.name || id)
-                        .join(" → ")
+                        .join(", ")
                     : "None yet"}
                 </p>
+                {bestMonths && (
+                  <p>
+                    <strong>Best months for this plan:</strong>{" "}
+                    {formatMonths(bestMonths.months)}
+                    <span className="cab-sub">
+                      {" "}
+                      ({bestMonths.inSeason} of {bestMonths.total} picks in
+                      season)
+                    </span>
+                  </p>
+                )}
+                {offSeasonPicks > 0 && (
+                  <p className="warning-text">
+                    {offSeasonPicks} pick(s) are out of season for your dates
+                    – see Step 2.
+                  </p>
+                )}
+                <FerryCircuit plan={ferryPlan} islandById={islandById} compact />
+              </div>
+
+              <div className="block-header">
+                <h3>Package presets</h3>
+                <button
+                  className="btn btn-outline btn-small"
+                  type="button"
+                  disabled={!selectedIslands.length}
+                  onClick={() => setShowPackages((v) => !v)}
+                >
+                  {showPackages ? "Hide packages" : "Compare packages"}
+                </button>
               </div>
+              <p className="panel-hint">
+                Fill in hotels, ferries, cabs and starter activities for the
+                selected islands and nights in one click.
+              </p>
+              {showPackages && (
+                <PackagePresets
+                  options={packageOptions}
+                  hotels={hotels}
+                  islandById={islandById}
+                  currentTotal={grandTotal}
+                  onApply={handleApplyPackage}
+                  formatPrice={formatPrice}
+                />
+              )}
             </section>
           )}
 
@@ -653,20 +1771,46 @@ function App() {
                 Select the places you want to visit. Adventures below are
                 filtered by island and priced per person or per trip.
               </p>
+              {startDate && (
+                <label className="season-toggle">
+                  <input
+                    type="checkbox"
+                    checked={hideOffSeason}
+                    onChange={(e) => setHideOffSeason(e.target.checked)}
+                  />
+                  Hide places and activities out of season for your dates
+                </label>
+              )}
+
+              <IslandMap
+                islands={islands}
+                islandById={islandById}
+                pins={mapPins}
+                selectedIslands={selectedIslands}
+                selectedLocationIds={selectedLocationIds}
+                ferryPlan={ferryPlan}
+                onToggleIsland={toggleIsland}
+                onToggleLocation={toggleLocation}
+              />
 
               <div className="locations-list">
                 {visibleLocations.map((loc) => {
                   const selected = selectedLocationIds.includes(loc.id);
                   const moods = loc.moods || [];
-                  const islandObj = islands.find((i) =>
-                    loc.island?.includes(i.name)
-                  );
+                  const islandObj =
+                    islandById[getLocationIslandId(loc, islands)];
+                  const permitFee = getLocationFees(
+                    loc,
+                    pricingConfig
+                  ).reduce((sum, f) => sum + f.perPerson, 0);
+                  const season = seasonChecks.locations[loc.id];
                   return (
                     <article
                       key={loc.id}
                       className={
                         "card location-card " +
-                        (selected ? "card-selected" : "")
+                        (selected ? "card-selected " : "") +
+                        (season.status === "out" ? "card-offseason" : "")
                       }
                     >
                       <header className="card-header">
@@ -684,6 +1828,11 @@ function App() {
                         </button>
                       </header>
                       <p className="card-brief">{loc.brief}</p>
+                      {season.message && (
+                        <p className="warning-text season-note">
+                          {season.message}
+                        </p>
+                      )}
                       <footer className="card-footer">
                         <span className="pill">
                           ~{loc.typicalHours || 2} hours
@@ -698,6 +1847,18 @@ function App() {
                             {m}
                           </span>
                         ))}
+                        {loc.bestTime && (
+                          <span className="pill pill-soft">
+                            Best: {loc.bestTime}
+                          </span>
+                        )}
+                        {needsArrangement(loc) && (
+                          <span className="pill pill-warn">
+                            {loc.permitRequired ? "Permit" : "Booking"} needed
+                            {permitFee > 0 &&
+                              ` • ${formatPrice(permitFee)}/person`}
+                          </span>
+                        )}
                       </footer>
                     </article>
                   );
@@ -705,7 +1866,8 @@ function App() {
 
                 {!visibleLocations.length && (
                   <div className="empty-state">
-                    No locations match this mood + island selection yet.
+                    No locations match this mood + island selection
+                    {hideOffSeason && " in season"} yet.
                   </div>
                 )}
               </div>
@@ -713,12 +1875,19 @@ function App() {
               <div className="adventures-section">
                 <h3>Adventures (priced)</h3>
                 <p className="panel-hint">
-                  Tick activities to include; pricing will factor in number of
-                  travellers.
+                  Tick activities to include, then set who joins. Boats, kayaks,
+                  karts and vehicles are priced per unit for the group; age
+                  limits use the child ages from the header.
                 </p>
 
                 {selectedIslands.map((islandId) => {
-                  const list = adventuresByIsland[islandId] || [];
+                  const list = (adventuresByIsland[islandId] || []).filter(
+                    (adv) =>
+                      !isHiddenOffSeason(
+                        seasonChecks.adventures[adv.id],
+                        !!selectedAdventureIds[adv.id]
+                      )
+                  );
                   if (!list.length) return null;
                   const islandName = islandById[islandId]?.name || islandId;
 
@@ -728,28 +1897,40 @@ function App() {
                       <div className="adventures-list">
                         {list.map((adv) => {
                           const checked = !!selectedAdventureIds[adv.id];
+                          const quote = adventureQuotes[adv.id];
+                          const season = seasonChecks.adventures[adv.id];
                           return (
-                            <label
+                            <article
                               key={adv.id}
                               className={
                                 "card adventure-card " +
-                                (checked ? "card-selected" : "")
+                                (checked ? "card-selected " : "") +
+                                (season.status === "out"
+                                  ? "card-offseason"
+                                  : "")
                               }
                             >
                               <div className="card-header">
                                 <div>
                                   <h5>{adv.name}</h5>
                                   <p className="card-sub">
-                                    {adv.category} • {adv.unit || "per_person"}
+                                    {adv.category} • {quote.unit.label}
+                                    {safeNum(adv.ageMin) > 0 &&
+                                      ` • ${adv.ageMin}+ yrs`}
                                   </p>
                                 </div>
                                 <div className="price-tag">
-                                  {formatINR(adv.basePriceINR)}
+                                  {formatPrice(adv.basePriceINR)}
                                 </div>
                               </div>
                               <p className="card-brief">
                                 {adv.description}
                               </p>
+                              {season.message && (
+                                <p className="warning-text season-note">
+                                  {season.message}
+                                </p>
+                              )}
                               <div className="card-footer adventure-footer">
                                 <span className="pill">
                                   ~{adv.durationMin || 120} min
@@ -759,16 +1940,32 @@ function App() {
                                     Season: {adv.season}
                                   </span>
                                 )}
-                                <input
-                                  type="checkbox"
-                                  checked={checked}
-                                  onChange={() => toggleAdventure(adv.id)}
-                                />
-                                <span className="check-label">
-                                  Add to trip
-                                </span>
+                                <label className="adventure-toggle">
+                                  <input
+                                    type="checkbox"
+                                    checked={checked}
+                                    onChange={() => toggleAdventure(adv.id)}
+                                  />
+                                  <span className="check-label">
+                                    Add to trip
+                                  </span>
+                                </label>
                               </div>
-                            </label>
+                              {checked && (
+                                <AdventureParticipants
+                                  quote={quote}
+                                  maxAdults={adults}
+                                  maxChildren={
+                                    checkChildAges(adv, children, childAges)
+                                      .eligible
+                                  }
+                                  onChange={(patch) =>
+                                    updateAdventureOptions(adv.id, patch)
+                                  }
+                                  formatPrice={formatPrice}
+                                />
+                              )}
+                            </article>
                           );
                         })}
                       </div>
@@ -790,10 +1987,10 @@ function App() {
           {/* STEP 3: FERRIES & CABS */}
           {activeStep === 3 && (
             <section className="panel panel-main">
-              <h2>Step 3 – Ferries & point-to-point cabs</h2>
+              <h2>Step 3 – Ferries, cabs & rentals</h2>
               <p className="panel-hint">
-                Use suggested ferry sectors based on island order, then add cab
-                legs like Airport → Hotel, Hotel → Sightseeing, etc.
+                Use the suggested ferry circuit (multi-hop where needed), then
+                add cab legs like Airport → Hotel, Hotel → Sightseeing, etc.
               </p>
 
               {/* Ferries */}
@@ -809,6 +2006,19 @@ function App() {
                   </button>
                 </div>
 
+                <div className="field-group-inline">
+                  <label>Suggest the</label>
+                  <select
+                    value={ferryOptimize}
+                    onChange={(e) => setFerryOptimize(e.target.value)}
+                  >
+                    <option value="duration">Fastest circuit</option>
+                    <option value="fare">Cheapest circuit</option>
+                  </select>
+                </div>
+
+                <FerryCircuit plan={ferryPlan} islandById={islandById} />
+
                 <div className="ferry-list">
                   {ferryRoutes.map((route) => {
                     const selected =
@@ -817,11 +2027,22 @@ function App() {
                       islandById[route.originId]?.name || route.from;
                     const toName =
                       islandById[route.destinationId]?.name || route.to;
-                    const perPerson = getFerryMinFarePerPerson(route);
-                    const perTrip = perPerson * travellerCount;
+                    const quote = selected
+                      ? ferrySectorQuotes[route.id]
+                      : priceFerrySector(route, null, pricingConfig, travellerCount);
+                    const options = listFerryOptions(route, pricingConfig);
+                    const operatorNames = [
+                      ...new Set(options.map((o) => o.operator)),
+                    ];
+                    const classOptions = options.filter(
+                      (o) => o.operator === quote?.operator
+                    );
+                    const timesUsed = selectedFerryRouteIds.filter(
+                      (id) => id === route.id
+                    ).length;
 
                     return (
-                      <label
+                      <article
                         key={route.id}
                         className={
                           "card ferry-card " +
@@ -835,32 +2056,119 @@ function App() {
                             </h4>
                             <p className="card-sub">
                               ~{route.typicalDurationMin} min •{" "}
-                              {(route.operators || [])
-                                .map((op) => op.operator)
-                                .join(", ")}
+                              {operatorNames.join(", ")}
                             </p>
                           </div>
                           <div className="price-tag">
-                            {perPerson
-                              ? `${formatINR(perPerson)} /person`
-                              : "Govt ferry / TBD"}
+                            {quote && !quote.fareTBD
+                              ? `${selected ? "" : "from "}${formatPrice(
+                                  quote.farePerPerson
+                                )} /person`
+                              : "Govt ferry / fare TBD"}
                           </div>
                         </div>
+
+                        {selected && quote && (
+                          <div className="ferry-controls">
+                            <div className="field-group-inline">
+                              <label>Operator</label>
+                              <select
+                                value={quote.operator}
+                                onChange={(e) =>
+                                  updateFerrySelection(route, {
+                                    operator: e.target.value,
+                                  })
+                                }
+                              >
+                                {operatorNames.map((name) => (
+                                  <option key={name} value={name}>
+                                    {name}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="field-group-inline">
+                              <label>Class</label>
+                              <select
+                                value={quote.classId}
+                                onChange={(e) =>
+                                  updateFerrySelection(route, {
+                                    classId: e.target.value,
+                                  })
+                                }
+                              >
+                                {classOptions.map((o) => (
+                                  <option key={o.classId} value={o.classId}>
+                                    {o.classLabel}
+                                    {o.farePerPerson != null
+                                      ? ` • ${formatPrice(o.farePerPerson)}`
+                                      : " • fare TBD"}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="field-group-inline">
+                              <label>Departure</label>
+                              <select
+                                value={quote.departure}
+                                disabled={!quote.departures.length}
+                                onChange={(e) =>
+                                  updateFerrySelection(route, {
+                                    departure: e.target.value,
+                                  })
+                                }
+                              >
+                                {!quote.departures.length && (
+                                  <option value="">Timing TBD</option>
+                                )}
+                                {quote.departures.map((t) => (
+                                  <option key={t} value={t}>
+                                    {t}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          </div>
+                        )}
+
+                        {selected && quote?.fareTBD && (
+                          <p className="warning-text">
+                            {pricingConfig.ferryDefaults?.govtFerryNote ||
+                              "Fare not published yet."}{" "}
+                            Not included in the total until confirmed.
+                          </p>
+                        )}
+
                         <div className="card-footer">
                           <span className="pill">
                             Total (for {travellerCount}) :{" "}
-                            {formatINR(perTrip)}
+                            {quote && !quote.fareTBD
+                              ? formatPrice(quote.total)
+                              : "TBD"}
                           </span>
-                          <div className="right">
+                          {timesUsed > 1 && (
+                            <span className="pill pill-soft">
+                              Used {timesUsed}× in circuit
+                            </span>
+                          )}
+                          {quote?.isPrivate && (
+                            <span className="pill pill-soft">
+                              incl.{" "}
+                              {pricingConfig.ferryDefaults
+                                ?.privateOperatorSurchargePercent || 0}
+                              % private operator surcharge
+                            </span>
+                          )}
+                          <label className="right">
                             <input
                               type="checkbox"
                               checked={selected}
                               onChange={() => toggleFerryRoute(route.id)}
                             />
                             <span className="check-label">Include</span>
-                          </div>
+                          </label>
                         </div>
-                      </label>
+                      </article>
                     );
                   })}
                 </div>
@@ -868,44 +2176,50 @@ function App() {
 
               {/* Cabs */}
               <div className="block">
-                <h3>Cabs – point-to-point</h3>
+                <div className="block-header">
+                  <h3>Cabs – point-to-point</h3>
+                  <button
+                    className="btn btn-primary btn-small"
+                    type="button"
+                    onClick={handleAutoPlanCabs}
+                    disabled={!itinerary.days.length}
+                  >
+                    Auto-plan cabs from itinerary
+                  </button>
+                </div>
                 <p className="panel-hint">
-                  For each island, add legs from cab_legs.json (e.g. Airport →
-                  Hotel). You can adjust day/night and number of times.
+                  Auto-plan adds airport, jetty and sightseeing transfers for
+                  your itinerary in a vehicle that fits the party. You can also
+                  add legs from cab_legs.json by hand and adjust them.
                 </p>
 
+                {cabPlanSkipped.length > 0 && (
+                  <ul className="cab-plan-skipped">
+                    {cabPlanSkipped.map((item, i) => (
+                      <li key={i} className="warning-text">
+                        {item.label}: {item.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 {selectedIslands.map((islandId) => {
                   const legs = islandCabLegs[islandId] || [];
                   if (!legs.length) return null;
                   const islandName =
                     islandById[islandId]?.name || islandId;
 
-                  const options = legs.map((leg) => ({
-                    id: leg.id,
-                    label: `${leg.fromZone} → ${leg.toZone} • ${leg.vehicleClass} • ${leg.tripType}`,
-                  }));
-
                   return (
                     <div key={islandId} className="cab-island-block">
                       <h4>{islandName}</h4>
-                      <div className="field-row">
-                        <select
-                          defaultValue=""
-                          onChange={(e) => {
-                            const id = e.target.value;
-                            if (!id) return;
-                            addCabLeg(id, "day");
-                            e.target.value = "";
-                          }}
-                        >
-                          <option value="">Add cab leg…</option>
-                          {options.map((opt) => (
-                            <option key={opt.id} value={opt.id}>
-                              {opt.label}
-                            </option>
-                          ))}
-                        </select>
-                      </div>
+                      <CabLegPicker
+                        islandId={islandId}
+                        legs={legs}
+                        islandById={islandById}
+                        pricingConfig={pricingConfig}
+                        onAdd={addCabLeg}
+                        formatPrice={formatPrice}
+                      />
                     </div>
                   );
                 })}
@@ -921,50 +2235,116 @@ function App() {
                 {selectedCabLegs.length > 0 && (
                   <div className="cab-selection-list">
                     <h4>Selected cab legs</h4>
-                    {selectedCabLegs.map((sel, index) => {
-                      const leg = cabLegs.find(
-                        (l) => l.id === sel.legId
-                      );
-                      if (!leg) return null;
-                      const info = estimateCabLeg(leg, pricingConfig, {
-                        timeOfDay: sel.timeOfDay || "day",
-                        travellers: travellerCount,
-                      });
-                      const perVehicle = safeNum(info.perVehicle);
-                      const count = sel.count || 1;
-                      const lineTotal = perVehicle * count;
+                    {cabLineQuotes.map((line) => {
+                      const { index, sel, leg, info, variants, count } = line;
 
                       return (
                         <div key={index} className="cab-line">
                           <div className="cab-line-main">
                             <div>
                               <div className="cab-title">
-                                {leg.fromZone} → {leg.toZone}
+                                {sel.purpose ||
+                                  `${leg.fromZone} → ${leg.toZone}`}
+                              </div>
+                              <div className="cab-sub">
+                                {sel.purpose &&
+                                  `${leg.fromZone} → ${leg.toZone} • `}
+                                {leg.tripType} •{" "}
+                                {leg.serviceClass || "STANDARD"} • Wait{" "}
+                                {leg.includedWaitMin} min
                               </div>
                               <div className="cab-sub">
-                                {leg.vehicleClass} • {leg.tripType} •
-                                Wait {leg.includedWaitMin} min
+                                {formatVehicleMix(info.vehicles)} for{" "}
+                                {travellerCount} traveller(s),{" "}
+                                {partyLuggage} bag(s) •{" "}
+                                {formatPrice(info.perPerson)} per person
                               </div>
+                              <div className="cab-sub">{info.reason}</div>
+                              {!info.luggageFits && (
+                                <p className="warning-text">
+                                  Luggage won't fit in these vehicles – add a
+                                  larger class or an extra cab.
+                                </p>
+                              )}
                             </div>
                             <div className="cab-price">
-                              {formatINR(perVehicle)} × {count} ={" "}
-                              {formatINR(lineTotal)}
+                              {formatPrice(line.perRun)} × {count} ={" "}
+                              {formatPrice(line.amount)}
                             </div>
                           </div>
                           <div className="cab-line-controls">
                             <div className="field-group-inline">
-                              <label>Time</label>
-                              <select
-                                value={sel.timeOfDay || "day"}
+                              <label>Date</label>
+                              <input
+                                type="date"
+                                value={sel.date || ""}
+                                min={startDate || undefined}
+                                max={endDate || undefined}
                                 onChange={(e) =>
-                                  updateCabLegTimeOfDay(
-                                    index,
-                                    e.target.value
-                                  )
+                                  updateCabLeg(index, { date: e.target.value })
                                 }
+                              />
+                            </div>
+                            <div className="field-group-inline">
+                              <label>Pickup</label>
+                              <input
+                                type="time"
+                                value={sel.pickupTime || ""}
+                                onChange={(e) =>
+                                  updateCabLeg(index, {
+                                    pickupTime: e.target.value,
+                                  })
+                                }
+                              />
+                            </div>
+                            {!sel.pickupTime && (
+                              <div className="field-group-inline">
+                                <label>Time</label>
+                                <select
+                                  value={sel.timeOfDay || "day"}
+                                  onChange={(e) =>
+                                    updateCabLeg(index, {
+                                      timeOfDay: e.target.value,
+                                    })
+                                  }
+                                >
+                                  <option value="day">Day</option>
+                                  <option value="night">Night</option>
+                                </select>
+                              </div>
+                            )}
+                            <div className="field-group-inline">
+                              <label>Vehicles</label>
+                              <select
+                                value={
+                                  sel.vehicleMode === "fixed"
+                                    ? leg.vehicleClass
+                                    : "auto"
+                                }
+                                onChange={(e) => {
+                                  const variant = variants.find(
+                                    (v) => v.vehicleClass === e.target.value
+                                  );
+                                  updateCabLeg(
+                                    index,
+                                    variant
+                                      ? {
+                                          legId: variant.id,
+                                          vehicleMode: "fixed",
+                                        }
+                                      : { vehicleMode: "auto" }
+                                  );
+                                }}
                               >
-                                <option value="day">Day</option>
-                                <option value="night">Night</option>
+                                <option value="auto">Cheapest mix</option>
+                                {variants.map((v) => (
+                                  <option
+                                    key={v.vehicleClass}
+                                    value={v.vehicleClass}
+                                  >
+                                    {v.vehicleClass} only
+                                  </option>
+                                ))}
                               </select>
                             </div>
                             <div className="field-group-inline">
@@ -1003,6 +2383,27 @@ function App() {
                   </div>
                 )}
               </div>
+
+              {/* Rentals */}
+              <div className="block">
+                <h3>Scooter & bicycle rentals</h3>
+                <p className="panel-hint">
+                  Self-drive on islands that allow it. Peak-season markup is
+                  applied by date, scooters include a fuel estimate, and
+                  refundable deposits are shown separately.
+                </p>
+                <RentalPlanner
+                  islandIds={plannedIslandOrder}
+                  islandById={islandById}
+                  recordsByKind={rentalRecordsByKind}
+                  rentals={selectedRentals}
+                  quotes={rentalQuotes}
+                  onAdd={addRental}
+                  onUpdate={updateRental}
+                  onRemove={removeRental}
+                  formatPrice={formatPrice}
+                />
+              </div>
             </section>
           )}
 
@@ -1012,10 +2413,11 @@ function App() {
               <h2>Step 4 – Hotels</h2>
               <p className="panel-hint">
                 For each island, pick a sample hotel and adjust nights/rooms.
-                Totals feed directly into the summary panel.
+                Islands follow the ferry circuit, and each night is priced by
+                season from your start date, with extra beds and GST included.
               </p>
 
-              {selectedIslands.map((islandId) => {
+              {plannedIslandOrder.map((islandId) => {
                 const list = hotelsByIsland[islandId] || [];
                 const islandName = islandById[islandId]?.name || islandId;
                 const sel = selectedHotelsByIsland[islandId];
@@ -1035,7 +2437,7 @@ function App() {
                           {list.map((h) => (
                             <option key={h.id} value={h.id}>
                               {h.displayName || h.name} •{" "}
-                              {formatINR(h.basePricePerNightINR)} /night
+                              {formatPrice(getHotelBaseRate(h))} /night
                             </option>
                           ))}
                         </select>
@@ -1088,6 +2490,14 @@ function App() {
                             </div>
                           </div>
                         )}
+
+                        <HotelNightBreakdown
+                          quote={hotelQuotesByIsland[islandId]}
+                          tax={taxes.lines.find(
+                            (l) => l.id === `hotel:${islandId}`
+                          )}
+                          formatPrice={formatPrice}
+                        />
                       </>
                     ) : (
                       <div className="empty-state small">
@@ -1099,6 +2509,33 @@ function App() {
               })}
             </section>
           )}
+
+          {/* STEP 5: ITINERARY */}
+          {activeStep === 5 && (
+            <section className="panel panel-main">
+              <h2>Step 5 – Day-by-day itinerary</h2>
+              <p className="panel-hint">
+                Built from your islands, hotel nights, ferries and the places
+                and activities you picked. Ferry days have less free time, and
+                sunrise/sunset or early-morning spots get their own slots.
+              </p>
+
+              <ItineraryView
+                itinerary={itinerary}
+                islandById={islandById}
+                onMoveItem={handleMoveItineraryItem}
+                onReset={() => setItineraryOverrides({})}
+                hasOverrides={Object.keys(itineraryOverrides).length > 0}
+              />
+
+              <PermitChecklist
+                checklist={permitChecklist}
+                islandById={islandById}
+                travellers={travellerCount}
+                formatPrice={formatPrice}
+              />
+            </section>
+          )}
         </main>
 
         {/* RIGHT SUMMARY PANEL (Option A) */}
@@ -1109,8 +2546,8 @@ function App() {
               {totalNights} nights • {travellerCount} travellers
             </p>
             <p className="summary-sub">
-              {selectedIslands.length
-                ? selectedIslands
+              {plannedIslandOrder.length
+                ? plannedIslandOrder
                     .map((id) => islandById[id]?.name || id)
                     .join(" → ")
                 : "No islands selected yet"}
@@ -1121,30 +2558,48 @@ function App() {
             <div className="summary-lines">
               <div className="summary-line">
                 <span>Hotels</span>
-                <span>{formatINR(hotelTotal)}</span>
+                <span>{formatPrice(hotelTotal)}</span>
               </div>
               <div className="summary-line">
                 <span>Cabs</span>
-                <span>{formatINR(cabTotal)}</span>
+                <span>{formatPrice(cabTotal)}</span>
               </div>
               <div className="summary-line">
-                <span>Ferries</span>
-                <span>{formatINR(ferryTotal)}</span>
+                <span>
+                  Ferries
+                  {ferryFareTBDCount > 0 &&
+                    ` (+${ferryFareTBDCount} fare TBD)`}
+                </span>
+                <span>{formatPrice(ferryTotal)}</span>
               </div>
               <div className="summary-line">
                 <span>Adventures</span>
-                <span>{formatINR(adventureTotal)}</span>
+                <span>{formatPrice(adventureTotal)}</span>
               </div>
-              {taxAmount > 0 && (
+              {rentalTotal > 0 && (
                 <div className="summary-line">
-                  <span>Tax ({pricingConfig.taxPercent}%)</span>
-                  <span>{formatINR(taxAmount)}</span>
+                  <span>Rentals</span>
+                  <span>{formatPrice(rentalTotal)}</span>
                 </div>
               )}
-              {serviceFee > 0 && (
+              {permitChecklist.items.length > 0 && (
                 <div className="summary-line">
-                  <span>Service fee</span>
-                  <span>{formatINR(serviceFee)}</span>
+                  <span>Permits & tickets</span>
+                  <span>{formatPrice(permitChecklist.total)}</span>
+                </div>
+              )}
+              {taxes.categories.map((c) => (
+                <div key={c.category} className="summary-line summary-tax">
+                  <span>
+                    {c.label} ({c.rates})
+                  </span>
+                  <span>{formatPrice(c.tax)}</span>
+                </div>
+              ))}
+              {taxes.serviceFee.amount > 0 && (
+                <div className="summary-line">
+                  <span>{taxes.serviceFee.label}</span>
+                  <span>{formatPrice(taxes.serviceFee.amount)}</span>
                 </div>
               )}
             </div>
@@ -1153,26 +2608,109 @@ function App() {
 
             <div className="summary-total">
               <span>Estimated package total</span>
-              <span>{formatINR(grandTotal)}</span>
+              <span>{formatPrice(grandTotal)}</span>
             </div>
+            {rentalDeposit > 0 && (
+              <p className="summary-sub">
+                + {formatPrice(rentalDeposit)} refundable rental deposit, paid
+                at pickup
+              </p>
+            )}
+
+            <BudgetPanel
+              target={budgetTargetInput}
+              mode={budgetMode}
+              travellers={travellerCount}
+              status={budgetStatus}
+              swaps={budgetSwaps}
+              onTargetChange={handleBudgetTargetChange}
+              onModeChange={setBudgetMode}
+              onApplySwap={handleApplyBudgetSwap}
+              currencyCode={currency.code}
+              formatPrice={formatPrice}
+            />
 
             <div className="summary-actions">
-              <button className="btn btn-primary btn-full">
+              <button
+                className="btn btn-primary btn-full"
+                type="button"
+                onClick={() => setShowLeadForm(true)}
+                disabled={showLeadForm}
+              >
                 Request detailed quote
               </button>
-              <button className="btn btn-outline btn-full">
-                Download breakdown (future)
+              <button
+                className="btn btn-outline btn-full"
+                type="button"
+                onClick={handlePrintQuote}
+              >
+                Print / save quote as PDF
               </button>
+              <div className="summary-export">
+                <button
+                  className="btn btn-ghost btn-small"
+                  type="button"
+                  onClick={() => handleDownloadBreakdown("csv")}
+                >
+                  Download CSV
+                </button>
+                <button
+                  className="btn btn-ghost btn-small"
+                  type="button"
+                  onClick={() => handleDownloadBreakdown("json")}
+                >
+                  Download JSON
+                </button>
+              </div>
             </div>
 
+            {showLeadForm && (
+              <LeadForm
+                onSubmit={handleSubmitLead}
+                onClose={() => setShowLeadForm(false)}
+              />
+            )}
+            {queuedLeadCount > 0 && (
+              <p className="warning-text">
+                {queuedLeadCount} quote request(s) waiting to be sent – they go
+                out automatically when you're back online.
+              </p>
+            )}
+
+            <SavedTripsPanel
+              savedTrips={savedTrips}
+              onSave={handleSaveNamedTrip}
+              onLoad={handleLoadSavedTrip}
+              onDelete={handleDeleteSavedTrip}
+              getShareUrl={getShareUrl}
+            />
+
             <p className="summary-footnote">
               All prices are sample estimates, meant for internal planning and
               vendor calibration. Final quote will be generated from the
               backend.
+              {dataMeta.dataVersion && ` Data version ${dataMeta.dataVersion}.`}
+              {exchangeRateNote &&
+                ` ${exchangeRateNote}; bookings are paid in INR.`}
             </p>
           </div>
         </aside>
       </div>
+
+      <MobileSummaryBar
+        total={grandTotal > 0 ? formatPrice(grandTotal) : ""}
+        steps={steps}
+        activeStep={activeStep}
+        onStepChange={setActiveStep}
+        onOpenSummary={() => setShowMobileSummary(true)}
+      />
+      {showMobileSummary && (
+        <MobileSummaryDrawer
+          breakdown={buildExportBreakdown()}
+          formatPrice={createPriceFormatter({ ...currency, rate: 1 })}
+          onClose={() => setShowMobileSummary(false)}
+        />
+      )}
     </div>
   );
 }
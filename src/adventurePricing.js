@@ -0,0 +1,156 @@
+// src/adventurePricing.js
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+/**
+ * Pricing units used in adventure_prices.json.
+ * - capacity: people per unit (overridable via pricing_config → adventureDefaults.unitCapacity)
+ * - perHead: priced per participant rather than per unit
+ */
+export const ADVENTURE_UNITS = {
+  per_person: { label: "per person", noun: "person", capacity: 1, perHead: true },
+  per_boat: { label: "per boat", noun: "boat", capacity: 6 },
+  per_kayak: { label: "per kayak", noun: "kayak", capacity: 2 },
+  per_kart: { label: "per kart", noun: "kart", capacity: 2 },
+  per_vehicle: { label: "per vehicle", noun: "vehicle", capacity: 4 },
+  per_group: { label: "per group", noun: "group", capacity: 8 },
+  per_trip: { label: "per trip", noun: "trip", capacity: Infinity },
+};
+
+export function getAdventureUnit(adv, pricingConfig = {}) {
+  const id = ADVENTURE_UNITS[adv?.unit] ? adv.unit : "per_person";
+  const override = num(pricingConfig.adventureDefaults?.unitCapacity?.[id]);
+  return { id, ...ADVENTURE_UNITS[id], ...(override > 0 ? { capacity: override } : {}) };
+}
+
+/**
+ * Boat excursions (per_boat units or boatExcursionDefaults.categories) carry the
+ * permit/environment fees and the child discount.
+ */
+export function isBoatExcursion(adv, pricingConfig = {}) {
+  const categories = pricingConfig.boatExcursionDefaults?.categories || [];
+  return adv?.unit === "per_boat" || categories.includes(adv?.category);
+}
+
+/**
+ * Split the party's children by an activity's minimum age.
+ *
+ * childAges holds one entry per child; null means the age wasn't given. Unknown
+ * ages are treated as eligible but reported so the traveller can confirm.
+ *
+ * Returns { eligible, tooYoung, unknown }
+ */
+export function checkChildAges(adv, children = 0, childAges = []) {
+  const ageMin = num(adv?.ageMin);
+  const count = Math.max(0, num(children));
+  let tooYoung = 0;
+  let unknown = 0;
+
+  for (let i = 0; i < count; i += 1) {
+    const age = childAges[i];
+    if (age === null || age === undefined || age === "") {
+      if (ageMin > 0) unknown += 1;
+    } else if (num(age) < ageMin) {
+      tooYoung += 1;
+    }
+  }
+
+  return { eligible: count - tooYoung, tooYoung, unknown };
+}
+
+/**
+ * Default participants for an activity: every adult and every child old enough.
+ */
+export function getDefaultParticipants(adv, { adults = 0, children = 0, childAges = [] } = {}) {
+  return {
+    adults: Math.max(0, num(adults)),
+    children: checkChildAges(adv, children, childAges).eligible,
+  };
+}
+
+/**
+ * Price one adventure for the party.
+ *
+ * - per_person: adults pay the base price, children get childDiscountPercent off on
+ *   boat excursions
+ * - group units (boat, kayak, kart, vehicle, group): enough units for all participants,
+ *   or more if `units` asks for it
+ * - Children below adv.ageMin are left out, with a warning
+ * - Boat excursions add permit + environment fees per participant
+ *
+ * options: { adults, children, childAges, participants: { adults, children }, units }
+ *
+ * Returns { unit, participants, excludedChildren, unitsRequired, units, unitPrice,
+ *           baseCost, childDiscount, feesPerPerson, fees, total, warnings }
+ */
+export function priceAdventure(adv, options = {}, pricingConfig = {}) {
+  const unit = getAdventureUnit(adv, pricingConfig);
+  const boat = isBoatExcursion(adv, pricingConfig);
+  const boatDefaults = pricingConfig.boatExcursionDefaults || {};
+  const unitPrice = num(adv?.basePriceINR);
+  const warnings = [];
+
+  const ages = checkChildAges(adv, options.children, options.childAges);
+  const wanted = options.participants || getDefaultParticipants(adv, options);
+  const adults = Math.min(Math.max(0, num(wanted.adults)), Math.max(0, num(options.adults)));
+  const children = Math.min(Math.max(0, num(wanted.children)), ages.eligible);
+
+  if (ages.tooYoung > 0) {
+    warnings.push(`Minimum age ${adv.ageMin}: ${ages.tooYoung} child(ren) can't join.`);
+  }
+  if (ages.unknown > 0) {
+    warnings.push(`Minimum age ${adv.ageMin}: confirm the age of ${ages.unknown} child(ren).`);
+  }
+
+  const people = adults + children;
+  if (!people) {
+    warnings.push("No participants selected.");
+  }
+
+  let unitsRequired = 0;
+  let units = 0;
+  let baseCost = 0;
+  let childDiscount = 0;
+
+  if (unit.perHead) {
+    const childRate = boat
+      ? unitPrice * (1 - num(boatDefaults.childDiscountPercent) / 100)
+      : unitPrice;
+    childDiscount = (unitPrice - childRate) * children;
+    units = people;
+    unitsRequired = people;
+    baseCost = unitPrice * people - childDiscount;
+  } else {
+    unitsRequired = people ? Math.max(1, Math.ceil(people / unit.capacity)) : 0;
+    units = Math.max(unitsRequired, num(options.units));
+    if (num(options.units) > 0 && num(options.units) < unitsRequired) {
+      warnings.push(
+        `${people} participants need at least ${unitsRequired} ${unit.noun}(s) (${unit.capacity} per ${unit.noun}).`
+      );
+    }
+    baseCost = unitPrice * units;
+  }
+
+  const feesPerPerson = boat
+    ? num(boatDefaults.permitFeeINR) + num(boatDefaults.environmentFeeINR)
+    : 0;
+  const fees = feesPerPerson * people;
+
+  return {
+    unit,
+    participants: { adults, children },
+    excludedChildren: ages.tooYoung,
+    unitsRequired,
+    units,
+    unitPrice,
+    baseCost,
+    childDiscount,
+    feesPerPerson,
+    fees,
+    total: baseCost + fees,
+    warnings,
+  };
+}
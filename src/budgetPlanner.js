@@ -0,0 +1,251 @@
+// src/budgetPlanner.js
+import { findLegVariants, formatVehicleMix } from "./cabPricing";
+import { listFerryOptions } from "./ferryPricing";
+import { computeHotelOccupancy, getHotelBaseRate } from "./hotelPricing";
+import { priceTrip } from "./tripPricing";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Budget categories, in summary order
+const BUDGET_CATEGORIES = [
+  { key: "hotels", label: "Hotels" },
+  { key: "cabs", label: "Cabs" },
+  { key: "ferries", label: "Ferries" },
+  { key: "adventures", label: "Adventures" },
+  { key: "rentals", label: "Rentals" },
+];
+
+const DEFAULT_SHARES = { hotels: 0.5, cabs: 0.15, ferries: 0.15, adventures: 0.15, rentals: 0.05 };
+const DEFAULT_MAX_SUGGESTIONS = 8;
+const DEFAULT_ADVENTURES_TO_DROP = 3;
+
+/**
+ * The whole-trip budget from what the user typed: the amount as is for "total", or
+ * times the travellers for "perPerson". Returns 0 when no budget is set.
+ */
+export function getBudgetTotal(target, mode, travellers) {
+  const amount = Math.max(0, num(target));
+  return mode === "perPerson" ? amount * Math.max(1, num(travellers)) : amount;
+}
+
+/**
+ * Compare a priced trip with the budget.
+ *
+ * - Tax and the service fee come off the budget first, in the share they take of the
+ *   planned total; what is left is split across the categories by
+ *   budgetDefaults.categoryShares
+ * - difference is actual − budget, so positive amounts are over budget
+ *
+ * Returns { budget, perPerson, grandTotal, difference, over,
+ *           categories: [{ key, label, budget, actual, difference }] }, or null when
+ * no budget is set.
+ */
+export function getBudgetStatus(budget, totals = {}, travellers = 1, pricingConfig = {}) {
+  if (!(budget > 0)) return null;
+
+  const grandTotal = num(totals.grandTotal);
+  const spendable = grandTotal > 0 ? (budget * num(totals.subtotal)) / grandTotal : budget;
+  const shares = { ...DEFAULT_SHARES, ...(pricingConfig.budgetDefaults?.categoryShares || {}) };
+  const shareTotal = BUDGET_CATEGORIES.reduce((sum, c) => sum + num(shares[c.key]), 0) || 1;
+
+  return {
+    budget,
+    perPerson: budget / Math.max(1, num(travellers)),
+    grandTotal,
+    difference: grandTotal - budget,
+    over: grandTotal > budget,
+    categories: BUDGET_CATEGORIES.map(({ key, label }) => {
+      const categoryBudget = (spendable * num(shares[key])) / shareTotal;
+      const actual = num(totals[key]);
+      return { key, label, budget: categoryBudget, actual, difference: actual - categoryBudget };
+    }),
+  };
+}
+
+/**
+ * Of the cheaper alternatives for one booking, the gentlest that closes the gap on
+ * its own, else the one that saves the most.
+ */
+function pickSwap(candidates, overBy) {
+  const cheaper = candidates.filter((c) => c.saving >= 1).sort((a, b) => a.saving - b.saving);
+  return cheaper.find((c) => c.saving >= overBy) || cheaper[cheaper.length - 1] || null;
+}
+
+/**
+ * Swaps that bring an over-budget trip down, each a patch for the trip state.
+ *
+ * - Hotels: another hotel on the same island with a lower nightly rate, rooms enough
+ *   for the party
+ * - Ferries: a cheaper operator or class on the same sector
+ * - Cabs: the cheapest vehicle mix in the standard service class
+ * - Adventures: dropping one of the dearest activities
+ *
+ * Every swap is priced on the whole trip (see tripPricing.priceTrip), so savings
+ * include tax. Swaps that fit the budget on their own come first.
+ *
+ * Returns [{ id, category, label, detail, saving, newTotal, fits, patch }]
+ */
+export function suggestBudgetSwaps(state = {}, data = {}, pricingConfig = {}, budget = 0) {
+  const current = priceTrip(state, data, pricingConfig);
+  const overBy = current.totals.grandTotal - budget;
+  if (!(budget > 0) || overBy <= 0) return [];
+
+  const { islands = [], hotels = [], ferryRoutes = [], cabLegs = [] } = data;
+  const islandName = (id) => islands.find((i) => i.id === id)?.name || id;
+  const adults = num(state.adults);
+  const children = num(state.children);
+
+  const price = (patch) => {
+    const priced = priceTrip({ ...state, ...patch }, data, pricingConfig);
+    const newTotal = priced.totals.grandTotal;
+    return { patch, priced, newTotal, saving: current.totals.grandTotal - newTotal };
+  };
+  const swaps = [];
+
+  // Hotels
+  Object.entries(state.selectedHotelsByIsland || {}).forEach(([islandId, sel]) => {
+    const hotel = hotels.find((h) => h.islandId === islandId && h.id === sel?.hotelId);
+    if (!hotel || !current.hotelQuotes[islandId]) return;
+    const candidates = hotels
+      .filter(
+        (h) =>
+          h.islandId === islandId &&
+          h.id !== hotel.id &&
+          getHotelBaseRate(h) < getHotelBaseRate(hotel)
+      )
+      .map((h) => {
+        const rooms = computeHotelOccupancy(h, {
+          rooms: sel.rooms || 1,
+          adults,
+          children,
+        }).suggestedRooms;
+        return {
+          ...price({
+            selectedHotelsByIsland: {
+              ...state.selectedHotelsByIsland,
+              [islandId]: { ...sel, hotelId: h.id, rooms },
+            },
+          }),
+          hotel: h,
+          rooms,
+        };
+      });
+    const pick = pickSwap(candidates, overBy);
+    if (!pick) return;
+    swaps.push({
+      id: `hotel-${islandId}`,
+      category: "hotels",
+      label: `${islandName(islandId)}: stay at ${pick.hotel.name} instead of ${hotel.name}`,
+      detail: `${pick.hotel.tier || "hotel"} • ${pick.rooms} room(s) × ${sel.nights || 1} night(s)`,
+      ...pick,
+    });
+  });
+
+  // Ferries
+  (state.selectedFerryRouteIds || []).forEach((routeId) => {
+    const route = ferryRoutes.find((r) => r.id === routeId);
+    const quote = current.ferryQuotes[routeId];
+    if (!route || !quote || quote.fareTBD) return;
+    const candidates = listFerryOptions(route, pricingConfig)
+      .filter((o) => o.farePerPerson != null && o.farePerPerson < quote.farePerPerson)
+      .map((o) => ({
+        ...price({
+          ferrySelections: {
+            ...state.ferrySelections,
+            [routeId]: {
+              operator: o.operator,
+              classId: o.classId,
+              departure: o.departures.includes(quote.departure)
+                ? quote.departure
+                : o.departures[0] || "",
+            },
+          },
+        }),
+        option: o,
+      }));
+    const pick = pickSwap(candidates, overBy);
+    if (!pick) return;
+    swaps.push({
+      id: `ferry-${routeId}`,
+      category: "ferries",
+      label: `${route.from} → ${route.to}: ${pick.option.operator} ${pick.option.classLabel}`,
+      detail: `instead of ${quote.operator} ${quote.classLabel}`,
+      ...pick,
+    });
+  });
+
+  // Cabs: the standard-class fare for the route, in the cheapest vehicle mix
+  current.cabLines.forEach((line) => {
+    const isStandard = (line.leg.serviceClass || "STANDARD") === "STANDARD";
+    if (line.sel.vehicleMode === "auto" && isStandard) return;
+    const standardLegs = findLegVariants(cabLegs, { ...line.leg, serviceClass: "STANDARD" });
+    const standard =
+      standardLegs.find((l) => l.vehicleClass === line.leg.vehicleClass) || standardLegs[0];
+    if (!standard) return;
+
+    const pick = pickSwap(
+      [
+        price({
+          selectedCabLegs: (state.selectedCabLegs || []).map((sel, i) =>
+            i === line.index
+              ? { ...sel, legId: standard.id, serviceClass: "STANDARD", vehicleMode: "auto" }
+              : sel
+          ),
+        }),
+      ],
+      overBy
+    );
+    if (!pick) return;
+    const swapped = pick.priced.cabLines.find((l) => l.index === line.index);
+    swaps.push({
+      id: `cab-${line.index}`,
+      category: "cabs",
+      label: `${line.sel.purpose || `${line.leg.fromZone} → ${line.leg.toZone}`}: ${formatVehicleMix(
+        swapped?.info.vehicles || []
+      )}`,
+      detail: `instead of ${formatVehicleMix(line.info.vehicles)}${
+        isStandard ? "" : ` (${line.leg.serviceClass})`
+      }`,
+      ...pick,
+    });
+  });
+
+  // Adventures
+  const maxDrops = pricingConfig.budgetDefaults?.adventuresToDrop ?? DEFAULT_ADVENTURES_TO_DROP;
+  [...current.adventureLines]
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, maxDrops)
+    .forEach((line) => {
+      const { [line.adv.id]: _dropped, ...selectedAdventureIds } = state.selectedAdventureIds || {};
+      const pick = pickSwap([price({ selectedAdventureIds })], 0);
+      if (!pick) return;
+      swaps.push({
+        id: `adventure-${line.adv.id}`,
+        category: "adventures",
+        label: `Drop ${line.adv.name}`,
+        detail: `${line.quantity} ${line.quote.unit.noun}(s)`,
+        ...pick,
+      });
+    });
+
+  const maxSuggestions =
+    num(pricingConfig.budgetDefaults?.maxSuggestions) || DEFAULT_MAX_SUGGESTIONS;
+  return swaps
+    .map(({ id, category, label, detail, saving, newTotal, patch }) => ({
+      id,
+      category,
+      label,
+      detail,
+      saving,
+      newTotal,
+      fits: newTotal <= budget,
+      patch,
+    }))
+    .sort((a, b) =>
+      a.fits !== b.fits ? (a.fits ? -1 : 1) : a.fits ? a.saving - b.saving : b.saving - a.saving
+    )
+    .slice(0, maxSuggestions);
+}
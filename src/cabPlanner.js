@@ -0,0 +1,358 @@
+// src/cabPlanner.js
+import { findMatchingCabLeg, getVehicleCapacity, parsePickupTime } from "./cabPricing";
+import { getLocationIslandId } from "./locationUtils";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const DEFAULT_GATEWAY = "PB";
+const DEFAULT_REPORTING_MIN = 60;
+
+// Zone words too common to identify a place on their own
+const GENERIC_ZONE_WORDS = new Set(["city", "town", "jetty", "north", "south", "mount", "beach"]);
+
+const squash = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+
+const words = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const formatClock = (minutes) => {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+/**
+ * All cab zones on an island (both ends of every leg)
+ */
+export function getIslandZones(cabLegs = [], islandId) {
+  const zones = new Set();
+  cabLegs.forEach((leg) => {
+    if (leg.islandId !== islandId) return;
+    zones.add(leg.fromZone);
+    zones.add(leg.toZone);
+  });
+  return [...zones];
+}
+
+/**
+ * Human-readable zone name: cabDefaults.zoneLabels, else the zone id in title case.
+ * Zones on another island ("PB.CITY_CORE") are prefixed with that island's name.
+ */
+export function formatZoneName(zone, pricingConfig = {}, islandById = {}) {
+  const [islandId, local] = String(zone || "").includes(".")
+    ? String(zone).split(".")
+    : [null, String(zone || "")];
+  const label =
+    pricingConfig.cabDefaults?.zoneLabels?.[local] ||
+    local
+      .toLowerCase()
+      .split("_")
+      .filter(Boolean)
+      .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+      .join(" ")
+      .replace(/([a-z])(\d)/g, "$1 $2");
+  return islandId ? `${islandById[islandId]?.name || islandId} – ${label}` : label;
+}
+
+/**
+ * Find the cab zone for a location.
+ *
+ * - cabDefaults.locationZones pins a zone by location id
+ * - Otherwise the zone name must appear in the location name ("CELLULAR_JAIL" in
+ *   "Cellular Jail"), or its first distinctive word must ("LALAJI_TRAIL" for "Lalaji Bay")
+ *
+ * Returns the zone id or null.
+ */
+export function matchLocationZone(location, zones = [], pricingConfig = {}) {
+  const pinned = pricingConfig.cabDefaults?.locationZones?.[location?.id];
+  if (pinned && zones.includes(pinned)) return pinned;
+
+  const name = squash(location?.location);
+  const nameWords = words(location?.location);
+  const local = zones.filter((z) => !z.includes("."));
+
+  const full = local.find((z) => name.includes(squash(z)));
+  if (full) return full;
+
+  const partial = local.find((z) => {
+    const first = words(z)[0];
+    return (
+      first &&
+      first.length >= 4 &&
+      !GENERIC_ZONE_WORDS.has(first) &&
+      nameWords.some((w) => w.startsWith(first))
+    );
+  });
+  return partial || null;
+}
+
+/**
+ * Smallest vehicle class that seats the party, among those offered on the island.
+ * Falls back to the largest class when nobody fits.
+ *
+ * Returns { vehicleClass, capacity, fits }
+ */
+export function pickVehicleClass(cabLegs = [], islandId, travellers, pricingConfig = {}) {
+  const offered = [
+    ...new Set(cabLegs.filter((l) => l.islandId === islandId).map((l) => l.vehicleClass)),
+  ]
+    .map((vehicleClass) => ({
+      vehicleClass,
+      capacity: getVehicleCapacity(vehicleClass, pricingConfig).seats,
+    }))
+    .sort((a, b) => a.capacity - b.capacity);
+
+  if (!offered.length) return null;
+  const fit = offered.find((o) => o.capacity >= travellers);
+  return fit ? { ...fit, fits: true } : { ...offered[offered.length - 1], fits: false };
+}
+
+/**
+ * Find a leg between two zones in either direction (fares are symmetric).
+ * Tries the requested trip type first, then any trip type.
+ */
+function findLegBetween(cabLegs, { islandId, from, to, vehicleClass, tripType }) {
+  const base = { islandId, vehicleClass, serviceClass: "STANDARD" };
+  const attempts = [
+    { fromZone: from, toZone: to, tripType },
+    { fromZone: to, toZone: from, tripType },
+    { fromZone: from, toZone: to },
+    { fromZone: to, toZone: from },
+  ];
+  for (const criteria of attempts) {
+    const leg = findMatchingCabLeg(cabLegs, { ...base, ...criteria });
+    if (leg) return leg;
+  }
+  return null;
+}
+
+// Itinerary day on which a ferry route is sailed (nth occurrence for repeated routes)
+function findFerryDay(itinerary, route, occurrence) {
+  let seen = 0;
+  for (const day of itinerary?.days || []) {
+    if (!day.ferry?.byFerry) continue;
+    const path = [day.ferry.fromId, ...day.ferry.via, day.ferry.toId];
+    for (let i = 0; i < path.length - 1; i += 1) {
+      if (path[i] === route.originId && path[i + 1] === route.destinationId) {
+        if (seen === occurrence)
+          return { day, isFirstHop: i === 0, isLastHop: i === path.length - 2 };
+        seen += 1;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Propose the cab legs a trip needs.
+ *
+ * - Airport ↔ hotel in the gateway (PB) on arrival and departure, when
+ *   general.includeAirportTransfers is on; airport ↔ jetty if a ferry leaves or
+ *   lands the same day
+ * - Hotel → jetty before and jetty → hotel after every selected ferry, skipping
+ *   islands the circuit only passes through
+ * - Hotel → location and back for each selected location (round trip if offered)
+ * - Legs are looked up in the smallest class that seats the party; pricing then books
+ *   the cheapest vehicle mix (vehicleMode "auto", see planVehicles)
+ *
+ * Returns { legs: [{ legId, serviceClass, count, date, pickupTime, timeOfDay, vehicleMode,
+ *                   purpose, auto }],
+ *           skipped: [{ label, reason }] }
+ */
+export function generateCabPlan({
+  cabLegs = [],
+  itinerary = null,
+  ferryRoutes = [],
+  selectedFerryRouteIds = [],
+  ferryQuotes = {},
+  locations = [],
+  islands = [],
+  selectedLocationIds = [],
+  travellers = 1,
+  pricingConfig = {},
+  gatewayId = DEFAULT_GATEWAY,
+}) {
+  const cabDefaults = pricingConfig.cabDefaults || {};
+  const hotelZones = cabDefaults.hotelZones || {};
+  const jettyZones = cabDefaults.jettyZones || {};
+  const airportZone = cabDefaults.airportZone || "AIRPORT";
+  const reportingMin = num(cabDefaults.jettyReportingMin) || DEFAULT_REPORTING_MIN;
+  const islandName = (id) => islands.find((i) => i.id === id)?.name || id;
+
+  const legs = [];
+  const skipped = [];
+
+  function addLeg({ islandId, from, to, tripType = "one_way", date, pickupTime, purpose }) {
+    const vehicle = pickVehicleClass(cabLegs, islandId, travellers, pricingConfig);
+    // Hotel zone is the jetty zone on small islands: walk, no cab
+    if (from && from === to) return;
+    if (!vehicle || !from || !to) {
+      skipped.push({ label: purpose, reason: `No cab zones mapped on ${islandName(islandId)}.` });
+      return;
+    }
+    const leg = findLegBetween(cabLegs, {
+      islandId,
+      from,
+      to,
+      vehicleClass: vehicle.vehicleClass,
+      tripType,
+    });
+    if (!leg) {
+      skipped.push({
+        label: purpose,
+        reason: `No ${vehicle.vehicleClass} fare for ${from} ↔ ${to}.`,
+      });
+      return;
+    }
+    legs.push({
+      legId: leg.id,
+      serviceClass: leg.serviceClass || "STANDARD",
+      count: 1,
+      date: date || "",
+      pickupTime: pickupTime || "",
+      timeOfDay: "day",
+      vehicleMode: "auto",
+      purpose,
+      auto: true,
+    });
+  }
+
+  const days = itinerary?.days || [];
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+  const includeAirport = pricingConfig.general?.includeAirportTransfers !== false;
+
+  // Arrival: straight to the jetty when day 1 already sails on
+  if (includeAirport && firstDay) {
+    const sailsOn = firstDay.islandId !== gatewayId;
+    addLeg({
+      islandId: gatewayId,
+      from: airportZone,
+      to: sailsOn ? jettyZones[gatewayId] : hotelZones[gatewayId],
+      date: firstDay.date,
+      purpose: sailsOn ? "Airport → jetty (arrival)" : "Airport → hotel (arrival)",
+    });
+  }
+
+  // Ferries
+  const occurrences = {};
+  selectedFerryRouteIds.forEach((routeId) => {
+    const route = ferryRoutes.find((r) => r.id === routeId);
+    if (!route) return;
+    const occurrence = occurrences[routeId] || 0;
+    occurrences[routeId] = occurrence + 1;
+
+    const found = findFerryDay(itinerary, route, occurrence);
+    const date = found?.day.date || "";
+    const departure = parsePickupTime(ferryQuotes[routeId]?.departure);
+    const label = `${route.from} → ${route.to}`;
+
+    // Arrival/departure days in the gateway are covered by the airport legs
+    const arrivesFromAirport =
+      includeAirport && found?.day === firstDay && route.originId === gatewayId;
+    const leavesForAirport =
+      includeAirport && found?.day === lastDay && route.destinationId === gatewayId;
+
+    if ((!found || found.isFirstHop) && !arrivesFromAirport) {
+      addLeg({
+        islandId: route.originId,
+        from: hotelZones[route.originId],
+        to: jettyZones[route.originId],
+        date,
+        pickupTime: departure !== null ? formatClock(departure - reportingMin) : "",
+        purpose: `Hotel → jetty (${label})`,
+      });
+    }
+    if ((!found || found.isLastHop) && !leavesForAirport) {
+      addLeg({
+        islandId: route.destinationId,
+        from: jettyZones[route.destinationId],
+        to: hotelZones[route.destinationId],
+        date,
+        pickupTime:
+          departure !== null ? formatClock(departure + num(route.typicalDurationMin)) : "",
+        purpose: `Jetty → hotel (${label})`,
+      });
+    }
+  });
+
+  // Sightseeing
+  selectedLocationIds.forEach((locationId) => {
+    const location = locations.find((l) => l.id === locationId);
+    if (!location) return;
+    const islandId = getLocationIslandId(location, islands);
+    const zones = getIslandZones(cabLegs, islandId);
+    const zone = matchLocationZone(location, zones, pricingConfig);
+    if (!zone) {
+      skipped.push({ label: location.location, reason: "No cab zone matches this place." });
+      return;
+    }
+    const vehicle = pickVehicleClass(cabLegs, islandId, travellers, pricingConfig);
+    const legFrom = (from, tripType) =>
+      vehicle &&
+      findLegBetween(cabLegs, {
+        islandId,
+        from,
+        to: zone,
+        vehicleClass: vehicle.vehicleClass,
+        tripType,
+      });
+
+    // Hotels without their own fares are reached via the jetty zone
+    const hotelZone =
+      [hotelZones[islandId], jettyZones[islandId]].find((z) => legFrom(z)) || hotelZones[islandId];
+    if (zone === hotelZone || zone === airportZone) return;
+
+    const day = days.find((d) => d.items.some((i) => i.key === `loc:${locationId}`));
+    const roundTrip = legFrom(hotelZone, "round_trip");
+
+    if (roundTrip?.tripType === "round_trip") {
+      addLeg({
+        islandId,
+        from: hotelZone,
+        to: zone,
+        tripType: "round_trip",
+        date: day?.date,
+        purpose: `Sightseeing: ${location.location} (round trip)`,
+      });
+    } else {
+      addLeg({
+        islandId,
+        from: hotelZone,
+        to: zone,
+        date: day?.date,
+        purpose: `Hotel → ${location.location}`,
+      });
+      addLeg({
+        islandId,
+        from: zone,
+        to: hotelZone,
+        date: day?.date,
+        purpose: `${location.location} → hotel`,
+      });
+    }
+  });
+
+  // Departure
+  if (includeAirport && lastDay) {
+    const landsSameDay = lastDay.ferry?.byFerry && lastDay.ferry.toId === gatewayId;
+    addLeg({
+      islandId: gatewayId,
+      from: landsSameDay ? jettyZones[gatewayId] : hotelZones[gatewayId],
+      to: airportZone,
+      date: lastDay.date,
+      purpose: landsSameDay ? "Jetty → airport (departure)" : "Hotel → airport (departure)",
+    });
+  }
+
+  return { legs, skipped };
+}
@@ -5,36 +5,286 @@
  */
 const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
 
+const DEFAULT_NIGHT_START_HOUR = 19;
+const DEFAULT_NIGHT_END_HOUR = 5;
+const DEFAULT_LEG_DURATION_MIN = 60;
+const DEFAULT_VEHICLE_SEATS = 4;
+
+/**
+ * Parse "HH:MM" into minutes after midnight. Returns null for missing/invalid input.
+ */
+export function parsePickupTime(value) {
+  const m = String(value || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+const formatClock = (minutes) => {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Expected time a leg keeps the cab busy: cabDefaults.tripTypeDurationMin for the
+ * trip type plus the leg's included waiting time.
+ */
+export function getCabLegDurationMin(leg, pricingConfig = {}) {
+  const byType = pricingConfig.cabDefaults?.tripTypeDurationMin || {};
+  const drive = num(byType[leg?.tripType]) || DEFAULT_LEG_DURATION_MIN;
+  return drive + num(leg?.includedWaitMin);
+}
+
+/**
+ * Decide day vs night for a pickup time from cabDefaults.nightStartHour/nightEndHour.
+ *
+ * - The night window wraps midnight (e.g. 19:00–05:00)
+ * - A leg that runs across the boundary is split by the minutes spent in each window
+ *
+ * Returns { timeOfDay: "day" | "night" | "mixed", nightShare (0–1), reason },
+ * or null when no valid pickup time is given.
+ */
+export function classifyCabTiming(pickupTime, durationMin, pricingConfig = {}) {
+  const start = parsePickupTime(pickupTime);
+  if (start === null) return null;
+
+  const cabDefaults = pricingConfig.cabDefaults || {};
+  const nightStart = num(cabDefaults.nightStartHour ?? DEFAULT_NIGHT_START_HOUR) * 60;
+  const nightEnd = num(cabDefaults.nightEndHour ?? DEFAULT_NIGHT_END_HOUR) * 60;
+  const nightWindow = `${formatClock(nightStart)}–${formatClock(nightEnd)}`;
+  const isNight = (minute) => {
+    const m = minute % 1440;
+    return nightStart > nightEnd
+      ? m >= nightStart || m < nightEnd
+      : m >= nightStart && m < nightEnd;
+  };
+
+  const duration = Math.max(1, Math.round(num(durationMin)) || DEFAULT_LEG_DURATION_MIN);
+  let nightMinutes = 0;
+  for (let m = start; m < start + duration; m += 1) {
+    if (isNight(m)) nightMinutes += 1;
+  }
+  const nightShare = nightMinutes / duration;
+  const end = formatClock(start + duration);
+
+  if (nightShare === 0) {
+    return {
+      timeOfDay: "day",
+      nightShare,
+      reason: `Day fare: ${pickupTime}–${end} is outside night hours (${nightWindow}).`,
+    };
+  }
+  if (nightShare === 1) {
+    return {
+      timeOfDay: "night",
+      nightShare,
+      reason: `Night fare: ${pickupTime}–${end} falls within night hours (${nightWindow}).`,
+    };
+  }
+  return {
+    timeOfDay: "mixed",
+    nightShare,
+    reason: `Split fare: ${pickupTime}–${end} crosses night hours (${nightWindow}), ${Math.round(
+      nightShare * 100
+    )}% at night rate.`,
+  };
+}
+
+/**
+ * Seats and large bags a vehicle class takes (cabDefaults.vehicleCapacity /
+ * cabDefaults.vehicleLuggage). Classes without a luggage figure carry one bag per seat.
+ */
+export function getVehicleCapacity(vehicleClass, pricingConfig = {}) {
+  const cabDefaults = pricingConfig.cabDefaults || {};
+  const seats = num(cabDefaults.vehicleCapacity?.[vehicleClass]) || DEFAULT_VEHICLE_SEATS;
+  const bags = cabDefaults.vehicleLuggage?.[vehicleClass];
+  return { seats, bags: bags === undefined ? seats : num(bags) };
+}
+
+/**
+ * Large bags the party travels with: the count given, else
+ * travellers × cabDefaults.bagsPerTraveller (1 when unset).
+ */
+export function getPartyLuggage(travellers, bags, pricingConfig = {}) {
+  if (bags !== "" && bags !== null && bags !== undefined) return Math.max(0, num(bags));
+  const perTraveller = pricingConfig.cabDefaults?.bagsPerTraveller ?? 1;
+  return Math.ceil(Math.max(0, num(travellers)) * num(perTraveller));
+}
+
+/**
+ * The same route (island, zones, trip type, service class) in every vehicle class,
+ * one leg per class (blank-serviceClass rows repeat the STANDARD fares).
+ */
+export function findLegVariants(cabLegs = [], leg) {
+  if (!leg) return [];
+  const serviceClass = leg.serviceClass || "STANDARD";
+  const byClass = new Map();
+  cabLegs.forEach((l) => {
+    if (
+      l.islandId === leg.islandId &&
+      l.fromZone === leg.fromZone &&
+      l.toZone === leg.toZone &&
+      l.tripType === leg.tripType &&
+      (l.serviceClass || "STANDARD") === serviceClass &&
+      !byClass.has(l.vehicleClass)
+    ) {
+      byClass.set(l.vehicleClass, l);
+    }
+  });
+  return [...byClass.values()];
+}
+
+/**
+ * Cheapest set of vehicles that seats the party and carries its luggage.
+ *
+ * - options: [{ leg, fare }], one per vehicle class on offer
+ * - Any mix of classes is allowed; on equal cost the fewer vehicles win
+ * - When no mix takes all the luggage, seats alone decide and luggageFits is false
+ *
+ * Returns { vehicles: [{ leg, vehicleClass, count, fare, seats, bags }], vehicleCount,
+ *           total, seats, bags, luggageFits }, or null when nothing is offered.
+ */
+export function planVehicles(options = [], party = {}, pricingConfig = {}) {
+  const fleet = options
+    .filter((o) => o?.leg)
+    .map((o) => ({
+      leg: o.leg,
+      fare: num(o.fare),
+      vehicleClass: o.leg.vehicleClass,
+      ...getVehicleCapacity(o.leg.vehicleClass, pricingConfig),
+    }))
+    .filter((v) => v.seats > 0);
+  if (!fleet.length) return null;
+
+  const needSeats = Math.max(1, Math.ceil(num(party.seats)));
+  const needBags = Math.max(0, Math.ceil(num(party.bags)));
+
+  // best(s, b): cheapest list of fleet indexes covering s more seats and b more bags
+  const memo = new Map();
+  const best = (s, b) => {
+    if (s <= 0 && b <= 0) return { cost: 0, picks: [] };
+    const key = `${s}|${b}`;
+    if (memo.has(key)) return memo.get(key);
+    let result = null;
+    fleet.forEach((v, i) => {
+      const nextSeats = Math.max(0, s - v.seats);
+      const nextBags = Math.max(0, b - v.bags);
+      if (nextSeats === s && nextBags === b) return;
+      const rest = best(nextSeats, nextBags);
+      if (!rest) return;
+      const cost = v.fare + rest.cost;
+      const cheaper = !result || cost < result.cost;
+      const fewer = result && cost === result.cost && rest.picks.length + 1 < result.picks.length;
+      if (cheaper || fewer) result = { cost, picks: [i, ...rest.picks] };
+    });
+    memo.set(key, result);
+    return result;
+  };
+
+  const withLuggage = best(needSeats, needBags);
+  const chosen = withLuggage || best(needSeats, 0);
+
+  const counts = {};
+  chosen.picks.forEach((i) => {
+    counts[i] = (counts[i] || 0) + 1;
+  });
+  const vehicles = Object.keys(counts)
+    .map((i) => ({ ...fleet[i], count: counts[i] }))
+    .sort((a, b) => b.seats - a.seats);
+
+  return {
+    vehicles,
+    vehicleCount: chosen.picks.length,
+    total: chosen.cost,
+    seats: needSeats,
+    bags: needBags,
+    luggageFits: Boolean(withLuggage),
+  };
+}
+
+/**
+ * "2 × SUV + 1 × SEDAN"
+ */
+export function formatVehicleMix(vehicles = []) {
+  return vehicles.map((v) => `${v.count} × ${v.vehicleClass}`).join(" + ");
+}
+
 /**
  * Estimate a single cab leg fare.
  *
  * - Uses leg.dayFareINR / leg.nightFareINR directly from cab_legs.json
+ * - With options.pickupTime, day vs night comes from classifyCabTiming and legs that
+ *   straddle the boundary are pro-rated; otherwise options.timeOfDay picks the fare
  * - Optionally applies a global multiplier from pricing_config.json (minCabFareMultiplier)
- * - Returns per-vehicle and per-person fares
+ * - Books enough vehicles for options.travellers and options.bags: the cheapest mix of
+ *   options.variants (see findLegVariants), or only this leg's class when
+ *   options.vehicleMode is "fixed"
+ * - Returns the per-vehicle fare of this leg, the vehicles booked with their total and
+ *   per-person share, plus the day/night decision and its reason
  */
 export function estimateCabLeg(leg, pricingConfig = {}, options = {}) {
   if (!leg) {
-    return { perVehicle: 0, perPerson: 0 };
+    return {
+      perVehicle: 0,
+      perPerson: 0,
+      total: 0,
+      vehicles: [],
+      vehicleCount: 0,
+      luggageFits: true,
+      timeOfDay: "day",
+      nightShare: 0,
+      reason: "",
+    };
   }
 
-  const timeOfDay = options.timeOfDay === "night" ? "night" : "day";
   const travellers = Math.max(1, num(options.travellers) || 1);
 
-  const baseDay = num(leg.dayFareINR);
-  const baseNight = num(leg.nightFareINR) || baseDay;
-
-  // Choose base fare
-  const base = timeOfDay === "night" ? baseNight : baseDay;
+  const timing = classifyCabTiming(
+    options.pickupTime,
+    getCabLegDurationMin(leg, pricingConfig),
+    pricingConfig
+  );
+  const manualNight = options.timeOfDay === "night";
+  const nightShare = timing ? timing.nightShare : manualNight ? 1 : 0;
 
   // Optional global multiplier from pricing_config.json (if you add it later)
   const minCabFareMultiplier = num(pricingConfig.minCabFareMultiplier) || 1;
 
-  const perVehicle = base * minCabFareMultiplier;
-  const perPerson = perVehicle / travellers;
+  // Choose base fare (pro-rated when the leg crosses the night boundary)
+  const fareFor = (l) => {
+    const baseDay = num(l.dayFareINR);
+    const baseNight = num(l.nightFareINR) || baseDay;
+    return (baseDay * (1 - nightShare) + baseNight * nightShare) * minCabFareMultiplier;
+  };
+
+  const perVehicle = fareFor(leg);
+
+  const variants =
+    options.vehicleMode !== "fixed" && options.variants?.length ? options.variants : [leg];
+  const plan = planVehicles(
+    variants.map((l) => ({ leg: l, fare: fareFor(l) })),
+    {
+      seats: travellers,
+      bags: getPartyLuggage(travellers, options.bags, pricingConfig),
+    },
+    pricingConfig
+  );
+  const total = plan ? plan.total : perVehicle;
 
   return {
     perVehicle,
-    perPerson,
+    perPerson: total / travellers,
+    total,
+    vehicles: plan ? plan.vehicles : [],
+    vehicleCount: plan ? plan.vehicleCount : 1,
+    luggageFits: plan ? plan.luggageFits : true,
+    timeOfDay: timing ? timing.timeOfDay : manualNight ? "night" : "day",
+    nightShare,
+    reason: timing
+      ? timing.reason
+      : `No pickup time set – ${manualNight ? "night" : "day"} fare chosen manually.`,
   };
 }
 
@@ -53,7 +303,22 @@ export function findMatchingCabLeg(cabLegs, criteria = {}) {
       if (criteria.toZone && leg.toZone !== criteria.toZone) return false;
       if (criteria.vehicleClass && leg.vehicleClass !== criteria.vehicleClass) return false;
       if (criteria.tripType && leg.tripType !== criteria.tripType) return false;
+      // Rows with a blank serviceClass are the STANDARD fare
+      if (criteria.serviceClass && (leg.serviceClass || "STANDARD") !== criteria.serviceClass) {
+        return false;
+      }
       return true;
     }) || null
   );
 }
+
+/**
+ * Look up a selected leg. Leg ids repeat across service classes, so the selection's
+ * serviceClass picks the row (STANDARD when missing, for trips saved before it was kept).
+ */
+export function findCabLegById(cabLegs, legId, serviceClass) {
+  return (
+    findMatchingCabLeg(cabLegs, { id: legId, serviceClass: serviceClass || "STANDARD" }) ||
+    findMatchingCabLeg(cabLegs, { id: legId })
+  );
+}
@@ -0,0 +1,90 @@
+// src/components/AdventureParticipants.jsx
+import React from "react";
+
+function Counter({ label, value, min = 0, max = Infinity, onChange }) {
+  return (
+    <div className="field-group-inline">
+      <label>{label}</label>
+      <div className="stepper">
+        <button
+          type="button"
+          disabled={value <= min}
+          onClick={() => onChange(Math.max(min, value - 1))}
+        >
+          -
+        </button>
+        <span>{value}</span>
+        <button
+          type="button"
+          disabled={value >= max}
+          onClick={() => onChange(Math.min(max, value + 1))}
+        >
+          +
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function AdventureParticipants({
+  quote,
+  maxAdults,
+  maxChildren,
+  onChange,
+  formatPrice,
+}) {
+  const { unit, participants } = quote;
+
+  return (
+    <div className="adventure-participants">
+      <div className="cab-line-controls">
+        <Counter
+          label="Adults"
+          value={participants.adults}
+          max={maxAdults}
+          onChange={(adults) =>
+            onChange({ participants: { ...participants, adults } })
+          }
+        />
+        {maxChildren > 0 && (
+          <Counter
+            label="Children"
+            value={participants.children}
+            max={maxChildren}
+            onChange={(children) =>
+              onChange({ participants: { ...participants, children } })
+            }
+          />
+        )}
+        {!unit.perHead && (
+          <Counter
+            label={`${unit.noun}s`}
+            value={quote.units}
+            min={quote.unitsRequired}
+            onChange={(units) => onChange({ units })}
+          />
+        )}
+      </div>
+
+      <div className="cab-sub">
+        {unit.perHead
+          ? `${formatPrice(quote.unitPrice)} × ${quote.units}`
+          : `${quote.units} ${unit.noun}(s) × ${formatPrice(
+              quote.unitPrice
+            )} (up to ${unit.capacity} per ${unit.noun})`}
+        {quote.childDiscount > 0 &&
+          ` • child discount −${formatPrice(quote.childDiscount)}`}
+        {quote.fees > 0 &&
+          ` • permit & environment fees ${formatPrice(quote.fees)}`}
+        {" = "}
+        <strong>{formatPrice(quote.total)}</strong>
+      </div>
+
+      {quote.warnings.map((w) => (
+        <p key={w} className="warning-text">
+          {w}
+        </p>
+      ))}
+    </div>
+  );
+}
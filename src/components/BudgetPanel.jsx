@@ -0,0 +1,127 @@
+// src/components/BudgetPanel.jsx
+import React from "react";
+
+const CATEGORY_LABELS = {
+  hotels: "Hotel",
+  ferries: "Ferry",
+  cabs: "Cab",
+  adventures: "Activity",
+};
+
+export default function BudgetPanel({
+  target,
+  mode,
+  travellers,
+  status,
+  swaps,
+  onTargetChange,
+  onModeChange,
+  onApplySwap,
+  currencyCode,
+  formatPrice,
+}) {
+  const overUnder = (difference) =>
+    difference > 0.5
+      ? `${formatPrice(difference)} over`
+      : `${formatPrice(Math.abs(difference))} under`;
+
+  return (
+    <div className="budget-panel">
+      <div className="block-header">
+        <h3>Budget</h3>
+      </div>
+      <div className="budget-input">
+        <input
+          type="number"
+          min="0"
+          step="1000"
+          placeholder={`Target in ${currencyCode}`}
+          value={target}
+          onChange={(e) => onTargetChange(e.target.value)}
+        />
+        <select value={mode} onChange={(e) => onModeChange(e.target.value)}>
+          <option value="total">for the trip</option>
+          <option value="perPerson">per person</option>
+        </select>
+      </div>
+
+      {status && (
+        <>
+          <p className={status.over ? "warning-text" : "budget-ok"}>
+            {overUnder(status.difference)} a budget of{" "}
+            {formatPrice(status.budget)}
+            {travellers > 1 && ` (${formatPrice(status.perPerson)} per person)`}
+          </p>
+
+          <table className="breakdown-table budget-table">
+            <thead>
+              <tr>
+                <th />
+                <th>Budget</th>
+                <th>Planned</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {status.categories
+                .filter((c) => c.budget >= 1 || c.actual >= 1)
+                .map((c) => (
+                  <tr key={c.key}>
+                    <td>{c.label}</td>
+                    <td>{formatPrice(c.budget)}</td>
+                    <td>{formatPrice(c.actual)}</td>
+                    <td
+                      className={
+                        c.difference > 0.5 ? "budget-over" : "budget-under"
+                      }
+                    >
+                      {c.difference > 0.5 ? "+" : "−"}
+                      {formatPrice(Math.abs(c.difference))}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          <p className="cab-sub">
+            Category budgets split what is left after tax and the service fee.
+          </p>
+
+          {status.over && (
+            <div className="budget-swaps">
+              <h4>Ways to fit the budget</h4>
+              {swaps.length === 0 && (
+                <div className="empty-state">
+                  No cheaper hotels, ferries, cabs or activities to swap in. Try
+                  fewer nights or islands.
+                </div>
+              )}
+              {swaps.map((swap) => (
+                <div key={swap.id} className="cab-line budget-swap">
+                  <div>
+                    <div className="cab-title">
+                      <span className="chip chip-small">
+                        {CATEGORY_LABELS[swap.category] || swap.category}
+                      </span>{" "}
+                      {swap.label}
+                    </div>
+                    <div className="cab-sub">
+                      {swap.detail} • saves {formatPrice(swap.saving)}
+                      {swap.fits && " • fits the budget"}
+                    </div>
+                  </div>
+                  <button
+                    className="btn btn-outline btn-small"
+                    type="button"
+                    onClick={() => onApplySwap(swap)}
+                  >
+                    Apply
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
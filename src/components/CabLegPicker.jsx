@@ -0,0 +1,233 @@
+// src/components/CabLegPicker.jsx
+import React, { useMemo, useState } from "react";
+import { getVehicleCapacity } from "../cabPricing";
+import { formatZoneName } from "../cabPlanner";
+
+const TRIP_TYPES = { one_way: "One way", round_trip: "Round trip" };
+
+// Rows with a blank serviceClass are the STANDARD fare
+const serviceOf = (leg) => leg.serviceClass || "STANDARD";
+
+const uniq = (values) => [...new Set(values)].sort();
+
+function FilterSelect({ label, value, options, format = (v) => v, onChange }) {
+  return (
+    <div className="field-group-inline">
+      <label>{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Any</option>
+        {options.map((opt) => (
+          <option key={opt} value={opt}>
+            {format(opt)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default function CabLegPicker({
+  islandId,
+  legs,
+  islandById,
+  pricingConfig,
+  onAdd,
+  formatPrice,
+}) {
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  const [vehicleClass, setVehicleClass] = useState("");
+  const [tripType, setTripType] = useState("");
+  const [serviceClass, setServiceClass] = useState("");
+
+  const nameOf = (zone) => formatZoneName(zone, pricingConfig, islandById);
+
+  const filtered = useMemo(
+    () =>
+      legs.filter(
+        (l) =>
+          (!vehicleClass || l.vehicleClass === vehicleClass) &&
+          (!tripType || l.tripType === tripType) &&
+          (!serviceClass || serviceOf(l) === serviceClass)
+      ),
+    [legs, vehicleClass, tripType, serviceClass]
+  );
+
+  // Typed text matches a zone by its readable name or its raw id
+  const resolveZone = (text, zones) => {
+    const t = text.trim().toLowerCase();
+    if (!t) return null;
+    return (
+      zones.find(
+        (z) => nameOf(z).toLowerCase() === t || z.toLowerCase() === t
+      ) || null
+    );
+  };
+
+  const fromZones = uniq(filtered.map((l) => l.fromZone));
+  const fromZone = resolveZone(fromText, fromZones);
+  const toZones = uniq(
+    filtered
+      .filter((l) => !fromZone || l.fromZone === fromZone)
+      .map((l) => l.toZone)
+  );
+  const toZone = resolveZone(toText, toZones);
+
+  const hasReverse =
+    fromZone &&
+    toZone &&
+    legs.some((l) => l.fromZone === toZone && l.toZone === fromZone);
+
+  // One row per class / trip type / service class, cheapest first
+  const rows = useMemo(() => {
+    if (!fromZone || !toZone) return [];
+    const seen = new Set();
+    return filtered
+      .filter((l) => l.fromZone === fromZone && l.toZone === toZone)
+      .filter((l) => {
+        const key = `${l.vehicleClass}|${l.tripType}|${serviceOf(l)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map((leg) => ({
+        leg,
+        capacity: getVehicleCapacity(leg.vehicleClass, pricingConfig),
+      }))
+      .sort((a, b) => a.leg.dayFareINR - b.leg.dayFareINR);
+  }, [filtered, fromZone, toZone, pricingConfig]);
+
+  function reverse() {
+    setFromText(toText);
+    setToText(fromText);
+  }
+
+  return (
+    <div className="cab-leg-picker">
+      <div className="cab-line-controls">
+        <div className="field-group-inline">
+          <label>From</label>
+          <input
+            list={`cab-from-${islandId}`}
+            placeholder="Start typing a place…"
+            value={fromText}
+            onChange={(e) => setFromText(e.target.value)}
+          />
+          <datalist id={`cab-from-${islandId}`}>
+            {fromZones.map((z) => (
+              <option key={z} value={nameOf(z)} />
+            ))}
+          </datalist>
+        </div>
+        <button
+          className="btn btn-ghost btn-small"
+          type="button"
+          title="Reverse direction"
+          disabled={!fromText && !toText}
+          onClick={reverse}
+        >
+          ⇄
+        </button>
+        <div className="field-group-inline">
+          <label>To</label>
+          <input
+            list={`cab-to-${islandId}`}
+            placeholder="Destination…"
+            value={toText}
+            onChange={(e) => setToText(e.target.value)}
+          />
+          <datalist id={`cab-to-${islandId}`}>
+            {toZones.map((z) => (
+              <option key={z} value={nameOf(z)} />
+            ))}
+          </datalist>
+        </div>
+        <FilterSelect
+          label="Vehicle"
+          value={vehicleClass}
+          options={uniq(legs.map((l) => l.vehicleClass))}
+          onChange={setVehicleClass}
+        />
+        <FilterSelect
+          label="Trip"
+          value={tripType}
+          options={uniq(legs.map((l) => l.tripType))}
+          format={(t) => TRIP_TYPES[t] || t}
+          onChange={setTripType}
+        />
+        <FilterSelect
+          label="Service"
+          value={serviceClass}
+          options={uniq(legs.map(serviceOf))}
+          onChange={setServiceClass}
+        />
+      </div>
+
+      {fromZone && toZone && !rows.length && (
+        <p className="warning-text">
+          No fares from {nameOf(fromZone)} to {nameOf(toZone)} with these
+          filters.
+          {hasReverse && " Try the reverse direction."}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <table className="breakdown-table cab-fare-table">
+            <thead>
+              <tr>
+                <th>Vehicle</th>
+                <th>Seats / bags</th>
+                <th>Trip</th>
+                <th>Service</th>
+                <th>Day</th>
+                <th>Night</th>
+                <th>Per seat</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ leg, capacity }) => (
+                <tr key={`${leg.id}|${serviceOf(leg)}`}>
+                  <td>{leg.vehicleClass}</td>
+                  <td>
+                    {capacity.seats} / {capacity.bags}
+                  </td>
+                  <td>
+                    {TRIP_TYPES[leg.tripType] || leg.tripType}
+                    {leg.includedWaitMin > 0 &&
+                      ` (wait ${leg.includedWaitMin} min)`}
+                  </td>
+                  <td>{serviceOf(leg)}</td>
+                  <td>{formatPrice(leg.dayFareINR)}</td>
+                  <td>{formatPrice(leg.nightFareINR || leg.dayFareINR)}</td>
+                  <td>{formatPrice(leg.dayFareINR / capacity.seats)}</td>
+                  <td>
+                    <button
+                      className="btn btn-outline btn-small"
+                      type="button"
+                      onClick={() => onAdd(leg, "fixed")}
+                    >
+                      Add
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="cab-picker-actions">
+            <button
+              className="btn btn-primary btn-small"
+              type="button"
+              onClick={() => onAdd(rows[0].leg, "auto")}
+            >
+              Add with cheapest vehicle mix for the party (
+              {TRIP_TYPES[rows[0].leg.tripType] || rows[0].leg.tripType},{" "}
+              {serviceOf(rows[0].leg)})
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
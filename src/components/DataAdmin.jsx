@@ -0,0 +1,542 @@
+// src/components/DataAdmin.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { loadRawDatasets } from "../dataLoader";
+import {
+  EDITABLE_DATASET_KEYS,
+  applyBulkChange,
+  bumpDataVersion,
+  diffDataset,
+  formatCellValue,
+  getColumns,
+  getEditableDatasets,
+  getFilterOptions,
+  getNumericPaths,
+  getValue,
+  matchesFilters,
+  parseCellInput,
+  serializeDataset,
+  setValue,
+  validateDatasetEdits,
+} from "../dataAdmin";
+import { downloadTextFile } from "../quoteExport";
+
+const PAGE_SIZE = 50;
+const MAX_LISTED = 200;
+
+const BULK_OPS = [
+  { id: "percent", label: "Change by %" },
+  { id: "add", label: "Add" },
+  { id: "set", label: "Set to" },
+];
+
+const DATASET_LABELS = {
+  cabLegs: "Cab legs",
+  hotels: "Hotels",
+  ferryRoutes: "Ferry routes",
+  adventures: "Adventures",
+};
+
+const datasets = getEditableDatasets();
+
+const formatDiffValue = (v) => (v == null || v === "" ? "—" : String(v));
+
+export default function DataAdmin() {
+  const [activeKey, setActiveKey] = useState(EDITABLE_DATASET_KEYS[0]);
+  const [original, setOriginal] = useState({});
+  const [edited, setEdited] = useState({});
+  const [islands, setIslands] = useState([]);
+  const [meta, setMeta] = useState({});
+  const [loadErrors, setLoadErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const [filters, setFilters] = useState({});
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(0);
+  // "<row>|<path>" → message for cells whose text could not be parsed
+  const [cellErrors, setCellErrors] = useState({});
+  const [bulk, setBulk] = useState({
+    path: "",
+    op: "percent",
+    amount: "",
+    roundTo: "1",
+  });
+  const [bulkNote, setBulkNote] = useState("");
+  const [showDiff, setShowDiff] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadAll() {
+      const { values, errors } = await loadRawDatasets([
+        ...EDITABLE_DATASET_KEYS,
+        "islands",
+        "meta",
+      ]);
+      if (cancelled) return;
+
+      const records = {};
+      EDITABLE_DATASET_KEYS.forEach((key) => {
+        records[key] = Array.isArray(values[key]) ? values[key] : [];
+      });
+      setOriginal(records);
+      setEdited(records);
+      setIslands(Array.isArray(values.islands) ? values.islands : []);
+      setMeta(values.meta || {});
+      setLoadErrors(errors);
+      setLoading(false);
+    }
+
+    loadAll();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const dataset = datasets.find((d) => d.key === activeKey);
+  const records = edited[activeKey] || [];
+  const loaded = original[activeKey] || [];
+
+  const columns = useMemo(() => getColumns(loaded), [loaded]);
+  const filterOptions = useMemo(() => getFilterOptions(loaded), [loaded]);
+  const numericPaths = useMemo(() => getNumericPaths(loaded), [loaded]);
+
+  const context = useMemo(
+    () =>
+      islands.length
+        ? { islandIds: new Set(islands.map((i) => i.id)), islands }
+        : {},
+    [islands]
+  );
+  const validation = useMemo(
+    () => validateDatasetEdits(dataset, records, context),
+    [dataset, records, context]
+  );
+  const loadedWarnings = useMemo(
+    () => validateDatasetEdits(dataset, loaded, context).warnings.length,
+    [dataset, loaded, context]
+  );
+
+  const diffs = useMemo(() => {
+    const out = {};
+    datasets.forEach((d) => {
+      out[d.key] = diffDataset(d, original[d.key], edited[d.key]);
+    });
+    return out;
+  }, [original, edited]);
+  const changedKeys = EDITABLE_DATASET_KEYS.filter(
+    (key) => diffs[key]?.changed.length
+  );
+  const diff = diffs[activeKey];
+  const nextVersion = bumpDataVersion(meta.dataVersion);
+
+  const rows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return records
+      .map((record, index) => ({ record, index }))
+      .filter(({ record }) => matchesFilters(record, filters))
+      .filter(
+        ({ record }) =>
+          !term || JSON.stringify(record).toLowerCase().includes(term)
+      );
+  }, [records, filters, search]);
+  const matchingFilters = records.filter((r) =>
+    matchesFilters(r, filters)
+  ).length;
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(
+    currentPage * PAGE_SIZE,
+    (currentPage + 1) * PAGE_SIZE
+  );
+
+  function switchDataset(key) {
+    setActiveKey(key);
+    setFilters({});
+    setSearch("");
+    setPage(0);
+    setCellErrors({});
+    setBulk((prev) => ({ ...prev, path: "" }));
+    setBulkNote("");
+  }
+
+  function updateRecords(next) {
+    setEdited((prev) => ({ ...prev, [activeKey]: next }));
+  }
+
+  function handleCellCommit(index, column, text) {
+    const cellKey = `${index}|${column.path}`;
+    const { value, error } = parseCellInput(text, column.kind);
+    setCellErrors((prev) => {
+      const next = { ...prev };
+      if (error) next[cellKey] = error;
+      else delete next[cellKey];
+      return next;
+    });
+    if (error) return;
+    if (
+      JSON.stringify(getValue(records[index], column.path)) ===
+      JSON.stringify(value)
+    ) {
+      return;
+    }
+    updateRecords(
+      records.map((r, i) => (i === index ? setValue(r, column.path, value) : r))
+    );
+  }
+
+  function handleApplyBulk() {
+    if (!bulk.path || bulk.amount === "") return;
+    const result = applyBulkChange(records, { filters, ...bulk });
+    updateRecords(result.records);
+    setBulkNote(
+      `Changed ${result.changed} of ${matchingFilters} matching record(s).`
+    );
+  }
+
+  function handleRevert() {
+    updateRecords(loaded);
+    setCellErrors({});
+    setBulkNote("");
+  }
+
+  function handleExportDataset(key) {
+    const file = datasets.find((d) => d.key === key).file;
+    downloadTextFile(file, serializeDataset(edited[key]), "application/json");
+  }
+
+  function handleExportMeta() {
+    downloadTextFile(
+      "meta.json",
+      serializeDataset({ ...meta, dataVersion: nextVersion }),
+      "application/json"
+    );
+  }
+
+  if (loading) {
+    return <div className="app-loading">Loading data files…</div>;
+  }
+
+  return (
+    <div className="admin-root">
+      <header className="admin-header">
+        <div>
+          <h1>Data editor</h1>
+          <p className="app-subtitle">
+            Edit the pricing files, then download them and replace the copies in
+            public/data. Nothing is saved in the browser.
+          </p>
+        </div>
+        <a className="btn btn-outline btn-small" href="#">
+          Back to planner
+        </a>
+      </header>
+
+      <div className="chip-row">
+        {datasets.map((d) => (
+          <button
+            key={d.key}
+            type="button"
+            className={"chip " + (d.key === activeKey ? "chip-active" : "")}
+            onClick={() => switchDataset(d.key)}
+          >
+            <span className="chip-title">{DATASET_LABELS[d.key] || d.key}</span>
+            <span className="chip-sub">
+              {d.file} • {(edited[d.key] || []).length}
+              {diffs[d.key]?.changed.length > 0 &&
+                ` • ${diffs[d.key].changed.length} edited`}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {loadErrors[activeKey] && (
+        <p className="warning-text">
+          Could not load {dataset.file}: {loadErrors[activeKey]}
+        </p>
+      )}
+
+      <section className="panel admin-panel">
+        <div className="admin-filters">
+          <input
+            type="search"
+            placeholder="Search records"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(0);
+            }}
+          />
+          {Object.entries(filterOptions).map(([path, values]) => (
+            <select
+              key={path}
+              value={filters[path] || ""}
+              onChange={(e) => {
+                setFilters((prev) => ({ ...prev, [path]: e.target.value }));
+                setPage(0);
+              }}
+            >
+              <option value="">Any {path}</option>
+              {values.map((v) => (
+                <option key={v} value={v}>
+                  {v}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+
+        <div className="admin-bulk">
+          <strong>Bulk change</strong>
+          <select
+            value={bulk.path}
+            onChange={(e) => {
+              const path = e.target.value;
+              // Fares round to whole rupees; multipliers and the like are kept
+              setBulk((prev) => ({
+                ...prev,
+                path,
+                roundTo: /INR$/.test(path) ? "1" : "0",
+              }));
+            }}
+          >
+            <option value="">Field…</option>
+            {numericPaths.map((path) => (
+              <option key={path} value={path}>
+                {path}
+              </option>
+            ))}
+          </select>
+          <select
+            value={bulk.op}
+            onChange={(e) =>
+              setBulk((prev) => ({ ...prev, op: e.target.value }))
+            }
+          >
+            {BULK_OPS.map((op) => (
+              <option key={op.id} value={op.id}>
+                {op.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="any"
+            placeholder="Amount"
+            value={bulk.amount}
+            onChange={(e) =>
+              setBulk((prev) => ({ ...prev, amount: e.target.value }))
+            }
+          />
+          <label className="admin-round">
+            Round to
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={bulk.roundTo}
+              onChange={(e) =>
+                setBulk((prev) => ({ ...prev, roundTo: e.target.value }))
+              }
+            />
+          </label>
+          <button
+            className="btn btn-primary btn-small"
+            type="button"
+            disabled={!bulk.path || bulk.amount === ""}
+            onClick={handleApplyBulk}
+          >
+            Apply to {matchingFilters} record(s)
+          </button>
+        </div>
+        <p className="cab-sub">
+          Bulk changes apply to every record matching the filters (search is
+          ignored). Blank fares stay blank unless set outright.
+          {bulkNote && ` ${bulkNote}`}
+        </p>
+
+        <div className="admin-grid-wrap">
+          <table className="breakdown-table admin-grid">
+            <thead>
+              <tr>
+                <th>#</th>
+                {columns.map((c) => (
+                  <th key={c.path}>{c.path}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map(({ record, index }) => (
+                <tr
+                  key={index}
+                  className={
+                    validation.invalidRows.has(index) ? "admin-row-invalid" : ""
+                  }
+                >
+                  <td className="cab-sub">{index + 1}</td>
+                  {columns.map((column) => {
+                    const value = getValue(record, column.path);
+                    const text = formatCellValue(value, column.kind);
+                    const cellKey = `${index}|${column.path}`;
+                    const changed =
+                      JSON.stringify(value) !==
+                      JSON.stringify(getValue(loaded[index], column.path));
+                    return (
+                      <td
+                        key={column.path}
+                        className={
+                          (changed ? "admin-cell-edited " : "") +
+                          (cellErrors[cellKey] ? "admin-cell-error" : "")
+                        }
+                        title={cellErrors[cellKey] || ""}
+                      >
+                        <input
+                          key={text}
+                          className={`admin-input admin-input-${column.kind}`}
+                          defaultValue={text}
+                          onBlur={(e) =>
+                            handleCellCommit(index, column, e.target.value)
+                          }
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="admin-pager">
+          <button
+            className="btn btn-ghost btn-small"
+            type="button"
+            disabled={currentPage === 0}
+            onClick={() => setPage(currentPage - 1)}
+          >
+            ‹ Prev
+          </button>
+          <span className="cab-sub">
+            Page {currentPage + 1} of {pageCount} • {rows.length} record(s)
+          </span>
+          <button
+            className="btn btn-ghost btn-small"
+            type="button"
+            disabled={currentPage >= pageCount - 1}
+            onClick={() => setPage(currentPage + 1)}
+          >
+            Next ›
+          </button>
+        </div>
+      </section>
+
+      <section className="panel admin-panel">
+        <div className="block-header">
+          <h3>Validation</h3>
+          <span className="cab-sub">
+            {validation.warnings.length} warning(s) • {loadedWarnings} in the
+            file as loaded
+          </span>
+        </div>
+        {validation.warnings.length > 0 ? (
+          <ul className="diagnostics-warnings">
+            {validation.warnings.slice(0, MAX_LISTED).map((w, i) => (
+              <li key={i}>{w}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="budget-ok">Every record loads cleanly.</p>
+        )}
+      </section>
+
+      <section className="panel admin-panel">
+        <div className="block-header">
+          <h3>Changes</h3>
+          <div className="admin-actions">
+            <button
+              className="btn btn-ghost btn-small"
+              type="button"
+              disabled={!diff.changed.length}
+              onClick={() => setShowDiff((v) => !v)}
+            >
+              {showDiff ? "Hide diff" : "Show diff"}
+            </button>
+            <button
+              className="btn btn-ghost btn-small"
+              type="button"
+              disabled={!diff.changed.length}
+              onClick={handleRevert}
+            >
+              Revert {dataset.file}
+            </button>
+          </div>
+        </div>
+        <p className="cab-sub">
+          {diff.changed.length} record(s) edited in {dataset.file}.
+        </p>
+        {showDiff && (
+          <table className="breakdown-table admin-diff">
+            <thead>
+              <tr>
+                <th>Record</th>
+                <th>Field</th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.changed.slice(0, MAX_LISTED).flatMap((change) =>
+                change.fields.map((f) => (
+                  <tr key={`${change.key}|${f.path}`}>
+                    <td>{change.key}</td>
+                    <td>{f.path}</td>
+                    <td className="budget-over">{formatDiffValue(f.before)}</td>
+                    <td className="budget-under">{formatDiffValue(f.after)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        )}
+        {showDiff && diff.changed.length > MAX_LISTED && (
+          <p className="cab-sub">
+            …and {diff.changed.length - MAX_LISTED} more record(s).
+          </p>
+        )}
+      </section>
+
+      <section className="panel admin-panel">
+        <div className="block-header">
+          <h3>Export</h3>
+        </div>
+        <p className="cab-sub">
+          Exported files are plain JSON: comments in the originals are not kept.
+          Bump the data version so saved trips pick up the new prices.
+        </p>
+        <div className="admin-actions">
+          {changedKeys.map((key) => (
+            <button
+              key={key}
+              className="btn btn-outline btn-small"
+              type="button"
+              onClick={() => handleExportDataset(key)}
+            >
+              Download {datasets.find((d) => d.key === key).file}
+            </button>
+          ))}
+          <button
+            className="btn btn-primary btn-small"
+            type="button"
+            disabled={!changedKeys.length}
+            onClick={handleExportMeta}
+          >
+            Download meta.json ({meta.dataVersion || "no version"} →{" "}
+            {nextVersion})
+          </button>
+        </div>
+        {!changedKeys.length && <p className="cab-sub">No edits yet.</p>}
+      </section>
+    </div>
+  );
+}
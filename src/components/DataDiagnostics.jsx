@@ -0,0 +1,54 @@
+// src/components/DataDiagnostics.jsx
+import React from "react";
+
+const MAX_WARNINGS_SHOWN = 12;
+
+const STATUS_LABELS = {
+  ok: "OK",
+  warning: "Warnings",
+  error: "Not loaded",
+};
+
+export default function DataDiagnostics({ diagnostics }) {
+  if (!diagnostics || !diagnostics.length) return null;
+
+  const problems = diagnostics.filter((d) => d.status !== "ok");
+  if (!problems.length) return null;
+
+  const failed = diagnostics.filter((d) => d.status === "error").length;
+
+  return (
+    <details className="panel diagnostics-panel">
+      <summary>
+        Data diagnostics – {diagnostics.length - failed}/{diagnostics.length}{" "}
+        files loaded, {problems.length} with issues
+      </summary>
+      <p className="panel-hint">
+        The planner keeps working with the data that loaded cleanly. Records
+        listed as skipped are left out of pricing and suggestions.
+      </p>
+      <ul className="diagnostics-list">
+        {diagnostics.map((d) => (
+          <li key={d.key} className={`diagnostics-item diagnostics-${d.status}`}>
+            <div className="diagnostics-head">
+              <strong>{d.file}</strong>
+              <span className="pill pill-soft">
+                {STATUS_LABELS[d.status]} • {d.count} records
+              </span>
+            </div>
+            {d.warnings.length > 0 && (
+              <ul className="diagnostics-warnings">
+                {d.warnings.slice(0, MAX_WARNINGS_SHOWN).map((w, i) => (
+                  <li key={i}>{w}</li>
+                ))}
+                {d.warnings.length > MAX_WARNINGS_SHOWN && (
+                  <li>…and {d.warnings.length - MAX_WARNINGS_SHOWN} more</li>
+                )}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
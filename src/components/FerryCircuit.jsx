@@ -0,0 +1,43 @@
+// src/components/FerryCircuit.jsx
+import React from "react";
+
+export default function FerryCircuit({ plan, islandById, compact = false }) {
+  if (!plan) return null;
+  const nameOf = (id) => islandById[id]?.name || id;
+
+  return (
+    <div className="ferry-circuit">
+      {plan.order.length > 1 ? (
+        <p>
+          <strong>Ferry circuit:</strong> {plan.order.map(nameOf).join(" → ")}
+        </p>
+      ) : (
+        <p className="panel-hint">
+          Select at least one island besides the gateway to plan ferries.
+        </p>
+      )}
+
+      {!compact && plan.sectors.length > 0 && (
+        <ul className="ferry-circuit-sectors">
+          {plan.sectors.map((s) => (
+            <li key={`${s.fromId}-${s.toId}`}>
+              {nameOf(s.fromId)} → {nameOf(s.toId)}
+              {s.islands.length > 2 && (
+                <span className="pill pill-soft">
+                  via {s.islands.slice(1, -1).map(nameOf).join(", ")}
+                </span>
+              )}
+              <span className="ferry-circuit-meta">~{s.durationMin} min</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {plan.unreachable.map((u) => (
+        <p key={u.islandId} className="warning-text">
+          {u.reason}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// src/components/HotelNightBreakdown.jsx
+import React from "react";
+
+const SEASON_LABELS = {
+  peak: "Peak",
+  shoulder: "Shoulder",
+  lean: "Lean",
+};
+
+export default function HotelNightBreakdown({ quote, tax, formatPrice }) {
+  if (!quote || !quote.nights.length) return null;
+
+  return (
+    <div className="hotel-breakdown">
+      <table className="breakdown-table">
+        <thead>
+          <tr>
+            <th>Night</th>
+            <th>Season</th>
+            <th>Room rate</th>
+            <th>Rooms</th>
+            <th>Extra beds</th>
+            <th>Subtotal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quote.nights.map((n) => {
+            const beds = n.extraAdultBeds + n.extraChildBeds;
+            return (
+              <tr key={n.index}>
+                <td>{n.date || `Night ${n.index}`}</td>
+                <td>
+                  {n.season
+                    ? `${SEASON_LABELS[n.season] || n.season} ×${n.multiplier}`
+                    : "Undated"}
+                </td>
+                <td>{formatPrice(n.roomRate)}</td>
+                <td>{n.rooms}</td>
+                <td>{beds ? `${beds} • ${formatPrice(n.extraBedCost)}` : "–"}</td>
+                <td>{formatPrice(n.subtotal)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+        <tfoot>
+          {tax?.tax > 0 && (
+            <tr>
+              <td colSpan={5}>GST ({tax.rates} by room rate)</td>
+              <td>{formatPrice(tax.tax)}</td>
+            </tr>
+          )}
+          <tr>
+            <td colSpan={5}>
+              {tax?.tax > 0 ? "Stay total incl. GST" : "Stay total"}
+            </td>
+            <td>{formatPrice(quote.total + (tax?.tax || 0))}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {quote.warnings.map((w) => (
+        <p key={w} className="warning-text">
+          {w}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+// src/components/IslandMap.jsx
+import React, { useState } from "react";
+import {
+  ARCHIPELAGO_OUTLINES,
+  createProjection,
+  getBounds,
+  getFerryPaths,
+  hasCoordinates,
+} from "../islandMap";
+
+const MAP_WIDTH = 320;
+
+// Enter / Space on a focused marker acts like a click
+const onActivate = (action) => (e) => {
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    action();
+  }
+};
+
+export default function IslandMap({
+  islands,
+  islandById,
+  pins,
+  selectedIslands,
+  selectedLocationIds,
+  ferryPlan,
+  onToggleIsland,
+  onToggleLocation,
+}) {
+  const [zoomToPlan, setZoomToPlan] = useState(true);
+
+  const mappedIslands = islands.filter(hasCoordinates);
+  const mappedPins = pins.filter(hasCoordinates);
+  const selectedPins = mappedPins.filter((loc) =>
+    selectedLocationIds.includes(loc.id)
+  );
+
+  const coast = ARCHIPELAGO_OUTLINES.flatMap((o) =>
+    o.points.map(([lat, lng]) => ({ lat, lng }))
+  );
+  const planPoints = [
+    ...mappedIslands.filter((i) => selectedIslands.includes(i.id)),
+    ...selectedPins,
+  ];
+  const bounds =
+    zoomToPlan && planPoints.length
+      ? getBounds(planPoints)
+      : getBounds([...coast, ...mappedIslands, ...selectedPins]);
+  const projection = createProjection(bounds, { width: MAP_WIDTH });
+
+  const { project } = projection;
+  const toPoints = (list) =>
+    list
+      .map((p) => project(p))
+      .map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`)
+      .join(" ");
+
+  const ferryPaths = getFerryPaths(ferryPlan, islandById);
+  const unmapped = pins.length - mappedPins.length;
+
+  return (
+    <div className="island-map">
+      <div className="block-header">
+        <h3>Map</h3>
+        <button
+          className="btn btn-ghost btn-small"
+          type="button"
+          disabled={!selectedIslands.length && !selectedPins.length}
+          onClick={() => setZoomToPlan((v) => !v)}
+        >
+          {zoomToPlan ? "Whole archipelago" : "Zoom to plan"}
+        </button>
+      </div>
+
+      <svg
+        className="island-map-svg"
+        viewBox={`0 0 ${MAP_WIDTH} ${projection.height.toFixed(1)}`}
+        role="group"
+        aria-label="Map of selected islands, ferry route and places"
+      >
+        <rect
+          className="island-map-sea"
+          width={MAP_WIDTH}
+          height={projection.height}
+        />
+        {ARCHIPELAGO_OUTLINES.map((outline) => (
+          <polygon
+            key={outline.id}
+            className="island-map-land"
+            points={toPoints(
+              outline.points.map(([lat, lng]) => ({ lat, lng }))
+            )}
+          />
+        ))}
+
+        {ferryPaths.map((path) => (
+          <polyline
+            key={path.key}
+            className="island-map-ferry"
+            points={toPoints(path.points)}
+          />
+        ))}
+
+        {mappedIslands.map((island) => {
+          const { x, y } = project(island);
+          const selected = selectedIslands.includes(island.id);
+          return (
+            <g
+              key={island.id}
+              className={
+                "island-map-island " + (selected ? "island-map-selected" : "")
+              }
+              role="button"
+              tabIndex={0}
+              aria-pressed={selected}
+              aria-label={island.name}
+              onClick={() => onToggleIsland(island.id)}
+              onKeyDown={onActivate(() => onToggleIsland(island.id))}
+            >
+              <title>
+                {island.name} – {selected ? "remove" : "add"} island
+              </title>
+              <circle cx={x} cy={y} r={7} />
+              <text x={x + 10} y={y + 4}>
+                {island.name.replace(/\s*\(.*\)$/, "")}
+              </text>
+            </g>
+          );
+        })}
+
+        {mappedPins.map((loc) => {
+          const { x, y } = project(loc);
+          const selected = selectedLocationIds.includes(loc.id);
+          return (
+            <circle
+              key={loc.id}
+              className={
+                "island-map-pin " + (selected ? "island-map-selected" : "")
+              }
+              cx={x}
+              cy={y}
+              r={selected ? 4.5 : 3}
+              role="button"
+              tabIndex={0}
+              aria-pressed={selected}
+              aria-label={loc.location}
+              onClick={() => onToggleLocation(loc.id)}
+              onKeyDown={onActivate(() => onToggleLocation(loc.id))}
+            >
+              <title>
+                {loc.location} – {selected ? "remove from" : "add to"} trip
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+
+      <p className="cab-sub">
+        Tap an island or a pin to add or remove it. Dashed lines are the ferry
+        circuit.
+        {unmapped > 0 && ` ${unmapped} place(s) have no coordinates yet.`}
+      </p>
+    </div>
+  );
+}
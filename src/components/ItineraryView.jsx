@@ -0,0 +1,195 @@
+// src/components/ItineraryView.jsx
+import React, { useState } from "react";
+
+const KIND_LABELS = {
+  arrival: "Arrival",
+  stay: "Sightseeing",
+  travel: "Ferry day",
+  departure: "Departure",
+};
+
+const TIMING_LABELS = {
+  early: "Early morning",
+  sunset: "Sunrise / sunset",
+  any: "Flexible",
+};
+
+const formatHours = (h) => `${Math.round(h * 10) / 10} h`;
+
+function describeTransfer(ferry, nameOf) {
+  if (!ferry.byFerry) {
+    return `Road / charter transfer from ${nameOf(ferry.fromId)}`;
+  }
+  const via = ferry.via.length
+    ? ` via ${ferry.via.map(nameOf).join(", ")}`
+    : "";
+  return `Ferry ${nameOf(ferry.fromId)} → ${nameOf(ferry.toId)}${via} (~${
+    ferry.durationMin
+  } min)`;
+}
+
+export default function ItineraryView({
+  itinerary,
+  islandById,
+  onMoveItem,
+  onReset,
+  hasOverrides,
+}) {
+  const [dragKey, setDragKey] = useState(null);
+  const nameOf = (id) => islandById[id]?.name || id;
+
+  if (!itinerary || !itinerary.days.length) {
+    return (
+      <div className="empty-state">
+        Pick islands and trip length to build an itinerary.
+      </div>
+    );
+  }
+
+  const dragItem = dragKey
+    ? itinerary.days.flatMap((d) => d.items).find((i) => i.key === dragKey)
+    : null;
+
+  function handleDrop(e, dayIndex, position) {
+    e.preventDefault();
+    e.stopPropagation();
+    const key = e.dataTransfer.getData("text/plain") || dragKey;
+    setDragKey(null);
+    if (key) onMoveItem(key, dayIndex, position);
+  }
+
+  return (
+    <div className="itinerary">
+      <div className="block-header">
+        <p className="panel-hint">
+          Drag activities to reorder them or move them to another day on the
+          same island. Use the arrows on touch screens.
+        </p>
+        {hasOverrides && (
+          <button
+            className="btn btn-ghost btn-small"
+            type="button"
+            onClick={onReset}
+          >
+            Reset to suggested order
+          </button>
+        )}
+      </div>
+
+      {itinerary.days.map((day) => {
+        const canDrop = !dragItem || dragItem.islandId === day.islandId;
+        return (
+          <section
+            key={day.index}
+            className={
+              "itinerary-day " +
+              (day.overbooked ? "itinerary-day-over " : "") +
+              (dragItem && !canDrop ? "itinerary-day-disabled" : "")
+            }
+            onDragOver={(e) => canDrop && e.preventDefault()}
+            onDrop={(e) =>
+              canDrop && handleDrop(e, day.index, day.items.length)
+            }
+          >
+            <header className="itinerary-day-header">
+              <div>
+                <h4>
+                  Day {day.index}
+                  {day.date ? ` • ${day.date}` : ""} – {nameOf(day.islandId)}
+                </h4>
+                <p className="card-sub">
+                  {KIND_LABELS[day.kind]}
+                  {day.ferry && ` • ${describeTransfer(day.ferry, nameOf)}`}
+                </p>
+              </div>
+              <span
+                className={
+                  "pill " + (day.overbooked ? "pill-warn" : "pill-soft")
+                }
+              >
+                {formatHours(day.usedHours)} / {formatHours(day.capacityHours)}
+              </span>
+            </header>
+
+            {day.items.length ? (
+              <ol className="itinerary-items">
+                {day.items.map((item, position) => (
+                  <li
+                    key={item.key}
+                    className="itinerary-item"
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData("text/plain", item.key);
+                      e.dataTransfer.effectAllowed = "move";
+                      setDragKey(item.key);
+                    }}
+                    onDragEnd={() => setDragKey(null)}
+                    onDragOver={(e) => canDrop && e.preventDefault()}
+                    onDrop={(e) =>
+                      canDrop && handleDrop(e, day.index, position)
+                    }
+                  >
+                    <span className="itinerary-handle" aria-hidden="true">
+                      ⋮⋮
+                    </span>
+                    <div className="itinerary-item-main">
+                      <div className="cab-title">{item.name}</div>
+                      <div className="cab-sub">
+                        {item.type === "adventure" ? "Activity" : "Place"} •{" "}
+                        {formatHours(item.hours)} • {TIMING_LABELS[item.timing]}
+                        {item.note ? ` • ${item.note}` : ""}
+                      </div>
+                    </div>
+                    <div className="itinerary-item-moves">
+                      <button
+                        type="button"
+                        className="btn btn-ghost btn-small"
+                        disabled={position === 0}
+                        onClick={() =>
+                          onMoveItem(item.key, day.index, position - 1)
+                        }
+                        aria-label="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-ghost btn-small"
+                        disabled={position === day.items.length - 1}
+                        onClick={() =>
+                          onMoveItem(item.key, day.index, position + 1)
+                        }
+                        aria-label="Move down"
+                      >
+                        ↓
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <div className="empty-state small">
+                {day.kind === "departure"
+                  ? "Transfer to the airport."
+                  : "Free time / beach day."}
+              </div>
+            )}
+          </section>
+        );
+      })}
+
+      {itinerary.unscheduled.length > 0 && (
+        <div className="itinerary-unscheduled">
+          <h4>Not scheduled</h4>
+          <ul>
+            {itinerary.unscheduled.map((item) => (
+              <li key={item.key} className="warning-text">
+                {item.name} – {item.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
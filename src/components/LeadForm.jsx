@@ -0,0 +1,155 @@
+// src/components/LeadForm.jsx
+import React, { useState } from "react";
+import { CONTACT_METHODS, validateLeadContact } from "../leadCapture";
+
+const EMPTY_CONTACT = {
+  name: "",
+  phone: "",
+  email: "",
+  preferredContact: "whatsapp",
+  notes: "",
+};
+
+const STATUS_MESSAGES = {
+  sent: "Thanks! Our team will get back to you with a detailed quote shortly.",
+  queued:
+    "We couldn't reach our server. Your request is saved and will be sent automatically when we retry.",
+  queuedOffline:
+    "You seem to be offline. Your request is saved and will be sent automatically once you're back online.",
+};
+
+export default function LeadForm({ onSubmit, onClose }) {
+  const [contact, setContact] = useState(EMPTY_CONTACT);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle");
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const update = (field) => (e) =>
+    setContact((prev) => ({ ...prev, [field]: e.target.value }));
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const found = validateLeadContact(contact);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setStatus("sending");
+    const result = await onSubmit(contact);
+    setStatus(result.status);
+    setQueuedOffline(Boolean(result.offline));
+    setErrorMessage(result.error || "");
+  }
+
+  if (status === "sent" || status === "queued") {
+    return (
+      <div className="lead-form">
+        <p className="panel-hint">
+          {STATUS_MESSAGES[queuedOffline ? "queuedOffline" : status]}
+        </p>
+        <button
+          className="btn btn-outline btn-small"
+          type="button"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="lead-form" onSubmit={handleSubmit} noValidate>
+      <h3>Request detailed quote</h3>
+
+      <div className="field-group">
+        <label htmlFor="lead-name">Name</label>
+        <input
+          id="lead-name"
+          type="text"
+          autoComplete="name"
+          value={contact.name}
+          onChange={update("name")}
+        />
+        {errors.name && <p className="warning-text">{errors.name}</p>}
+      </div>
+
+      <div className="field-group">
+        <label htmlFor="lead-phone">Phone</label>
+        <input
+          id="lead-phone"
+          type="tel"
+          autoComplete="tel"
+          placeholder="+91 98xxxxxxxx"
+          value={contact.phone}
+          onChange={update("phone")}
+        />
+        {errors.phone && <p className="warning-text">{errors.phone}</p>}
+      </div>
+
+      <div className="field-group">
+        <label htmlFor="lead-email">Email</label>
+        <input
+          id="lead-email"
+          type="email"
+          autoComplete="email"
+          value={contact.email}
+          onChange={update("email")}
+        />
+        {errors.email && <p className="warning-text">{errors.email}</p>}
+      </div>
+
+      <div className="field-group">
+        <label htmlFor="lead-contact">Preferred contact</label>
+        <select
+          id="lead-contact"
+          value={contact.preferredContact}
+          onChange={update("preferredContact")}
+        >
+          {CONTACT_METHODS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        {errors.preferredContact && (
+          <p className="warning-text">{errors.preferredContact}</p>
+        )}
+      </div>
+
+      <div className="field-group">
+        <label htmlFor="lead-notes">Anything else? (optional)</label>
+        <textarea
+          id="lead-notes"
+          rows={2}
+          value={contact.notes}
+          onChange={update("notes")}
+        />
+      </div>
+
+      {status === "failed" && (
+        <p className="warning-text">
+          Could not send your request{errorMessage ? ` (${errorMessage})` : ""}.
+          Please try again.
+        </p>
+      )}
+
+      <div className="lead-form-actions">
+        <button
+          className="btn btn-primary btn-small"
+          type="submit"
+          disabled={status === "sending"}
+        >
+          {status === "sending" ? "Sending…" : "Send request"}
+        </button>
+        <button
+          className="btn btn-ghost btn-small"
+          type="button"
+          onClick={onClose}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,17 +1,70 @@
 // src/components/MobileSummaryBar.jsx
 import React from "react";
 
-export default function MobileSummaryBar({ totalINR, onOpenSummary }) {
+export default function MobileSummaryBar({
+  total,
+  steps,
+  activeStep,
+  onStepChange,
+  onOpenSummary,
+}) {
+  const index = steps.findIndex((s) => s.id === activeStep);
+  const prev = steps[index - 1];
+  const next = steps[index + 1];
+
   return (
     <div className="mobile-summary-bar">
+      <div className="mobile-step-nav">
+        <button
+          className="btn btn-ghost btn-small"
+          type="button"
+          disabled={!prev}
+          onClick={() => onStepChange(prev.id)}
+        >
+          ‹ Back
+        </button>
+        <div className="mobile-step-dots">
+          {steps.map((step) => (
+            <button
+              key={step.id}
+              type="button"
+              aria-label={`Step ${step.id}: ${step.label}${
+                step.done ? " (done)" : ""
+              }`}
+              className={
+                "mobile-step-dot " +
+                (step.done ? "mobile-step-done " : "") +
+                (step.id === activeStep ? "mobile-step-active" : "")
+              }
+              onClick={() => onStepChange(step.id)}
+            >
+              {step.done ? "✓" : step.id}
+            </button>
+          ))}
+        </div>
+        <button
+          className="btn btn-ghost btn-small"
+          type="button"
+          disabled={!next}
+          onClick={() => onStepChange(next.id)}
+        >
+          Next ›
+        </button>
+      </div>
       <div className="mobile-summary-inner">
         <div className="mobile-summary-main">
-          <span className="mobile-summary-label">Trip estimate</span>
+          <span className="mobile-summary-label">
+            Step {activeStep}: {steps[index]?.label}
+          </span>
           <span className="mobile-summary-total">
-            {totalINR || "Select locations & adventures"}
+            {total || "Select locations & adventures"}
           </span>
         </div>
-        <button className="btn-mobile-summary" onClick={onOpenSummary}>
+        <button
+          className="btn-mobile-summary"
+          type="button"
+          onClick={onOpenSummary}
+        >
           View breakdown
         </button>
       </div>
@@ -0,0 +1,120 @@
+// src/components/MobileSummaryDrawer.jsx
+import React, { useEffect } from "react";
+import { BREAKDOWN_CATEGORIES } from "../tripBreakdown";
+
+// Bottom sheet with the full quote breakdown; amounts are already in the
+// display currency (see convertBreakdown)
+export default function MobileSummaryDrawer({
+  breakdown,
+  formatPrice,
+  onClose,
+}) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const categories = BREAKDOWN_CATEGORIES.filter((c) =>
+    breakdown.lines.some((line) => line.category === c)
+  );
+
+  return (
+    <div className="mobile-drawer-backdrop" onClick={onClose}>
+      <div
+        className="mobile-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Trip breakdown"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mobile-drawer-handle" />
+        <div className="block-header">
+          <h2>Trip breakdown</h2>
+          <button
+            className="btn btn-ghost btn-small"
+            type="button"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+        <p className="cab-sub">
+          {breakdown.header.nights} nights • {breakdown.header.travellers}{" "}
+          traveller(s)
+          {breakdown.header.route.length > 0 &&
+            ` • ${breakdown.header.route.join(" → ")}`}
+        </p>
+
+        {!categories.length && (
+          <div className="empty-state">
+            Nothing priced yet. Pick islands, places and hotels to see the
+            breakdown.
+          </div>
+        )}
+
+        {categories.map((category) => (
+          <section key={category} className="mobile-drawer-section">
+            <div className="summary-line mobile-drawer-category">
+              <span>{category}</span>
+              <span>{formatPrice(breakdown.categoryTotals[category])}</span>
+            </div>
+            {breakdown.lines
+              .filter((line) => line.category === category)
+              .map((line, i) => (
+                <div key={i} className="cab-line">
+                  <div>
+                    <div className="cab-title">{line.item}</div>
+                    {line.details && (
+                      <div className="cab-sub">{line.details}</div>
+                    )}
+                  </div>
+                  <div>{formatPrice(line.amount)}</div>
+                </div>
+              ))}
+          </section>
+        ))}
+
+        <div className="mobile-drawer-totals">
+          <div className="summary-line">
+            <span>Subtotal</span>
+            <span>{formatPrice(breakdown.subtotal)}</span>
+          </div>
+          {breakdown.taxLines.map((t) => (
+            <div key={t.label} className="summary-line summary-tax">
+              <span>{t.label}</span>
+              <span>{formatPrice(t.amount)}</span>
+            </div>
+          ))}
+          {breakdown.serviceFee > 0 && (
+            <div className="summary-line">
+              <span>Service fee</span>
+              <span>{formatPrice(breakdown.serviceFee)}</span>
+            </div>
+          )}
+          <div className="summary-divider" />
+          <div className="summary-total">
+            <span>Estimated package total</span>
+            <span>{formatPrice(breakdown.grandTotal)}</span>
+          </div>
+          {breakdown.deposits > 0 && (
+            <div className="summary-line cab-sub">
+              <span>Refundable deposits (not included)</span>
+              <span>{formatPrice(breakdown.deposits)}</span>
+            </div>
+          )}
+        </div>
+
+        {breakdown.notes.length > 0 && (
+          <ul className="mobile-drawer-notes">
+            {breakdown.notes.map((note) => (
+              <li key={note}>{note}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+// src/components/PackagePresets.jsx
+import React from "react";
+
+const TOTAL_ROWS = [
+  { key: "hotels", label: "Hotels" },
+  { key: "ferries", label: "Ferries" },
+  { key: "cabs", label: "Cabs" },
+  { key: "adventures", label: "Activities" },
+  { key: "rentals", label: "Rentals" },
+  { key: "permits", label: "Permits & tickets" },
+];
+
+export default function PackagePresets({
+  options,
+  hotels,
+  islandById,
+  currentTotal,
+  onApply,
+  formatPrice,
+}) {
+  if (!options.length) {
+    return (
+      <div className="empty-state">
+        No package presets are configured in pricing_config.json.
+      </div>
+    );
+  }
+
+  const cheapest = Math.min(...options.map((o) => o.priced.totals.grandTotal));
+  const hotelName = (id) => hotels.find((h) => h.id === id)?.name || id;
+
+  return (
+    <div className="package-presets">
+      <table className="breakdown-table package-table">
+        <thead>
+          <tr>
+            <th />
+            {options.map(({ preset }) => (
+              <th key={preset.id}>
+                {preset.label}
+                <div className="cab-sub">{preset.description}</div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Hotels</td>
+            {options.map(({ preset, state }) => (
+              <td key={preset.id}>
+                {Object.entries(state.selectedHotelsByIsland).map(
+                  ([islandId, sel]) => (
+                    <div key={islandId}>
+                      {islandById[islandId]?.name || islandId}:{" "}
+                      {hotelName(sel.hotelId)} ({sel.nights}n × {sel.rooms} room
+                      {sel.rooms > 1 ? "s" : ""})
+                    </div>
+                  )
+                )}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td>Ferries</td>
+            {options.map(({ preset, priced }) => (
+              <td key={preset.id}>
+                {[
+                  ...new Set(
+                    Object.values(priced.ferryQuotes).map(
+                      (q) => `${q.operator} ${q.classLabel}`
+                    )
+                  ),
+                ].join(", ") || "–"}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td>Cabs</td>
+            {options.map(({ preset, priced }) => (
+              <td key={preset.id}>
+                {priced.cabLines.length} leg(s) •{" "}
+                {preset.cab.vehicleClass || "cheapest vehicle mix"}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td>Activities</td>
+            {options.map(({ preset, priced }) => (
+              <td key={preset.id}>
+                {priced.adventureLines.map((l) => l.adv.name).join(", ") || "–"}
+              </td>
+            ))}
+          </tr>
+          {TOTAL_ROWS.map((row) => (
+            <tr key={row.key}>
+              <td>{row.label}</td>
+              {options.map(({ preset, priced }) => (
+                <td key={preset.id}>{formatPrice(priced.totals[row.key])}</td>
+              ))}
+            </tr>
+          ))}
+          <tr>
+            <td>Taxes & fees</td>
+            {options.map(({ preset, priced }) => (
+              <td key={preset.id}>
+                {formatPrice(
+                  priced.totals.taxAmount + priced.totals.serviceFee
+                )}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Grand total</td>
+            {options.map(({ preset, priced }) => (
+              <td
+                key={preset.id}
+                className={
+                  priced.totals.grandTotal === cheapest
+                    ? "package-cheapest"
+                    : ""
+                }
+              >
+                {formatPrice(priced.totals.grandTotal)}
+                <div className="cab-sub">
+                  {priced.totals.grandTotal >= currentTotal ? "+" : "−"}
+                  {formatPrice(
+                    Math.abs(priced.totals.grandTotal - currentTotal)
+                  )}{" "}
+                  vs current plan
+                </div>
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td />
+            {options.map((option) => (
+              <td key={option.preset.id}>
+                <button
+                  className="btn btn-primary btn-small"
+                  type="button"
+                  onClick={() => onApply(option)}
+                >
+                  Use {option.preset.label}
+                </button>
+              </td>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+
+      {options.map(({ preset, warnings }) =>
+        warnings.map((w) => (
+          <p key={`${preset.id}-${w}`} className="warning-text">
+            {preset.label}: {w}
+          </p>
+        ))
+      )}
+      <p className="cab-sub">
+        Using a package replaces hotels, ferries, activities and auto-planned
+        cabs. Locations, rentals and cab legs you added by hand are kept.
+      </p>
+    </div>
+  );
+}
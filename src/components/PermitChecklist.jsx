@@ -0,0 +1,71 @@
+// src/components/PermitChecklist.jsx
+import React from "react";
+import { describeArrangeDay } from "../permits";
+
+export default function PermitChecklist({
+  checklist,
+  islandById,
+  travellers,
+  formatPrice,
+}) {
+  if (!checklist.items.length) return null;
+
+  return (
+    <div className="permit-checklist">
+      <div className="block-header">
+        <h3>Permits & tickets</h3>
+        {checklist.total > 0 && (
+          <span className="cab-sub">
+            {formatPrice(checklist.total)} for {travellers} traveller(s)
+          </span>
+        )}
+      </div>
+
+      {checklist.items.map((item) => (
+        <div key={item.locationId} className="cab-line permit-item">
+          <div>
+            <div className="cab-title">{item.name}</div>
+            <div className="cab-sub">
+              {item.label} • {islandById[item.islandId]?.name || item.islandId}
+              {item.visitDay && ` • visiting Day ${item.visitDay.index}`}
+            </div>
+            <div
+              className={
+                item.arrangeDay || item.beforeTrip
+                  ? "permit-when"
+                  : "warning-text"
+              }
+            >
+              Arrange {describeArrangeDay(item)}
+              {item.where && ` – ${item.where}`}
+            </div>
+            {item.documents.length > 0 && (
+              <ul className="permit-docs">
+                {item.documents.map((doc) => (
+                  <li key={doc}>{doc}</li>
+                ))}
+              </ul>
+            )}
+            {item.note && <p className="warning-text">{item.note}</p>}
+          </div>
+          <div className="permit-fees">
+            {item.fees.map((f) => (
+              <div key={f.label} className="cab-sub">
+                {f.label}: {formatPrice(f.perPerson)} × {travellers}
+              </div>
+            ))}
+            {item.includedIn && (
+              <div className="cab-sub">
+                Permit fees included in {item.includedIn}
+              </div>
+            )}
+            {!item.fees.length && !item.includedIn && "Paid to the operator"}
+            {item.total > 0 && (
+              <div className="permit-total">{formatPrice(item.total)}</div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+// src/components/RentalPlanner.jsx
+import React from "react";
+import { RENTAL_KINDS, RENTAL_PLANS, listRentalModels } from "../rentalPricing";
+
+function Stepper({ value, onChange, min = 1 }) {
+  return (
+    <div className="stepper">
+      <button type="button" onClick={() => onChange(Math.max(min, value - 1))}>
+        -
+      </button>
+      <span>{value}</span>
+      <button type="button" onClick={() => onChange(value + 1)}>
+        +
+      </button>
+    </div>
+  );
+}
+
+export default function RentalPlanner({
+  islandIds,
+  islandById,
+  recordsByKind,
+  rentals,
+  quotes,
+  onAdd,
+  onUpdate,
+  onRemove,
+  formatPrice,
+}) {
+  const blocks = islandIds
+    .map((islandId) => {
+      const island = islandById[islandId];
+      const kinds = Object.keys(RENTAL_KINDS).filter(
+        (kind) =>
+          island?.[RENTAL_KINDS[kind].islandFlag] &&
+          listRentalModels(recordsByKind[kind], islandId).length
+      );
+      return { islandId, island, kinds };
+    })
+    .filter((b) => b.kinds.length);
+
+  if (!blocks.length) {
+    return (
+      <div className="empty-state">
+        None of the selected islands offer scooter or bicycle rentals.
+      </div>
+    );
+  }
+
+  return (
+    <div className="rental-planner">
+      {blocks.map(({ islandId, island, kinds }) => (
+        <div key={islandId} className="cab-island-block">
+          <div className="block-header">
+            <h4>{island?.name || islandId}</h4>
+            <div className="rental-add">
+              {kinds.map((kind) => (
+                <button
+                  key={kind}
+                  className="btn btn-outline btn-small"
+                  type="button"
+                  onClick={() => onAdd(islandId, kind)}
+                >
+                  + {RENTAL_KINDS[kind].label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {rentals
+            .filter((r) => r.islandId === islandId)
+            .map((rental) => {
+              const models = listRentalModels(
+                recordsByKind[rental.kind],
+                islandId
+              );
+              const plans = Object.keys(
+                models.find((m) => m.model === rental.model)?.plans || {}
+              );
+              const quote = quotes[rental.id];
+
+              return (
+                <div key={rental.id} className="cab-line">
+                  <div className="cab-line-main">
+                    <div>
+                      <div className="cab-title">
+                        {RENTAL_KINDS[rental.kind].label} • {rental.model}
+                      </div>
+                      <div className="cab-sub">
+                        {RENTAL_PLANS[rental.plan] || rental.plan}
+                        {quote?.peakDays > 0 &&
+                          ` • peak markup on ${quote.peakDays} day(s)`}
+                        {quote?.fuelKm > 0 &&
+                          ` • fuel ~${quote.fuelKm} km = ${formatPrice(
+                            quote.fuelCost
+                          )}`}
+                      </div>
+                      {quote?.deposit > 0 && (
+                        <div className="cab-sub">
+                          Refundable deposit {formatPrice(quote.deposit)} (paid
+                          at pickup, not in total)
+                        </div>
+                      )}
+                    </div>
+                    <div className="cab-price">
+                      {quote ? formatPrice(quote.total) : "–"}
+                    </div>
+                  </div>
+
+                  <div className="cab-line-controls">
+                    <div className="field-group-inline">
+                      <label>Model</label>
+                      <select
+                        value={rental.model}
+                        onChange={(e) =>
+                          onUpdate(rental.id, { model: e.target.value })
+                        }
+                      >
+                        {models.map((m) => (
+                          <option key={m.model} value={m.model}>
+                            {m.model}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="field-group-inline">
+                      <label>Plan</label>
+                      <select
+                        value={rental.plan}
+                        onChange={(e) =>
+                          onUpdate(rental.id, { plan: e.target.value })
+                        }
+                      >
+                        {plans.map((p) => (
+                          <option key={p} value={p}>
+                            {RENTAL_PLANS[p] || p}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="field-group-inline">
+                      <label>Days</label>
+                      <Stepper
+                        value={rental.days}
+                        onChange={(days) => onUpdate(rental.id, { days })}
+                      />
+                    </div>
+                    <div className="field-group-inline">
+                      <label>Vehicles</label>
+                      <Stepper
+                        value={rental.vehicles}
+                        onChange={(vehicles) =>
+                          onUpdate(rental.id, { vehicles })
+                        }
+                      />
+                    </div>
+                    {RENTAL_KINDS[rental.kind].usesFuel && (
+                      <div className="field-group-inline">
+                        <label>Km / day</label>
+                        <input
+                          className="rental-km"
+                          type="number"
+                          min={0}
+                          value={rental.kmPerDay}
+                          onChange={(e) =>
+                            onUpdate(rental.id, {
+                              kmPerDay: Math.max(0, Number(e.target.value)),
+                            })
+                          }
+                        />
+                      </div>
+                    )}
+                    <button
+                      className="btn btn-ghost"
+                      type="button"
+                      onClick={() => onRemove(rental.id)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  {quote?.warnings.map((w) => (
+                    <p key={w} className="warning-text">
+                      {w}
+                    </p>
+                  ))}
+                </div>
+              );
+            })}
+        </div>
+      ))}
+    </div>
+  );
+}
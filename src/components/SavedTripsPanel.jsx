@@ -0,0 +1,94 @@
+// src/components/SavedTripsPanel.jsx
+import React, { useState } from "react";
+
+const formatSavedAt = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime())
+    ? ""
+    : d.toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" });
+};
+
+export default function SavedTripsPanel({
+  savedTrips,
+  onSave,
+  onLoad,
+  onDelete,
+  getShareUrl,
+}) {
+  const [name, setName] = useState("");
+  const [copyStatus, setCopyStatus] = useState("");
+
+  async function handleCopyLink() {
+    const url = getShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopyStatus("Link copied");
+    } catch (err) {
+      window.prompt("Copy this link to share the trip:", url);
+      setCopyStatus("");
+    }
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    onSave(name);
+    setName("");
+  }
+
+  return (
+    <div className="saved-trips">
+      <div className="block-header">
+        <h3>Save & share</h3>
+        <button
+          className="btn btn-outline btn-small"
+          type="button"
+          onClick={handleCopyLink}
+        >
+          Copy share link
+        </button>
+      </div>
+      {copyStatus && <p className="panel-hint">{copyStatus}</p>}
+
+      <form className="saved-trips-form" onSubmit={handleSave}>
+        <input
+          type="text"
+          placeholder="Name this trip, e.g. Honeymoon v2"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="btn btn-small" type="submit">
+          Save
+        </button>
+      </form>
+
+      {savedTrips.length > 0 && (
+        <ul className="saved-trips-list">
+          {savedTrips.map((trip) => (
+            <li key={trip.id}>
+              <div>
+                <div className="cab-title">{trip.name}</div>
+                <div className="cab-sub">{formatSavedAt(trip.savedAt)}</div>
+              </div>
+              <div className="saved-trips-actions">
+                <button
+                  className="btn btn-outline btn-small"
+                  type="button"
+                  onClick={() => onLoad(trip)}
+                >
+                  Load
+                </button>
+                <button
+                  className="btn btn-ghost btn-small"
+                  type="button"
+                  onClick={() => onDelete(trip.id)}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
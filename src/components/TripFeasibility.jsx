@@ -0,0 +1,96 @@
+// src/components/TripFeasibility.jsx
+import React from "react";
+
+// Where each kind of issue is fixed
+const FIX_STEPS = {
+  "nights-exceed": { step: 4, label: "Hotels" },
+  "island-no-nights": { step: 4, label: "Hotels" },
+  "island-overbooked": { step: 2, label: "Locations" },
+  "day-overbooked": { step: 5, label: "Itinerary" },
+};
+
+const formatHours = (h) => `${Math.round(h * 10) / 10} h`;
+
+export default function TripFeasibility({
+  feasibility,
+  islandById,
+  onGoToStep,
+}) {
+  const planned = feasibility.islands.filter((i) => i.itemCount > 0);
+  if (!planned.length && !feasibility.issues.length) return null;
+
+  const errors = feasibility.issues.filter((i) => i.level === "error").length;
+  const warnings = feasibility.issues.length - errors;
+
+  return (
+    <details
+      className="panel validation-panel"
+      open={feasibility.issues.length > 0}
+    >
+      <summary>
+        Plan check –{" "}
+        {feasibility.issues.length
+          ? `${errors} error(s), ${warnings} warning(s)`
+          : "everything fits"}
+      </summary>
+      {feasibility.estimated && (
+        <p className="panel-hint">
+          Nights per island are estimated until hotels are picked in Step 4.
+        </p>
+      )}
+
+      {feasibility.issues.length > 0 && (
+        <ul className="validation-list">
+          {feasibility.issues.map((issue) => {
+            const fix = FIX_STEPS[issue.code];
+            return (
+              <li
+                key={`${issue.code}:${issue.islandId}:${issue.dayIndex}`}
+                className={`validation-item validation-${issue.level}`}
+              >
+                <span>{issue.message}</span>
+                {fix && (
+                  <button
+                    className="btn btn-ghost btn-small"
+                    type="button"
+                    onClick={() => onGoToStep(fix.step)}
+                  >
+                    {fix.label}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {planned.length > 0 && (
+        <table className="breakdown-table validation-table">
+          <thead>
+            <tr>
+              <th>Island</th>
+              <th>Nights</th>
+              <th>Stops</th>
+              <th>Ferries & cabs</th>
+              <th>Available</th>
+            </tr>
+          </thead>
+          <tbody>
+            {planned.map((row) => (
+              <tr
+                key={row.islandId}
+                className={row.overbooked ? "validation-over" : ""}
+              >
+                <td>{islandById[row.islandId]?.name || row.islandId}</td>
+                <td>{row.nights}</td>
+                <td>{formatHours(row.sightseeingHours)}</td>
+                <td>{formatHours(row.ferryHours + row.cabHours)}</td>
+                <td>{formatHours(row.availableHours)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
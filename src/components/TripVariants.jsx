@@ -0,0 +1,163 @@
+// src/components/TripVariants.jsx
+import React, { useState } from "react";
+
+function VariantComparison({ comparison, activeId, formatPrice }) {
+  const { columns, rows, cheapestId } = comparison;
+
+  const renderCell = (row, value, index) => {
+    if (row.kind === "text") {
+      const lines = Array.isArray(value) ? value : [value];
+      return lines.length
+        ? lines.map((line, i) => <div key={i}>{line}</div>)
+        : "–";
+    }
+    const delta = value - row.values[0];
+    return (
+      <>
+        {formatPrice(value)}
+        {index > 0 && Math.abs(delta) >= 0.5 && (
+          <div className={delta > 0 ? "variant-up" : "variant-down"}>
+            {delta > 0 ? "+" : "−"}
+            {formatPrice(Math.abs(delta))}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="package-presets">
+      <table className="breakdown-table package-table variant-table">
+        <thead>
+          <tr>
+            <th />
+            {columns.map((c) => (
+              <th key={c.id}>
+                {c.name}
+                {c.id === activeId && <div className="cab-sub">editing</div>}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.key}
+              className={
+                (row.differs ? "variant-diff " : "") +
+                (row.key === "grandTotal" ? "variant-total" : "")
+              }
+            >
+              <td>{row.label}</td>
+              {row.values.map((value, i) => (
+                <td
+                  key={columns[i].id}
+                  className={
+                    row.key === "grandTotal" && columns[i].id === cheapestId
+                      ? "package-cheapest"
+                      : ""
+                  }
+                >
+                  {renderCell(row, value, i)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="cab-sub">
+        Highlighted rows differ between variants; amounts show the change
+        against {columns[0]?.name}.
+      </p>
+    </div>
+  );
+}
+
+export default function TripVariants({
+  variants,
+  activeId,
+  comparison,
+  showComparison,
+  onToggleComparison,
+  onCreate,
+  onSwitch,
+  onDelete,
+  formatPrice,
+}) {
+  const [name, setName] = useState("");
+
+  function handleCreate(e) {
+    e.preventDefault();
+    onCreate(name);
+    setName("");
+  }
+
+  return (
+    <div className="panel trip-variants">
+      <div className="block-header">
+        <h3>Trip variants</h3>
+        {variants.length > 1 && (
+          <button
+            className="btn btn-outline btn-small"
+            type="button"
+            onClick={onToggleComparison}
+          >
+            {showComparison ? "Hide comparison" : "Compare variants"}
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="chip-row">
+          {variants.map((v) => (
+            <span
+              key={v.id}
+              className={
+                "chip chip-small variant-chip " +
+                (v.id === activeId ? "chip-active" : "")
+              }
+            >
+              <button
+                type="button"
+                className="variant-switch"
+                onClick={() => onSwitch(v.id)}
+              >
+                {v.name}
+              </button>
+              {v.id !== activeId && (
+                <button
+                  type="button"
+                  className="variant-remove"
+                  title={`Delete ${v.name}`}
+                  onClick={() => onDelete(v.id)}
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <form className="saved-trips-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="Clone current plan as, e.g. Without Neil"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="btn btn-small" type="submit">
+          Clone
+        </button>
+      </form>
+
+      {showComparison && comparison && (
+        <VariantComparison
+          comparison={comparison}
+          activeId={activeId}
+          formatPrice={formatPrice}
+        />
+      )}
+    </div>
+  );
+}
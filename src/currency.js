@@ -0,0 +1,127 @@
+// src/currency.js
+// Display currencies. Every price in the data is in INR; amounts are converted only
+// when shown or exported, using the rate table in exchange_rates.json.
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const BASE_CURRENCY = "INR";
+
+const BASE_ENTRY = { label: "Indian rupee", rate: 1, locale: "en-IN", decimals: 0 };
+
+/**
+ * Currencies on offer, base first. Entries without a usable rate are left out.
+ * Returns [{ code, label }]
+ */
+export function listCurrencies(exchangeRates = {}) {
+  const codes = Object.entries(exchangeRates.currencies || {})
+    .filter(([, entry]) => num(entry?.rate) > 0)
+    .map(([code]) => code);
+  return [BASE_CURRENCY, ...codes.filter((c) => c !== BASE_CURRENCY)].map((code) => ({
+    code,
+    label: exchangeRates.currencies?.[code]?.label || code,
+  }));
+}
+
+/**
+ * Resolve the display currency: the code asked for, else pricing_config general.currency,
+ * else INR. Unknown codes or missing rates fall back to INR.
+ *
+ * Returns { code, label, rate, locale, decimals, asOf, isBase }
+ * where rate is units of the currency per 1 INR.
+ */
+export function getDisplayCurrency(code, exchangeRates = {}, pricingConfig = {}) {
+  const wanted = code || pricingConfig.general?.currency || pricingConfig.currency;
+  const entry = exchangeRates.currencies?.[wanted];
+  const usable = wanted && (wanted === BASE_CURRENCY || num(entry?.rate) > 0);
+  const resolved = usable ? wanted : BASE_CURRENCY;
+  const info = { ...(resolved === BASE_CURRENCY ? BASE_ENTRY : {}), ...(usable ? entry : {}) };
+
+  return {
+    code: resolved,
+    label: info.label || resolved,
+    rate: resolved === BASE_CURRENCY ? 1 : num(info.rate),
+    locale: info.locale || "en-IN",
+    decimals: Math.max(0, Math.round(num(info.decimals))),
+    asOf: exchangeRates.asOf || "",
+    isBase: resolved === BASE_CURRENCY,
+  };
+}
+
+/**
+ * INR amount → display currency
+ */
+export function convertFromBase(amount, currency) {
+  return num(amount) * (currency?.rate || 1);
+}
+
+/**
+ * Display-currency amount → INR (e.g. a budget typed in USD)
+ */
+export function convertToBase(amount, currency) {
+  return num(amount) / (currency?.rate || 1);
+}
+
+/**
+ * Formatter for INR amounts in the display currency, e.g. "$1,250" or "₹1,04,000".
+ */
+export function createPriceFormatter(currency) {
+  const code = currency?.code || BASE_CURRENCY;
+  const format = new Intl.NumberFormat(currency?.locale || "en-IN", {
+    style: "currency",
+    currency: code,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: currency?.decimals ?? 0,
+  });
+  return (value) => format.format(convertFromBase(value, currency));
+}
+
+/**
+ * One-line note on the conversion used, e.g.
+ * "Converted from INR at 1 USD = ₹83.89 (rates of 2026-10-01)". Empty for INR.
+ */
+export function describeExchangeRate(currency) {
+  if (!currency || currency.isBase || !(currency.rate > 0)) return "";
+  const perUnit = new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: BASE_CURRENCY,
+    maximumFractionDigits: 2,
+  }).format(1 / currency.rate);
+  return `Converted from INR at 1 ${currency.code} = ${perUnit}${
+    currency.asOf ? ` (rates of ${currency.asOf})` : ""
+  }`;
+}
+
+/**
+ * Copy of a trip breakdown (see buildTripBreakdown) with every amount in the display
+ * currency. header gains { currency, exchangeRate } and the rate note is added to notes.
+ */
+export function convertBreakdown(breakdown, currency) {
+  const convert = (v) => convertFromBase(v, currency);
+  const note = describeExchangeRate(currency);
+
+  return {
+    ...breakdown,
+    header: {
+      ...breakdown.header,
+      currency: currency?.code || BASE_CURRENCY,
+      exchangeRate: currency?.isBase ? null : { rate: currency.rate, asOf: currency.asOf },
+    },
+    lines: breakdown.lines.map((line) => ({
+      ...line,
+      unitPrice: convert(line.unitPrice),
+      amount: convert(line.amount),
+    })),
+    categoryTotals: Object.fromEntries(
+      Object.entries(breakdown.categoryTotals).map(([k, v]) => [k, convert(v)])
+    ),
+    subtotal: convert(breakdown.subtotal),
+    taxLines: breakdown.taxLines.map((t) => ({ ...t, amount: convert(t.amount) })),
+    serviceFee: convert(breakdown.serviceFee),
+    grandTotal: convert(breakdown.grandTotal),
+    deposits: convert(breakdown.deposits),
+    notes: note ? [...breakdown.notes, `${note}; final payment is in INR.`] : breakdown.notes,
+  };
+}
@@ -0,0 +1,291 @@
+// src/dataAdmin.js
+// Helpers for the local data editor (#/admin): grid columns, cell parsing, bulk fare
+// changes, diffs against the files as loaded, and the exported JSON.
+import { DATASETS, validateRecords } from "./dataLoader";
+
+export const EDITABLE_DATASET_KEYS = ["cabLegs", "hotels", "ferryRoutes", "adventures"];
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Declarations (see DATASETS) of the files the editor can change, in tab order
+ */
+export function getEditableDatasets() {
+  return EDITABLE_DATASET_KEYS.map((key) => DATASETS.find((d) => d.key === key)).filter(Boolean);
+}
+
+/**
+ * Stable key for a record: the dataset's uniqueKey, else its id, else its position
+ */
+export function getRecordKey(dataset, record, index) {
+  if (dataset.uniqueKey) return dataset.uniqueKey(record);
+  return record?.id != null ? String(record.id) : `#${index + 1}`;
+}
+
+/**
+ * Read a value by path: "basePriceINR" or "seasonalMultipliers.peak"
+ */
+export function getValue(record, path) {
+  return path.split(".").reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+/**
+ * Copy of a record with the value at path replaced (nested objects are copied too)
+ */
+export function setValue(record, path, value) {
+  const [head, ...rest] = path.split(".");
+  if (!rest.length) return { ...record, [head]: value };
+  return { ...record, [head]: setValue(record[head] || {}, rest.join("."), value) };
+}
+
+// "number" | "boolean" | "text" | "json" for one value; null says nothing
+function kindOf(value) {
+  if (value == null) return null;
+  if (typeof value === "number") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "string") return "text";
+  return "json";
+}
+
+/**
+ * Grid columns across all records, in first-seen order.
+ *
+ * - Nested objects are flattened to dotted paths (seasonalMultipliers.peak)
+ * - Arrays are edited as JSON text
+ * - A field that is null everywhere is treated as a number
+ *
+ * Returns [{ path, kind }]
+ */
+export function getColumns(records = []) {
+  const kinds = new Map();
+  const visit = (value, path) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([k, v]) => visit(v, path ? `${path}.${k}` : k));
+      return;
+    }
+    const kind = kindOf(value);
+    if (!kinds.has(path) || (!kinds.get(path) && kind)) kinds.set(path, kind);
+  };
+  records.forEach((record) => visit(record, ""));
+  return [...kinds.entries()].map(([path, kind]) => ({ path, kind: kind || "number" }));
+}
+
+/**
+ * Text shown in a grid cell
+ */
+export function formatCellValue(value, kind) {
+  if (value == null) return "";
+  return kind === "json" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parse what was typed into a cell.
+ * Returns { value } or { error } – an empty number cell becomes null (e.g. fare TBD).
+ */
+export function parseCellInput(text, kind) {
+  const raw = String(text ?? "").trim();
+  if (kind === "number") {
+    if (raw === "") return { value: null };
+    const value = Number(raw);
+    return Number.isFinite(value) ? { value } : { error: "Not a number" };
+  }
+  if (kind === "boolean") {
+    if (raw === "true" || raw === "false") return { value: raw === "true" };
+    return { error: "Use true or false" };
+  }
+  if (kind === "json") {
+    if (raw === "") return { value: null };
+    try {
+      return { value: JSON.parse(raw) };
+    } catch {
+      return { error: "Invalid JSON" };
+    }
+  }
+  return { value: text };
+}
+
+/**
+ * Fields a bulk change can target: numeric columns plus numbers inside lists of objects,
+ * written "operators[].sampleFareINR".
+ */
+export function getNumericPaths(records = []) {
+  const paths = getColumns(records)
+    .filter((c) => c.kind === "number")
+    .map((c) => c.path);
+  const listPaths = new Set();
+  records.forEach((record) =>
+    Object.entries(record).forEach(([key, value]) => {
+      if (!Array.isArray(value)) return;
+      value.filter(isPlainObject).forEach((item) =>
+        Object.entries(item).forEach(([field, v]) => {
+          if (typeof v === "number") listPaths.add(`${key}[].${field}`);
+        })
+      );
+    })
+  );
+  return [...paths, ...listPaths];
+}
+
+/**
+ * Values offered in the grid filters: text columns with at most maxValues distinct values.
+ * Returns { path: [values] }
+ */
+export function getFilterOptions(records = [], maxValues = 40) {
+  const options = {};
+  getColumns(records)
+    .filter((c) => c.kind === "text")
+    .forEach(({ path }) => {
+      const values = [...new Set(records.map((r) => getValue(r, path)).filter((v) => v))];
+      if (values.length > 1 && values.length <= maxValues) options[path] = values.sort();
+    });
+  return options;
+}
+
+/**
+ * Whether a record matches every set filter ({ path: value }, blank values ignored)
+ */
+export function matchesFilters(record, filters = {}) {
+  return Object.entries(filters).every(
+    ([path, value]) => value === "" || value == null || String(getValue(record, path)) === value
+  );
+}
+
+function adjust(value, { op, amount, roundTo }) {
+  if (op === "set") return amount;
+  // Blank fares (TBD) stay blank unless set outright
+  if (typeof value !== "number") return value;
+  const next = op === "percent" ? value * (1 + amount / 100) : value + amount;
+  if (!(roundTo > 0)) return next;
+  // toFixed drops float noise such as 1.3500000000000001
+  const decimals = (String(roundTo).split(".")[1] || "").length;
+  return Number((Math.round(next / roundTo) * roundTo).toFixed(decimals));
+}
+
+/**
+ * Change one numeric field on every record matching the filters.
+ *
+ * - op "percent": raise (or lower, with a negative amount) by amount %
+ * - op "add": add amount; op "set": replace with amount
+ * - Results are rounded to roundTo (0 = no rounding)
+ * - "list[].field" paths change every entry of the list
+ *
+ * Returns { records, changed } where changed counts the records whose value moved.
+ */
+export function applyBulkChange(records = [], { filters = {}, path, op, amount, roundTo = 1 }) {
+  const change = { op, amount: Number(amount) || 0, roundTo: Number(roundTo) || 0 };
+  const [listKey, listField] = path.includes("[].") ? path.split("[].") : [null, null];
+  let changed = 0;
+
+  const next = records.map((record) => {
+    if (!matchesFilters(record, filters)) return record;
+    let updated;
+    if (listKey) {
+      if (!Array.isArray(record[listKey])) return record;
+      updated = {
+        ...record,
+        [listKey]: record[listKey].map((item) =>
+          isPlainObject(item) && listField in item
+            ? { ...item, [listField]: adjust(item[listField], change) }
+            : item
+        ),
+      };
+    } else {
+      updated = setValue(record, path, adjust(getValue(record, path), change));
+    }
+    if (JSON.stringify(updated) === JSON.stringify(record)) return record;
+    changed += 1;
+    return updated;
+  });
+
+  return { records: next, changed };
+}
+
+// Leaf values of a record by path; lists of objects by index (operators[0].sampleFareINR),
+// other lists as JSON text
+function flatten(record) {
+  const out = {};
+  const visit = (value, path) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([k, v]) => visit(v, path ? `${path}.${k}` : k));
+    } else if (Array.isArray(value) && value.length && value.every(isPlainObject)) {
+      value.forEach((item, i) => visit(item, `${path}[${i}]`));
+    } else {
+      out[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  };
+  visit(record, "");
+  return out;
+}
+
+/**
+ * What changed between the loaded file and the edited records, matched by record key
+ * (repeated keys are told apart by occurrence: "KEY", "KEY (2)", …).
+ * Returns { added: [key], removed: [key], changed: [{ key, fields: [{ path, before, after }] }] }
+ */
+export function diffDataset(dataset, original = [], edited = []) {
+  const byKey = (list) => {
+    const seen = {};
+    return new Map(
+      list.map((r, i) => {
+        const key = getRecordKey(dataset, r, i);
+        seen[key] = (seen[key] || 0) + 1;
+        return [seen[key] > 1 ? `${key} (${seen[key]})` : key, r];
+      })
+    );
+  };
+  const before = byKey(original);
+  const after = byKey(edited);
+
+  const changed = [];
+  after.forEach((record, key) => {
+    const old = before.get(key);
+    if (!old || old === record) return;
+    const a = flatten(old);
+    const b = flatten(record);
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter((path) => a[path] !== b[path])
+      .map((path) => ({ path, before: a[path], after: b[path] }));
+    if (fields.length) changed.push({ key, fields });
+  });
+
+  return {
+    added: [...after.keys()].filter((key) => !before.has(key)),
+    removed: [...before.keys()].filter((key) => !after.has(key)),
+    changed,
+  };
+}
+
+/**
+ * Validate edited records the way the planner will load them (see validateRecords).
+ * Returns { warnings, invalidRows: Set of record indexes the planner would skip }.
+ * Expected copies (see DATASETS copyFields) are skipped too but are not flagged.
+ */
+export function validateDatasetEdits(dataset, records = [], context = {}) {
+  const { records: valid, warnings, copies } = validateRecords(dataset, records, context);
+  const kept = new Set([...valid, ...copies]);
+  const invalidRows = new Set();
+  records.forEach((record, i) => {
+    if (!kept.has(record)) invalidRows.add(i);
+  });
+  return { warnings, invalidRows };
+}
+
+/**
+ * Next data version: "2025.01" → "2025.02" in the same year, else "<year>.01".
+ * Versions that are not "<year>.<n>" get ".1" appended.
+ */
+export function bumpDataVersion(version, today = new Date()) {
+  const year = today.getFullYear();
+  const match = /^(\d{4})\.(\d+)$/.exec(String(version || ""));
+  if (!match) return version ? `${version}.1` : `${year}.01`;
+  if (Number(match[1]) < year) return `${year}.01`;
+  const next = String(Number(match[2]) + 1).padStart(match[2].length, "0");
+  return `${match[1]}.${next}`;
+}
+
+/**
+ * File text for an exported dataset (comments in the original file are not kept)
+ */
+export function serializeDataset(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
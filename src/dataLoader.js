@@ -0,0 +1,344 @@
+// src/dataLoader.js
+import { getLocationIslandId } from "./locationUtils";
+
+/**
+ * Declared datasets under /public/data.
+ *
+ * Each entry describes how to validate one file:
+ * - required: fields every record must have (record is dropped otherwise)
+ * - numeric:  fields that must be numbers when present (record is dropped otherwise)
+ * - islandRefs: fields holding an island id (or array of ids) that must exist in islands.json
+ * - islandNameRef: field holding an island display name (see getLocationIslandId)
+ * - uniqueKey: how duplicates are detected (defaults to record.id)
+ * - copyFields: a duplicate matching the first record on these fields is an expected
+ *   copy and is skipped without a warning
+ */
+export const DATASETS = [
+  {
+    key: "islands",
+    file: "islands.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "name"],
+    numeric: ["lat", "lng"],
+  },
+  {
+    key: "locations",
+    file: "locations.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "location", "island"],
+    numeric: ["typicalHours", "lat", "lng", "permitFeeINR", "environmentFeeINR", "entryFeeINR"],
+    islandNameRef: "island",
+  },
+  {
+    key: "adventures",
+    file: "adventure_prices.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "name", "basePriceINR"],
+    numeric: ["basePriceINR", "durationMin", "ageMin"],
+    islandRefs: ["operatedIn"],
+  },
+  {
+    key: "ferryRoutes",
+    file: "ferry_routes.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "originId", "destinationId", "operators"],
+    numeric: ["typicalDurationMin"],
+    islandRefs: ["originId", "destinationId"],
+    validateRecord: (route) => {
+      if (!Array.isArray(route.operators)) return ["operators is not a list"];
+      return route.operators
+        .filter((op) => op.sampleFareINR != null && typeof op.sampleFareINR !== "number")
+        .map((op) => `fare for ${op.operator || "operator"} is not numeric`);
+    },
+  },
+  {
+    key: "cabLegs",
+    file: "cab_legs.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "islandId", "fromZone", "toZone", "vehicleClass", "dayFareINR"],
+    numeric: ["dayFareINR", "nightFareINR", "includedWaitMin"],
+    islandRefs: ["islandId"],
+    // Leg ids are shared across STANDARD/DELUXE variants; a blank class is a STANDARD copy
+    uniqueKey: (leg) => `${leg.id}|${leg.serviceClass || "STANDARD"}`,
+    copyFields: ["dayFareINR", "nightFareINR"],
+  },
+  {
+    key: "scooters",
+    file: "scooter_prices.json",
+    type: "array",
+    fallback: [],
+    required: ["islandId", "model", "plan", "baseRateINR"],
+    numeric: ["baseRateINR", "securityDepositINR", "peakSeasonMarkupPct"],
+    islandRefs: ["islandId"],
+  },
+  {
+    key: "bicycles",
+    file: "bicycle_prices.json",
+    type: "array",
+    fallback: [],
+    required: ["islandId", "model", "plan", "baseRateINR"],
+    numeric: ["baseRateINR", "securityDepositINR", "peakSeasonMarkupPct"],
+    islandRefs: ["islandId"],
+  },
+  {
+    key: "hotels",
+    file: "hotel_prices.json",
+    type: "array",
+    fallback: [],
+    required: ["id", "islandId", "name", "basePriceINR"],
+    numeric: ["basePriceINR", "extraBedINR", "maxAdults", "maxChildren"],
+    islandRefs: ["islandId"],
+  },
+  {
+    key: "pricingConfig",
+    file: "pricing_config.json",
+    type: "object",
+    fallback: { currency: "INR", taxPercent: 0, serviceFee: 0 },
+  },
+  {
+    key: "exchangeRates",
+    file: "exchange_rates.json",
+    type: "object",
+    fallback: { base: "INR", currencies: {} },
+  },
+  {
+    key: "meta",
+    file: "meta.json",
+    type: "object",
+    fallback: {},
+  },
+];
+
+/**
+ * Parse JSON that may contain /* block *\/ and // line comments and trailing commas.
+ * Comment markers and commas inside string literals are left alone.
+ */
+export function parseJsonWithComments(text) {
+  let out = "";
+  let i = 0;
+  let inString = false;
+  // Position in `out` of the last comma outside a string, until a value follows it
+  let pendingComma = -1;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      out += ch;
+      if (ch === "\\") {
+        out += next ?? "";
+        i += 2;
+        continue;
+      }
+      if (ch === '"') inString = false;
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      pendingComma = -1;
+      out += ch;
+      i += 1;
+    } else if (ch === "/" && next === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (ch === "/" && next === "/") {
+      const end = text.indexOf("\n", i + 2);
+      i = end === -1 ? text.length : end;
+    } else {
+      // Trailing comma before ] or }: drop it
+      if ((ch === "]" || ch === "}") && pendingComma !== -1) {
+        out = out.slice(0, pendingComma) + out.slice(pendingComma + 1);
+      }
+      if (ch === ",") pendingComma = out.length;
+      else if (!/\s/.test(ch)) pendingComma = -1;
+      out += ch;
+      i += 1;
+    }
+  }
+
+  return JSON.parse(out);
+}
+
+async function fetchText(path) {
+  const res = await fetch(path);
+  if (!res.ok) {
+    throw new Error(`Failed to load ${path} (${res.status})`);
+  }
+  return res.text();
+}
+
+function recordLabel(record, index) {
+  return record && record.id ? `"${record.id}"` : `#${index + 1}`;
+}
+
+/**
+ * Validate an array dataset against its declaration.
+ * Returns { records, warnings, copies }: the records that passed, human-readable
+ * warnings, and the expected copies (see copyFields) that were skipped quietly.
+ */
+export function validateRecords(dataset, records, context = {}) {
+  const warnings = [];
+  const valid = [];
+  const seen = new Map();
+  const copies = [];
+  const islandIds = context.islandIds;
+  const islandList = context.islands;
+
+  records.forEach((record, index) => {
+    const label = recordLabel(record, index);
+
+    if (!record || typeof record !== "object") {
+      warnings.push(`Record ${label} is not an object – skipped.`);
+      return;
+    }
+
+    const missing = (dataset.required || []).filter(
+      (field) => record[field] == null || record[field] === ""
+    );
+    if (missing.length) {
+      warnings.push(`Record ${label} is missing ${missing.join(", ")} – skipped.`);
+      return;
+    }
+
+    const badNumbers = (dataset.numeric || []).filter(
+      (field) => record[field] != null && !Number.isFinite(record[field])
+    );
+    if (badNumbers.length) {
+      warnings.push(`Record ${label} has non-numeric ${badNumbers.join(", ")} – skipped.`);
+      return;
+    }
+
+    const customErrors = dataset.validateRecord ? dataset.validateRecord(record) : [];
+    if (customErrors.length) {
+      warnings.push(`Record ${label}: ${customErrors.join("; ")} – skipped.`);
+      return;
+    }
+
+    const key = dataset.uniqueKey ? dataset.uniqueKey(record) : record.id;
+    if (key != null) {
+      const first = seen.get(key);
+      if (first) {
+        const copyFields = dataset.copyFields || [];
+        const isCopy =
+          copyFields.length > 0 && copyFields.every((field) => first[field] === record[field]);
+        if (isCopy) copies.push(record);
+        else warnings.push(`Duplicate record ${label} – later copy skipped.`);
+        return;
+      }
+      seen.set(key, record);
+    }
+
+    // Unknown island references are reported but the record is kept
+    if (islandIds) {
+      (dataset.islandRefs || []).forEach((field) => {
+        const refs = Array.isArray(record[field]) ? record[field] : [record[field]];
+        refs
+          .filter((ref) => ref != null && !islandIds.has(ref))
+          .forEach((ref) => {
+            warnings.push(`Record ${label} references unknown island "${ref}" in ${field}.`);
+          });
+      });
+    }
+
+    if (islandList && dataset.islandNameRef) {
+      const value = record[dataset.islandNameRef];
+      if (!getLocationIslandId({ island: value }, islandList)) {
+        warnings.push(`Record ${label} island "${value}" does not match any island name.`);
+      }
+    }
+
+    valid.push(record);
+  });
+
+  return { records: valid, warnings, copies };
+}
+
+/**
+ * Load every declared dataset independently.
+ *
+ * A file that fails to fetch, parse or match its type falls back to its
+ * declared default; the others are unaffected. Returns:
+ *   { data: { islands, locations, … }, diagnostics: [{ key, file, status, count, warnings }] }
+ */
+export async function loadPlannerData(base = "/data") {
+  const raw = await Promise.all(
+    DATASETS.map(async (dataset) => {
+      try {
+        const value = parseJsonWithComments(await fetchText(`${base}/${dataset.file}`));
+        const typeOk =
+          dataset.type === "array"
+            ? Array.isArray(value)
+            : value && typeof value === "object" && !Array.isArray(value);
+        if (!typeOk) {
+          throw new Error(`Expected a JSON ${dataset.type}`);
+        }
+        return { dataset, value, error: null };
+      } catch (err) {
+        return { dataset, value: dataset.fallback, error: err.message || String(err) };
+      }
+    })
+  );
+
+  const islandsEntry = raw.find((r) => r.dataset.key === "islands");
+  const islandsResult = validateRecords(islandsEntry.dataset, islandsEntry.value);
+  const context = islandsResult.records.length
+    ? {
+        islandIds: new Set(islandsResult.records.map((i) => i.id)),
+        islands: islandsResult.records,
+      }
+    : {};
+
+  const data = {};
+  const diagnostics = raw.map(({ dataset, value, error }) => {
+    if (error) {
+      data[dataset.key] = dataset.fallback;
+      return { key: dataset.key, file: dataset.file, status: "error", count: 0, warnings: [error] };
+    }
+
+    if (dataset.type !== "array") {
+      data[dataset.key] = value;
+      return { key: dataset.key, file: dataset.file, status: "ok", count: 1, warnings: [] };
+    }
+
+    const result =
+      dataset.key === "islands" ? islandsResult : validateRecords(dataset, value, context);
+    data[dataset.key] = result.records;
+    return {
+      key: dataset.key,
+      file: dataset.file,
+      status: result.warnings.length ? "warning" : "ok",
+      count: result.records.length,
+      warnings: result.warnings,
+    };
+  });
+
+  return { data, diagnostics };
+}
+
+/**
+ * Read datasets exactly as stored, without validation or fallbacks (for the data editor).
+ * Returns { values: { key: parsed JSON }, errors: { key: message } }
+ */
+export async function loadRawDatasets(keys, base = "/data") {
+  const values = {};
+  const errors = {};
+  await Promise.all(
+    keys.map(async (key) => {
+      const dataset = DATASETS.find((d) => d.key === key);
+      try {
+        values[key] = parseJsonWithComments(await fetchText(`${base}/${dataset.file}`));
+      } catch (err) {
+        errors[key] = err.message || String(err);
+      }
+    })
+  );
+  return { values, errors };
+}
@@ -0,0 +1,179 @@
+// src/feasibility.js
+import { DAY_HOURS, FERRY_BUFFER_HOURS, allocateNights } from "./itinerary";
+import { getCabLegDurationMin } from "./cabPricing";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Rounding slack so 9 h of plans in a 9 h day is not flagged
+const HOURS_TOLERANCE = 0.01;
+
+const formatHours = (h) => `${Math.round(h * 10) / 10} h`;
+
+/**
+ * Hotel nights per island from selectedHotelsByIsland (islands with a hotel only)
+ */
+export function getHotelNightsByIsland(selectedHotelsByIsland = {}) {
+  const nights = {};
+  Object.entries(selectedHotelsByIsland).forEach(([islandId, sel]) => {
+    if (sel?.hotelId) nights[islandId] = Math.max(1, num(sel.nights) || 1);
+  });
+  return nights;
+}
+
+/**
+ * Sightseeing hours an island's nights give: DAY_HOURS.stay per night, less the short
+ * arrival day on the first island and plus the departure morning on the last.
+ */
+export function getAvailableHours(nights, { isFirst = false, isLast = false } = {}) {
+  if (nights <= 0) return isLast ? DAY_HOURS.departure : 0;
+  let hours = nights * DAY_HOURS.stay;
+  if (isFirst) hours -= DAY_HOURS.stay - DAY_HOURS.arrival;
+  if (isLast) hours += DAY_HOURS.departure;
+  return Math.max(0, hours);
+}
+
+/**
+ * Check that the plan fits the time it has.
+ *
+ * - Per island: location typicalHours and adventure durationMin (the itinerary items),
+ *   plus ferry sailings into the island (typicalDurationMin + jetty buffer) and cab
+ *   driving time (cabDefaults.tripTypeDurationMin) against the hours its nights give
+ * - Nights come from selectedHotelsByIsland; before any hotel is picked they are
+ *   estimated with allocateNights and `estimated` is set
+ * - Errors: an island with stops but no hotel nights, hotel nights over totalNights
+ * - Warnings: an island or an itinerary day with more planned than available
+ *
+ * Returns { islands: [{ islandId, nights, availableHours, sightseeingHours, ferryHours,
+ *                       cabHours, usedHours, itemCount, overbooked }],
+ *           issues: [{ level: "error" | "warning", code, islandId, dayIndex, message }],
+ *           estimated, hotelNights, ok }
+ */
+export function checkTripFeasibility({
+  islandOrder = [],
+  selectedHotelsByIsland = {},
+  totalNights = 0,
+  items = [],
+  itinerary = null,
+  ferryRoutes = [],
+  selectedFerryRouteIds = [],
+  cabLines = [],
+  pricingConfig = {},
+  islandById = {},
+  gatewayId = "PB",
+}) {
+  const islandName = (id) => islandById[id]?.name || id;
+  const hotelNightsByIsland = getHotelNightsByIsland(selectedHotelsByIsland);
+  const hotelNights = Object.values(hotelNightsByIsland).reduce((sum, n) => sum + n, 0);
+  const estimated = hotelNights === 0;
+
+  const nightsByIsland = { ...hotelNightsByIsland };
+  if (estimated) {
+    allocateNights(islandOrder, {}, totalNights, gatewayId).forEach((s) => {
+      nightsByIsland[s.islandId] = (nightsByIsland[s.islandId] || 0) + s.nights;
+    });
+  }
+
+  const ferryHoursByIsland = {};
+  selectedFerryRouteIds.forEach((id) => {
+    const route = ferryRoutes.find((r) => r.id === id);
+    if (!route) return;
+    const hours = num(route.typicalDurationMin) / 60 + FERRY_BUFFER_HOURS;
+    ferryHoursByIsland[route.destinationId] =
+      (ferryHoursByIsland[route.destinationId] || 0) + hours;
+  });
+
+  // Waiting time included in a fare is spent at the stop, already counted in its hours
+  const cabHoursByIsland = {};
+  cabLines.forEach((line) => {
+    const islandId = line.leg?.islandId;
+    if (!islandId) return;
+    const driveMin = getCabLegDurationMin(line.leg, pricingConfig) - num(line.leg.includedWaitMin);
+    cabHoursByIsland[islandId] =
+      (cabHoursByIsland[islandId] || 0) + (driveMin / 60) * Math.max(1, num(line.count));
+  });
+
+  const itemIslands = items.map((i) => i.islandId).filter(Boolean);
+  const islandIds = [
+    ...new Set([...islandOrder, ...Object.keys(hotelNightsByIsland), ...itemIslands]),
+  ];
+  const lastId = islandOrder[islandOrder.length - 1];
+
+  const issues = [];
+  const islands = islandIds.map((islandId) => {
+    const nights = nightsByIsland[islandId] || 0;
+    const own = items.filter((i) => i.islandId === islandId);
+    const sightseeingHours = own.reduce((sum, i) => sum + num(i.hours), 0);
+    const ferryHours = ferryHoursByIsland[islandId] || 0;
+    const cabHours = cabHoursByIsland[islandId] || 0;
+    const usedHours = sightseeingHours + ferryHours + cabHours;
+    const availableHours = getAvailableHours(nights, {
+      isFirst: islandId === islandOrder[0],
+      isLast: islandId === lastId,
+    });
+    const overbooked = own.length > 0 && usedHours > availableHours + HOURS_TOLERANCE;
+
+    if (own.length && nights === 0 && !estimated) {
+      issues.push({
+        level: "error",
+        code: "island-no-nights",
+        islandId,
+        message: `${islandName(islandId)} has ${own.length} stop(s) or activities but no hotel nights.`,
+      });
+    } else if (overbooked) {
+      issues.push({
+        level: "warning",
+        code: "island-overbooked",
+        islandId,
+        message: `${islandName(islandId)}: ${formatHours(usedHours)} planned in ${formatHours(
+          availableHours
+        )} available over ${nights} night(s). Add nights or drop some stops.`,
+      });
+    }
+
+    return {
+      islandId,
+      nights,
+      availableHours,
+      sightseeingHours,
+      ferryHours,
+      cabHours,
+      usedHours,
+      itemCount: own.length,
+      overbooked,
+    };
+  });
+
+  if (hotelNights > num(totalNights)) {
+    issues.unshift({
+      level: "error",
+      code: "nights-exceed",
+      islandId: null,
+      message: `Hotel nights (${hotelNights}) are more than the trip's ${totalNights} night(s).`,
+    });
+  }
+
+  (itinerary?.days || [])
+    .filter((day) => day.overbooked)
+    .forEach((day) => {
+      issues.push({
+        level: "warning",
+        code: "day-overbooked",
+        islandId: day.islandId,
+        dayIndex: day.index,
+        message: `Day ${day.index} (${islandName(day.islandId)}) is overbooked: ${formatHours(
+          day.usedHours
+        )} planned, ${formatHours(day.capacityHours)} free.`,
+      });
+    });
+
+  return {
+    islands,
+    issues,
+    estimated,
+    hotelNights,
+    ok: !issues.some((i) => i.level === "error"),
+  };
+}
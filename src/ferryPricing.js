@@ -0,0 +1,124 @@
+// src/ferryPricing.js
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const GOVT_OPERATOR_PATTERN = /govt|government|dss/i;
+
+const DEFAULT_CLASS = { id: "STANDARD", label: "Standard", fareMultiplier: 1 };
+
+/**
+ * Operator profile from pricing_config.json → ferryDefaults.operators.
+ * Unknown operators are treated as private unless the name says otherwise.
+ */
+export function getFerryOperatorProfile(operatorName, pricingConfig = {}) {
+  const profiles = pricingConfig.ferryDefaults?.operators || {};
+  const profile = profiles[operatorName] || {};
+  const type =
+    profile.type ||
+    (GOVT_OPERATOR_PATTERN.test(operatorName || "") ? "government" : "private");
+  const classes =
+    Array.isArray(profile.classes) && profile.classes.length
+      ? profile.classes
+      : [DEFAULT_CLASS];
+
+  return { type, isPrivate: type !== "government", classes };
+}
+
+/**
+ * Per-person fare for one operator + seat class on a route.
+ *
+ * - Starts from the operator's sampleFareINR in ferry_routes.json
+ * - Applies the seat class fareMultiplier
+ * - Adds ferryDefaults.privateOperatorSurchargePercent for private operators
+ * - Returns null when the base fare is unknown (e.g. government ferries: fare TBD)
+ */
+export function getFerryFarePerPerson(operatorEntry, classId, pricingConfig = {}) {
+  if (!operatorEntry || operatorEntry.sampleFareINR == null) return null;
+  const base = num(operatorEntry.sampleFareINR);
+  if (base <= 0) return null;
+
+  const profile = getFerryOperatorProfile(operatorEntry.operator, pricingConfig);
+  const seatClass = profile.classes.find((c) => c.id === classId) || profile.classes[0];
+  const surchargePct = profile.isPrivate
+    ? num(pricingConfig.ferryDefaults?.privateOperatorSurchargePercent)
+    : 0;
+
+  return base * (num(seatClass.fareMultiplier) || 1) * (1 + surchargePct / 100);
+}
+
+/**
+ * All bookable operator/class combinations on a route, with departures and fares.
+ */
+export function listFerryOptions(route, pricingConfig = {}) {
+  if (!route || !Array.isArray(route.operators)) return [];
+
+  return route.operators.flatMap((op) => {
+    const profile = getFerryOperatorProfile(op.operator, pricingConfig);
+    return profile.classes.map((seatClass) => ({
+      operator: op.operator,
+      classId: seatClass.id,
+      classLabel: seatClass.label,
+      isPrivate: profile.isPrivate,
+      departures: Array.isArray(op.departures) ? op.departures : [],
+      farePerPerson: getFerryFarePerPerson(op, seatClass.id, pricingConfig),
+    }));
+  });
+}
+
+/**
+ * Default selection for a route: the cheapest priced option, else the first listed.
+ */
+export function getDefaultFerrySelection(route, pricingConfig = {}) {
+  const options = listFerryOptions(route, pricingConfig);
+  if (!options.length) return null;
+
+  const priced = options.filter((o) => o.farePerPerson != null);
+  const pick = priced.length
+    ? priced.reduce((best, o) => (o.farePerPerson < best.farePerPerson ? o : best))
+    : options[0];
+
+  return {
+    operator: pick.operator,
+    classId: pick.classId,
+    departure: pick.departures[0] || "",
+  };
+}
+
+/**
+ * Price one ferry sector for the party, honouring the user's operator/class/departure.
+ * Falls back to the default selection for anything missing or no longer offered.
+ *
+ * Returns { operator, classId, classLabel, departure, departures, farePerPerson, total, fareTBD }
+ */
+export function priceFerrySector(route, selection, pricingConfig = {}, travellers = 1) {
+  const options = listFerryOptions(route, pricingConfig);
+  if (!options.length) return null;
+
+  const fallback = getDefaultFerrySelection(route, pricingConfig);
+  const wanted = { ...fallback, ...(selection || {}) };
+  const option =
+    options.find((o) => o.operator === wanted.operator && o.classId === wanted.classId) ||
+    options.find((o) => o.operator === wanted.operator) ||
+    options.find((o) => o.operator === fallback.operator && o.classId === fallback.classId);
+
+  const departure = option.departures.includes(wanted.departure)
+    ? wanted.departure
+    : option.departures[0] || "";
+  const fareTBD = option.farePerPerson == null;
+  const farePerPerson = fareTBD ? 0 : option.farePerPerson;
+
+  return {
+    operator: option.operator,
+    classId: option.classId,
+    classLabel: option.classLabel,
+    isPrivate: option.isPrivate,
+    departure,
+    departures: option.departures,
+    farePerPerson,
+    total: farePerPerson * Math.max(1, num(travellers) || 1),
+    fareTBD,
+  };
+}
@@ -0,0 +1,221 @@
+// src/ferryRouting.js
+import { getDefaultFerrySelection, priceFerrySector } from "./ferryPricing";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Rough ₹ per ferry minute, used to cost sectors whose fares are not published
+const UNPRICED_FARE_PER_MIN = 15;
+
+// Above this many islands the circuit falls back to nearest-neighbour ordering
+const MAX_EXACT_CIRCUIT_ISLANDS = 7;
+
+/**
+ * Build a directed ferry graph from ferry_routes.json.
+ *
+ * Routes are one-way (PB-HL and HL-PB are separate entries), so only the
+ * listed direction is used. Each edge carries both weights:
+ *   - durationMin: route.typicalDurationMin
+ *   - farePerPerson: cheapest published fare (or a duration-based estimate)
+ */
+export function buildFerryGraph(routes = [], pricingConfig = {}) {
+  const graph = {};
+
+  routes.forEach((route) => {
+    if (!route || !route.originId || !route.destinationId) return;
+
+    const selection = getDefaultFerrySelection(route, pricingConfig);
+    const quote = priceFerrySector(route, selection, pricingConfig, 1);
+    const durationMin = num(route.typicalDurationMin);
+    const farePerPerson =
+      quote && !quote.fareTBD
+        ? quote.farePerPerson
+        : durationMin * UNPRICED_FARE_PER_MIN;
+
+    if (!graph[route.originId]) graph[route.originId] = [];
+    if (!graph[route.destinationId]) graph[route.destinationId] = [];
+    graph[route.originId].push({
+      to: route.destinationId,
+      routeId: route.id,
+      durationMin,
+      farePerPerson,
+    });
+  });
+
+  return graph;
+}
+
+const weightOf = (edge, optimize) =>
+  optimize === "fare" ? edge.farePerPerson : edge.durationMin;
+
+/**
+ * Dijkstra over the ferry graph.
+ *
+ * Returns { islands, routeIds, durationMin, farePerPerson, cost } or null when
+ * `toId` cannot be reached from `fromId`.
+ */
+export function findFerryPath(graph, fromId, toId, optimize = "duration") {
+  if (!graph[fromId] || !graph[toId]) return null;
+  if (fromId === toId) {
+    return { islands: [fromId], routeIds: [], durationMin: 0, farePerPerson: 0, cost: 0 };
+  }
+
+  const dist = { [fromId]: 0 };
+  const prev = {};
+  const visited = new Set();
+
+  while (true) {
+    let current = null;
+    Object.keys(dist).forEach((id) => {
+      if (visited.has(id)) return;
+      if (current === null || dist[id] < dist[current]) current = id;
+    });
+    if (current === null || current === toId) break;
+    visited.add(current);
+
+    graph[current].forEach((edge) => {
+      const next = dist[current] + weightOf(edge, optimize);
+      if (dist[edge.to] === undefined || next < dist[edge.to]) {
+        dist[edge.to] = next;
+        prev[edge.to] = { from: current, edge };
+      }
+    });
+  }
+
+  if (dist[toId] === undefined) return null;
+
+  const islands = [toId];
+  const edges = [];
+  let cursor = toId;
+  while (prev[cursor]) {
+    edges.unshift(prev[cursor].edge);
+    cursor = prev[cursor].from;
+    islands.unshift(cursor);
+  }
+
+  return {
+    islands,
+    routeIds: edges.map((e) => e.routeId),
+    durationMin: edges.reduce((sum, e) => sum + e.durationMin, 0),
+    farePerPerson: edges.reduce((sum, e) => sum + e.farePerPerson, 0),
+    cost: dist[toId],
+  };
+}
+
+function permutations(list) {
+  if (list.length <= 1) return [list];
+  return list.flatMap((item, i) =>
+    permutations([...list.slice(0, i), ...list.slice(i + 1)]).map((rest) => [item, ...rest])
+  );
+}
+
+function explainUnreachable(islandId, graph, gatewayId, islandById) {
+  const island = islandById[islandId];
+  const name = island?.name || islandId;
+  const gatewayName = islandById[gatewayId]?.name || gatewayId;
+
+  if (!graph[islandId]) {
+    return island && island.isFerryHub === false
+      ? `${name} has no scheduled ferry – reach it by road or charter from ${gatewayName}.`
+      : `No ferry route in the data serves ${name}.`;
+  }
+  return `${name} cannot be reached by ferry from ${gatewayName} and back with the current routes.`;
+}
+
+/**
+ * Order the selected islands into a ferry circuit that starts and ends at the gateway.
+ *
+ * - Sectors between consecutive islands may be multi-hop (e.g. NL → LI → RG)
+ * - Up to MAX_EXACT_CIRCUIT_ISLANDS islands are ordered exactly; larger sets use
+ *   nearest-neighbour ordering
+ * - Islands with no ferry path to/from the gateway are returned in `unreachable`
+ *
+ * Returns {
+ *   order:      ["PB", "HL", "NL", "PB"],
+ *   sectors:    [{ fromId, toId, islands, routeIds, durationMin, farePerPerson }],
+ *   routeIds:   flattened route ids in travel order (may repeat),
+ *   unreachable: [{ islandId, reason }],
+ * }
+ */
+export function planIslandCircuit(selectedIslands = [], routes = [], options = {}) {
+  const { islands = [], pricingConfig = {}, optimize = "duration" } = options;
+  const islandById = {};
+  islands.forEach((i) => {
+    islandById[i.id] = i;
+  });
+
+  const gatewayId =
+    options.gatewayId || islands.find((i) => i.isGateway)?.id || "PB";
+  const graph = buildFerryGraph(routes, pricingConfig);
+
+  const stops = [...new Set(selectedIslands)].filter((id) => id !== gatewayId);
+  const reachable = [];
+  const unreachable = [];
+
+  stops.forEach((id) => {
+    const out = findFerryPath(graph, gatewayId, id, optimize);
+    const back = findFerryPath(graph, id, gatewayId, optimize);
+    if (out && back) reachable.push(id);
+    else unreachable.push({ islandId: id, reason: explainUnreachable(id, graph, gatewayId, islandById) });
+  });
+
+  const empty = { order: [], sectors: [], routeIds: [], unreachable, gatewayId };
+  if (!reachable.length) {
+    return selectedIslands.includes(gatewayId) ? { ...empty, order: [gatewayId] } : empty;
+  }
+
+  // Pairwise shortest paths between every stop (memoised)
+  const pathCache = {};
+  const pathBetween = (a, b) => {
+    const key = `${a}>${b}`;
+    if (!(key in pathCache)) pathCache[key] = findFerryPath(graph, a, b, optimize);
+    return pathCache[key];
+  };
+  const legCost = (a, b) => pathBetween(a, b)?.cost ?? Infinity;
+  const circuitCost = (order) =>
+    order.reduce((sum, id, i) => sum + legCost(i === 0 ? gatewayId : order[i - 1], id), 0) +
+    legCost(order[order.length - 1], gatewayId);
+
+  let bestOrder;
+  if (reachable.length <= MAX_EXACT_CIRCUIT_ISLANDS) {
+    bestOrder = permutations(reachable).reduce((best, candidate) =>
+      circuitCost(candidate) < circuitCost(best) ? candidate : best
+    );
+  } else {
+    bestOrder = [];
+    const remaining = new Set(reachable);
+    let current = gatewayId;
+    while (remaining.size) {
+      const next = [...remaining].reduce((best, id) =>
+        legCost(current, id) < legCost(current, best) ? id : best
+      );
+      bestOrder.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+  }
+
+  const order = [gatewayId, ...bestOrder, gatewayId];
+  const sectors = order.slice(0, -1).map((fromId, i) => {
+    const toId = order[i + 1];
+    const path = pathBetween(fromId, toId);
+    return {
+      fromId,
+      toId,
+      islands: path.islands,
+      routeIds: path.routeIds,
+      durationMin: path.durationMin,
+      farePerPerson: path.farePerPerson,
+    };
+  });
+
+  return {
+    order,
+    sectors,
+    routeIds: sectors.flatMap((s) => s.routeIds),
+    unreachable,
+    gatewayId,
+  };
+}
@@ -0,0 +1,150 @@
+// src/hotelPricing.js
+import { addDays, getSeasonBand } from "./seasons";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+/**
+ * Nightly base rate for a hotel (supports the older basePricePerNightINR field)
+ */
+export function getHotelBaseRate(hotel) {
+  if (!hotel) return 0;
+  return num(hotel.basePriceINR ?? hotel.basePricePerNightINR);
+}
+
+// Travellers left over once every room is filled to its standard occupancy
+function overflowFor(hotel, rooms, adults, children) {
+  const maxAdults = Math.max(1, num(hotel?.maxAdults) || 2);
+  const maxChildren = Math.max(0, num(hotel?.maxChildren));
+  const adultCapacity = rooms * maxAdults;
+  const spareAdultSlots = Math.max(0, adultCapacity - adults);
+
+  return {
+    extraAdults: Math.max(0, adults - adultCapacity),
+    extraChildren: Math.max(0, children - rooms * maxChildren - spareAdultSlots),
+  };
+}
+
+/**
+ * Work out how many extra beds the party needs for a given number of rooms.
+ *
+ * - Each room holds hotel.maxAdults adults and hotel.maxChildren children
+ * - Children may use spare adult slots before needing a bed of their own
+ * - At most one extra bed per room, and only if hotel.supportsExtraBed
+ */
+export function computeHotelOccupancy(hotel, { rooms = 1, adults = 0, children = 0 } = {}) {
+  const roomCount = Math.max(1, num(rooms) || 1);
+  const adultCount = Math.max(0, num(adults));
+  const childCount = Math.max(0, num(children));
+  const bedsPerRoom = hotel?.supportsExtraBed ? 1 : 0;
+
+  const { extraAdults, extraChildren } = overflowFor(hotel, roomCount, adultCount, childCount);
+  const bedsAllowed = roomCount * bedsPerRoom;
+  const extraAdultBeds = Math.min(extraAdults, bedsAllowed);
+  const extraChildBeds = Math.min(extraChildren, bedsAllowed - extraAdultBeds);
+  const unaccommodated = extraAdults + extraChildren - extraAdultBeds - extraChildBeds;
+
+  // Smallest room count that fits the whole party
+  let suggestedRooms = roomCount;
+  while (suggestedRooms < adultCount + childCount) {
+    const o = overflowFor(hotel, suggestedRooms, adultCount, childCount);
+    if (o.extraAdults + o.extraChildren <= suggestedRooms * bedsPerRoom) break;
+    suggestedRooms += 1;
+  }
+
+  return {
+    rooms: roomCount,
+    extraAdultBeds,
+    extraChildBeds,
+    unaccommodated,
+    suggestedRooms,
+  };
+}
+
+/**
+ * Price a hotel stay night by night.
+ *
+ * - Each night is priced at the season band of its date (hotel.seasonalMultipliers)
+ * - Undated stays fall back to the flat base rate
+ * - Extra beds use hotel.extraBedINR for adults (or hotelDefaults.extraAdultPercent
+ *   of the room rate) and hotelDefaults.extraChildPercent of the room rate for children
+ * - Amounts are before GST, which taxEngine adds by the nightly room rate
+ */
+export function priceHotelStay(hotel, stay = {}, pricingConfig = {}) {
+  const empty = {
+    nights: [],
+    roomSubtotal: 0,
+    extraBedSubtotal: 0,
+    subtotal: 0,
+    total: 0,
+    occupancy: null,
+    warnings: [],
+  };
+  if (!hotel) return empty;
+
+  const defaults = pricingConfig.hotelDefaults || {};
+  const extraAdultPercent = num(defaults.extraAdultPercent);
+  const extraChildPercent = num(defaults.extraChildPercent);
+
+  const nightCount = Math.max(1, num(stay.nights) || 1);
+  const occupancy = computeHotelOccupancy(hotel, stay);
+  const baseRate = getHotelBaseRate(hotel);
+  const multipliers = hotel.seasonalMultipliers || {};
+
+  const nights = [];
+  for (let i = 0; i < nightCount; i += 1) {
+    const date = stay.checkIn ? addDays(stay.checkIn, i) : null;
+    const season = getSeasonBand(date, pricingConfig);
+    const multiplier = season && num(multipliers[season]) > 0 ? num(multipliers[season]) : 1;
+
+    const roomRate = baseRate * multiplier;
+    const adultBedRate =
+      num(hotel.extraBedINR) > 0
+        ? num(hotel.extraBedINR) * multiplier
+        : (roomRate * extraAdultPercent) / 100;
+    const childBedRate = Math.min(adultBedRate || Infinity, (roomRate * extraChildPercent) / 100);
+
+    const roomCost = roomRate * occupancy.rooms;
+    const extraBedCost =
+      adultBedRate * occupancy.extraAdultBeds + childBedRate * occupancy.extraChildBeds;
+
+    nights.push({
+      index: i + 1,
+      date,
+      season,
+      multiplier,
+      roomRate,
+      rooms: occupancy.rooms,
+      roomCost,
+      extraAdultBeds: occupancy.extraAdultBeds,
+      extraChildBeds: occupancy.extraChildBeds,
+      extraBedCost,
+      subtotal: roomCost + extraBedCost,
+    });
+  }
+
+  const roomSubtotal = nights.reduce((sum, n) => sum + n.roomCost, 0);
+  const extraBedSubtotal = nights.reduce((sum, n) => sum + n.extraBedCost, 0);
+  const subtotal = roomSubtotal + extraBedSubtotal;
+
+  const warnings = [];
+  if (occupancy.unaccommodated > 0) {
+    warnings.push(
+      `${occupancy.unaccommodated} traveller(s) exceed room occupancy` +
+        (hotel.supportsExtraBed ? " even with extra beds" : " (no extra beds)") +
+        ` – ${occupancy.suggestedRooms} room(s) needed.`
+    );
+  }
+
+  return {
+    nights,
+    roomSubtotal,
+    extraBedSubtotal,
+    subtotal,
+    total: subtotal,
+    occupancy,
+    warnings,
+  };
+}
@@ -0,0 +1,188 @@
+// src/islandMap.js
+// Geometry for the offline archipelago map: rough coastlines plus a flat projection of
+// lat/lng (islands.json / locations.json) onto SVG coordinates. No map tiles are used.
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Simplified coastlines as [lat, lng] rings, good enough to place islands and pins
+export const ARCHIPELAGO_OUTLINES = [
+  {
+    id: "north-andaman",
+    points: [
+      [13.65, 93.02],
+      [13.4, 93.08],
+      [13.2, 93.06],
+      [13.0, 92.98],
+      [12.97, 92.88],
+      [13.1, 92.85],
+      [13.4, 92.88],
+      [13.65, 92.95],
+    ],
+  },
+  {
+    id: "middle-andaman",
+    points: [
+      [12.95, 92.95],
+      [12.75, 92.98],
+      [12.55, 92.97],
+      [12.35, 92.86],
+      [12.25, 92.8],
+      [12.27, 92.72],
+      [12.5, 92.72],
+      [12.75, 92.78],
+      [12.95, 92.82],
+    ],
+  },
+  {
+    id: "baratang",
+    points: [
+      [12.25, 92.78],
+      [12.15, 92.82],
+      [12.05, 92.78],
+      [12.07, 92.72],
+      [12.2, 92.72],
+    ],
+  },
+  {
+    id: "south-andaman",
+    points: [
+      [12.05, 92.72],
+      [11.95, 92.78],
+      [11.8, 92.77],
+      [11.7, 92.76],
+      [11.62, 92.77],
+      [11.55, 92.74],
+      [11.48, 92.71],
+      [11.52, 92.66],
+      [11.58, 92.6],
+      [11.68, 92.6],
+      [11.8, 92.63],
+      [11.95, 92.66],
+      [12.05, 92.68],
+    ],
+  },
+  {
+    id: "rutland",
+    points: [
+      [11.5, 92.63],
+      [11.45, 92.7],
+      [11.38, 92.66],
+      [11.42, 92.6],
+    ],
+  },
+  {
+    id: "havelock",
+    points: [
+      [12.05, 92.97],
+      [12.02, 93.02],
+      [11.95, 93.03],
+      [11.93, 92.99],
+      [11.97, 92.95],
+    ],
+  },
+  {
+    id: "neil",
+    points: [
+      [11.85, 93.01],
+      [11.84, 93.05],
+      [11.8, 93.05],
+      [11.81, 93.01],
+    ],
+  },
+  {
+    id: "long-island",
+    points: [
+      [12.42, 92.94],
+      [12.4, 92.96],
+      [12.35, 92.94],
+      [12.37, 92.91],
+    ],
+  },
+  {
+    id: "little-andaman",
+    points: [
+      [10.9, 92.55],
+      [10.7, 92.62],
+      [10.5, 92.58],
+      [10.52, 92.4],
+      [10.75, 92.38],
+      [10.9, 92.45],
+    ],
+  },
+];
+
+/**
+ * Whether a record carries usable lat/lng
+ */
+export function hasCoordinates(item) {
+  return (
+    item != null &&
+    item.lat != null &&
+    item.lng != null &&
+    Number.isFinite(Number(item.lat)) &&
+    Number.isFinite(Number(item.lng))
+  );
+}
+
+/**
+ * Bounding box around [{ lat, lng }] points, padded and widened to at least minSpan
+ * degrees each way so a single island is not blown up to fill the map.
+ *
+ * Returns { minLat, maxLat, minLng, maxLng } or null without points.
+ */
+export function getBounds(points = [], { padding = 0.05, minSpan = 0.2 } = {}) {
+  const valid = points.filter(hasCoordinates);
+  if (!valid.length) return null;
+
+  const lats = valid.map((p) => num(p.lat));
+  const lngs = valid.map((p) => num(p.lng));
+  const widen = (min, max) => {
+    const extra = Math.max(0, minSpan - (max - min)) / 2 + padding;
+    return [min - extra, max + extra];
+  };
+  const [minLat, maxLat] = widen(Math.min(...lats), Math.max(...lats));
+  const [minLng, maxLng] = widen(Math.min(...lngs), Math.max(...lngs));
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Equirectangular projection of a bounding box onto an SVG of the given width.
+ * Longitude is scaled by cos(latitude) at the box centre, so the height follows.
+ *
+ * Returns { width, height, project: ({ lat, lng }) => { x, y } }
+ */
+export function createProjection(bounds, { width = 320 } = {}) {
+  const midLat = ((bounds.minLat + bounds.maxLat) / 2) * (Math.PI / 180);
+  const lngSpan = (bounds.maxLng - bounds.minLng) * Math.cos(midLat);
+  const latSpan = bounds.maxLat - bounds.minLat;
+  const scale = width / lngSpan;
+
+  return {
+    width,
+    height: latSpan * scale,
+    project: ({ lat, lng }) => ({
+      x: (num(lng) - bounds.minLng) * Math.cos(midLat) * scale,
+      y: (bounds.maxLat - num(lat)) * scale,
+    }),
+  };
+}
+
+/**
+ * Ferry legs to draw, one polyline per circuit sector through its hop islands
+ * (see planIslandCircuit). Islands without coordinates are skipped.
+ *
+ * Returns [{ key, fromId, toId, points: [{ lat, lng }] }]
+ */
+export function getFerryPaths(ferryPlan, islandById = {}) {
+  return (ferryPlan?.sectors || [])
+    .map((sector, i) => ({
+      key: `${sector.fromId}-${sector.toId}-${i}`,
+      fromId: sector.fromId,
+      toId: sector.toId,
+      points: sector.islands.map((id) => islandById[id]).filter(hasCoordinates),
+    }))
+    .filter((path) => path.points.length > 1);
+}
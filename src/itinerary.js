@@ -0,0 +1,340 @@
+// src/itinerary.js
+import { addDays } from "./seasons";
+import { getLocationIslandId } from "./locationUtils";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Sightseeing hours available on each kind of day
+export const DAY_HOURS = {
+  stay: 9,
+  arrival: 4,
+  departure: 2,
+};
+
+// Jetty check-in + hotel ↔ jetty transfers around a ferry
+export const FERRY_BUFFER_HOURS = 1.5;
+
+const TIMING_ORDER = { early: 0, any: 1, sunset: 2 };
+
+/**
+ * Map recommendedTime values from the data to a day slot.
+ * "early morning" → early, "sunrise/sunset" → sunset, everything else → any
+ */
+export function getTimingSlot(recommendedTime) {
+  const value = String(recommendedTime || "").toLowerCase();
+  if (value.includes("early")) return "early";
+  if (value.includes("sunset") || value.includes("sunrise")) return "sunset";
+  return "any";
+}
+
+/**
+ * Split the trip's nights across islands in stay order.
+ *
+ * - Islands with a hotel selection keep their hotel nights
+ * - Remaining nights are shared out across islands without a hotel, earliest first
+ * - Nights still left over are spent back at the gateway before flying out
+ *
+ * Returns [{ islandId, nights }]
+ */
+export function allocateNights(
+  order = [],
+  hotelNightsByIsland = {},
+  totalNights = 0,
+  gatewayId = "PB"
+) {
+  const fixed = order.filter((id) => num(hotelNightsByIsland[id]) > 0);
+  const open = order.filter((id) => !fixed.includes(id));
+  const fixedNights = fixed.reduce((sum, id) => sum + num(hotelNightsByIsland[id]), 0);
+
+  const openNights = Math.max(0, num(totalNights) - fixedNights);
+  const share = open.length ? Math.floor(openNights / open.length) : 0;
+  let extra = open.length ? openNights - share * open.length : 0;
+
+  const segments = order.map((islandId) => {
+    if (fixed.includes(islandId)) {
+      return { islandId, nights: num(hotelNightsByIsland[islandId]) };
+    }
+    const nights = share + (extra > 0 ? 1 : 0);
+    if (extra > 0) extra -= 1;
+    return { islandId, nights };
+  });
+
+  const remaining = num(totalNights) - segments.reduce((sum, s) => sum + s.nights, 0);
+  if (remaining > 0) {
+    const last = segments[segments.length - 1];
+    if (last && last.islandId === gatewayId) last.nights += remaining;
+    else segments.push({ islandId: gatewayId, nights: remaining });
+  }
+
+  return segments.filter((s) => s.nights > 0);
+}
+
+function findSector(ferryPlan, fromId, toId) {
+  const sector = (ferryPlan?.sectors || []).find((s) => s.fromId === fromId && s.toId === toId);
+  if (!sector) return { fromId, toId, via: [], durationMin: null, byFerry: false };
+  return {
+    fromId,
+    toId,
+    via: sector.islands.slice(1, -1),
+    durationMin: sector.durationMin,
+    byFerry: true,
+  };
+}
+
+function travelHours(ferry) {
+  if (!ferry) return 0;
+  // Road / charter transfers without a ferry sector: assume half a day
+  if (!ferry.byFerry) return 4;
+  return num(ferry.durationMin) / 60 + FERRY_BUFFER_HOURS;
+}
+
+/**
+ * Lay out the day skeleton: one day per night plus the departure day.
+ */
+function buildDays(segments, { startDate, ferryPlan, gatewayId }) {
+  const days = [];
+  const totalDays = segments.reduce((sum, s) => sum + s.nights, 0) + 1;
+  let cursor = 0;
+
+  segments.forEach((segment, segIndex) => {
+    const prevIsland = segIndex === 0 ? gatewayId : segments[segIndex - 1].islandId;
+
+    for (let n = 0; n < segment.nights; n += 1) {
+      const index = cursor + 1;
+      const isFirstDay = cursor === 0;
+      const ferry =
+        n === 0 && prevIsland !== segment.islandId
+          ? findSector(ferryPlan, prevIsland, segment.islandId)
+          : null;
+
+      const base = isFirstDay ? DAY_HOURS.arrival : DAY_HOURS.stay;
+      days.push({
+        index,
+        date: startDate ? addDays(startDate, cursor) : null,
+        islandId: segment.islandId,
+        kind: isFirstDay ? "arrival" : ferry ? "travel" : "stay",
+        ferry,
+        capacityHours: Math.max(0, base - travelHours(ferry)),
+        slots: { early: !isFirstDay && !ferry, sunset: true },
+        items: [],
+      });
+      cursor += 1;
+    }
+  });
+
+  if (totalDays > 0) {
+    const lastIsland = segments.length ? segments[segments.length - 1].islandId : gatewayId;
+    const ferry = lastIsland !== gatewayId ? findSector(ferryPlan, lastIsland, gatewayId) : null;
+    days.push({
+      index: cursor + 1,
+      date: startDate ? addDays(startDate, cursor) : null,
+      islandId: ferry ? gatewayId : lastIsland,
+      kind: "departure",
+      ferry,
+      capacityHours: ferry ? 0 : DAY_HOURS.departure,
+      slots: { early: !ferry, sunset: false },
+      items: [],
+    });
+  }
+
+  return days;
+}
+
+/**
+ * Turn selected locations and adventures into schedulable items, each tied to an island.
+ */
+export function collectItineraryItems({
+  locations = [],
+  adventures = [],
+  islands = [],
+  selectedLocationIds = [],
+  selectedAdventureIds = {},
+  islandOrder = [],
+}) {
+  const items = [];
+
+  locations
+    .filter((loc) => selectedLocationIds.includes(loc.id))
+    .forEach((loc) => {
+      items.push({
+        key: `loc:${loc.id}`,
+        type: "location",
+        refId: loc.id,
+        name: loc.location,
+        islandId: getLocationIslandId(loc, islands),
+        hours: num(loc.typicalHours) || 2,
+        timing: getTimingSlot(loc.recommendedTime),
+      });
+    });
+
+  adventures
+    .filter((adv) => selectedAdventureIds[adv.id])
+    .forEach((adv) => {
+      const operatedIn = adv.operatedIn || [];
+      items.push({
+        key: `adv:${adv.id}`,
+        type: "adventure",
+        refId: adv.id,
+        name: adv.name,
+        islandId: islandOrder.find((id) => operatedIn.includes(id)) || operatedIn[0] || null,
+        hours: (num(adv.durationMin) || 120) / 60,
+        timing: getTimingSlot(adv.recommendedTime),
+      });
+    });
+
+  return items;
+}
+
+function sortDayItems(items) {
+  return [...items].sort((a, b) => TIMING_ORDER[a.timing] - TIMING_ORDER[b.timing]);
+}
+
+function finaliseDays(days) {
+  return days.map((day) => {
+    const usedHours = day.items.reduce((sum, item) => sum + item.hours, 0);
+    return { ...day, usedHours, overbooked: usedHours > day.capacityHours + 0.01 };
+  });
+}
+
+/**
+ * Build a day-by-day itinerary.
+ *
+ * - Days = total nights + 1, split across islands by allocateNights
+ * - Ferry days lose the sailing time plus a transfer buffer, and have no early slot
+ * - Early-morning and sunrise/sunset items prefer a day whose slot is still free;
+ *   otherwise they are placed anyway with a note
+ * - Longer and time-bound items are placed first, on the island day with most room
+ *
+ * Returns { days: [...], unscheduled: [{ ...item, reason }] }
+ */
+export function buildItinerary({
+  islandOrder = [],
+  hotelNightsByIsland = {},
+  totalNights = 0,
+  startDate = "",
+  ferryPlan = null,
+  items = [],
+  islandById = {},
+}) {
+  const gatewayId = ferryPlan?.gatewayId || "PB";
+  const segments = allocateNights(islandOrder, hotelNightsByIsland, totalNights, gatewayId);
+  const days = buildDays(segments, { startDate, ferryPlan, gatewayId });
+  const unscheduled = [];
+
+  const queue = [...items].sort((a, b) => {
+    const timed = (a.timing === "any") - (b.timing === "any");
+    return timed || b.hours - a.hours;
+  });
+
+  queue.forEach((item) => {
+    const islandName = islandById[item.islandId]?.name || item.islandId;
+    if (!item.islandId) {
+      unscheduled.push({ ...item, reason: "No island is mapped for this item." });
+      return;
+    }
+
+    const islandDays = days.filter((d) => d.islandId === item.islandId);
+    if (!islandDays.length) {
+      unscheduled.push({ ...item, reason: `${islandName} has no nights in this plan.` });
+      return;
+    }
+
+    const remaining = (d) => d.capacityHours - d.items.reduce((sum, i) => sum + i.hours, 0);
+    const slotFree = (d) =>
+      item.timing === "any" ||
+      (d.slots[item.timing] && !d.items.some((i) => i.timing === item.timing));
+
+    const fits = islandDays.filter((d) => remaining(d) >= item.hours - 0.01);
+    const withSlot = fits.filter(slotFree);
+    const pickFrom = withSlot.length ? withSlot : fits;
+
+    if (!pickFrom.length) {
+      unscheduled.push({
+        ...item,
+        reason: `Not enough free time on ${islandName} (needs ~${item.hours} h).`,
+      });
+      return;
+    }
+
+    const day = pickFrom.reduce((best, d) => (remaining(d) > remaining(best) ? d : best));
+    day.items.push(
+      withSlot.length ? item : { ...item, note: "Preferred time slot already taken that day." }
+    );
+  });
+
+  days.forEach((day) => {
+    day.items = sortDayItems(day.items);
+  });
+
+  return { days: finaliseDays(days), unscheduled };
+}
+
+/**
+ * Apply manual ordering on top of an automatic itinerary.
+ *
+ * `overrides` maps a day index to the ordered item keys the user arranged for
+ * that day. Keys that no longer exist are ignored; new items stay where the
+ * scheduler put them.
+ */
+export function applyItineraryOverrides(itinerary, overrides = {}) {
+  const byKey = {};
+  itinerary.days.forEach((d) => d.items.forEach((i) => (byKey[i.key] = i)));
+  itinerary.unscheduled.forEach((i) => (byKey[i.key] = i));
+
+  const pinned = new Set();
+  Object.entries(overrides).forEach(([dayIndex, keys]) => {
+    const day = itinerary.days.find((d) => d.index === Number(dayIndex));
+    if (!day) return;
+    keys.forEach((key) => {
+      if (byKey[key] && byKey[key].islandId === day.islandId) pinned.add(key);
+    });
+  });
+
+  const days = itinerary.days.map((day) => {
+    const manual = (overrides[day.index] || []).filter(
+      (key) => pinned.has(key) && byKey[key].islandId === day.islandId
+    );
+    const auto = day.items.filter((i) => !pinned.has(i.key));
+    const items = [...manual.map((key) => ({ ...byKey[key], reason: undefined })), ...auto];
+    return { ...day, items };
+  });
+
+  // A key pinned to two days (stale overrides) keeps only its first placement
+  const seen = new Set();
+  days.forEach((day) => {
+    day.items = day.items.filter((i) => (seen.has(i.key) ? false : seen.add(i.key)));
+  });
+
+  return {
+    days: finaliseDays(days),
+    unscheduled: itinerary.unscheduled.filter((i) => !seen.has(i.key)),
+  };
+}
+
+/**
+ * Move an item to a position on a day and return the new overrides.
+ * Items can only move between days on their own island.
+ */
+export function moveItineraryItem(itinerary, overrides, itemKey, toDayIndex, toPosition) {
+  const target = itinerary.days.find((d) => d.index === toDayIndex);
+  const source = itinerary.days.find((d) => d.items.some((i) => i.key === itemKey));
+  const item =
+    source?.items.find((i) => i.key === itemKey) ||
+    itinerary.unscheduled.find((i) => i.key === itemKey);
+  if (!target || !item || item.islandId !== target.islandId) return overrides;
+
+  const next = { ...overrides };
+  if (source && source.index !== target.index) {
+    next[source.index] = source.items.map((i) => i.key).filter((key) => key !== itemKey);
+  }
+
+  const targetKeys = target.items.map((i) => i.key).filter((key) => key !== itemKey);
+  const position = Math.max(0, Math.min(toPosition ?? targetKeys.length, targetKeys.length));
+  targetKeys.splice(position, 0, itemKey);
+  next[target.index] = targetKeys;
+
+  return next;
+}
@@ -0,0 +1,221 @@
+// src/leadCapture.js
+import { serializeTrip } from "./tripState";
+
+/**
+ * Version of the lead payload (bump when fields are renamed or removed).
+ */
+export const LEAD_PAYLOAD_VERSION = 1;
+
+// Override per deployment with VITE_LEAD_ENDPOINT; the dev server mocks this path
+export const DEFAULT_LEAD_ENDPOINT = "/api/leads";
+
+export const CONTACT_METHODS = [
+  { id: "whatsapp", label: "WhatsApp" },
+  { id: "phone", label: "Phone call" },
+  { id: "email", label: "Email" },
+];
+
+const LEAD_QUEUE_KEY = "andaman-planner:lead-queue";
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 800;
+
+export function getLeadEndpoint() {
+  return import.meta.env?.VITE_LEAD_ENDPOINT || DEFAULT_LEAD_ENDPOINT;
+}
+
+/**
+ * Check the contact form. Returns { field: message } for each problem (empty when valid).
+ *
+ * - Name and phone are required; phone must have 10–15 digits
+ * - Email is required only when it is the preferred contact method
+ */
+export function validateLeadContact(contact = {}) {
+  const errors = {};
+  const digits = String(contact.phone || "").replace(/\D/g, "");
+  const email = String(contact.email || "").trim();
+
+  if (!String(contact.name || "").trim()) errors.name = "Please enter your name.";
+  if (digits.length < 10 || digits.length > 15) {
+    errors.phone = "Enter a phone number with country or area code.";
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.email = "That email address doesn't look right.";
+  } else if (!email && contact.preferredContact === "email") {
+    errors.email = "Add an email address or pick another contact method.";
+  }
+  if (!CONTACT_METHODS.some((m) => m.id === contact.preferredContact)) {
+    errors.preferredContact = "Choose how we should contact you.";
+  }
+
+  return errors;
+}
+
+function makeLeadId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `lead-${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Package a lead for the backend.
+ *
+ * Payload (v1):
+ *   {
+ *     version: 1,
+ *     leadId: "lead-…",            // client-generated; lets the backend drop duplicate retries
+ *     createdAt: ISO timestamp,
+ *     contact: { name, phone, email, preferredContact, notes },
+ *     trip: serializeTrip(...)      // same compact form as the share link / saved trips
+ *     breakdown: buildTripBreakdown(...) output: header, lines, totals, itinerary, notes
+ *     source: { dataVersion, page }
+ *   }
+ */
+export function buildLeadPayload({ contact, tripState, breakdown, dataVersion = "" }) {
+  return {
+    version: LEAD_PAYLOAD_VERSION,
+    leadId: makeLeadId(),
+    createdAt: new Date().toISOString(),
+    contact: {
+      name: String(contact.name || "").trim(),
+      phone: String(contact.phone || "").trim(),
+      email: String(contact.email || "").trim(),
+      preferredContact: contact.preferredContact,
+      notes: String(contact.notes || "").trim(),
+    },
+    trip: serializeTrip(tripState, dataVersion),
+    breakdown,
+    source: {
+      dataVersion,
+      page: typeof window !== "undefined" ? window.location.origin + window.location.pathname : "",
+    },
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class LeadRejectedError extends Error {}
+
+async function postLead(payload, endpoint) {
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (res.ok) return res.json().catch(() => ({}));
+
+  const message = `Lead endpoint responded ${res.status}`;
+  // 4xx (other than rate limiting) won't succeed on retry
+  if (res.status >= 400 && res.status < 500 && res.status !== 429) {
+    throw new LeadRejectedError(message);
+  }
+  throw new Error(message);
+}
+
+/* -----------------------------
+   Offline queue (localStorage)
+------------------------------ */
+
+function readQueue() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(LEAD_QUEUE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeQueue(list) {
+  try {
+    window.localStorage.setItem(LEAD_QUEUE_KEY, JSON.stringify(list));
+    return true;
+  } catch (err) {
+    console.warn("Could not queue lead in localStorage", err);
+    return false;
+  }
+}
+
+export function getQueuedLeadCount() {
+  return readQueue().length;
+}
+
+function enqueueLead(payload) {
+  const others = readQueue().filter((p) => p.leadId !== payload.leadId);
+  return writeQueue([...others, payload]);
+}
+
+/**
+ * Send a lead with retry.
+ *
+ * - Network errors and 5xx / 429 responses are retried with backoff
+ * - If the browser is offline, or every attempt fails, the lead is queued and
+ *   sent later by flushLeadQueue
+ * - Other 4xx responses are reported as failed (not queued)
+ *
+ * Returns { status: "sent" | "queued" | "failed", response?, error?, offline? }
+ * where offline marks a lead queued because the browser had no connection.
+ */
+export async function submitLead(payload, { endpoint = getLeadEndpoint() } = {}) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return enqueueLead(payload)
+      ? { status: "queued", offline: true }
+      : { status: "failed", error: "You are offline." };
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    try {
+      const response = await postLead(payload, endpoint);
+      return { status: "sent", response };
+    } catch (err) {
+      if (err instanceof LeadRejectedError) {
+        return { status: "failed", error: err.message };
+      }
+      lastError = err;
+      if (attempt < MAX_ATTEMPTS) await wait(RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  console.warn("Lead not sent, queueing for later", lastError);
+  return enqueueLead(payload)
+    ? { status: "queued", offline: false }
+    : { status: "failed", error: lastError?.message || "Could not send request." };
+}
+
+// The flush in progress, shared by overlapping callers (load + "online")
+let activeFlush = null;
+
+async function flushQueueOnce(endpoint) {
+  const queue = readQueue();
+  if (!queue.length) return 0;
+
+  const done = new Set();
+  for (const payload of queue) {
+    try {
+      await postLead(payload, endpoint);
+      done.add(payload.leadId);
+    } catch (err) {
+      if (err instanceof LeadRejectedError) {
+        console.warn(`Dropping queued lead ${payload.leadId}`, err);
+        done.add(payload.leadId);
+      }
+    }
+  }
+
+  // Re-read: submitLead may have queued more leads while we were posting
+  writeQueue(readQueue().filter((p) => !done.has(p.leadId)));
+  return done.size;
+}
+
+/**
+ * Try to send every queued lead once. Leads the endpoint rejects are dropped;
+ * leads that still can't be delivered stay queued. A call made while a flush is
+ * running waits for that flush instead of posting the same leads again.
+ * Returns the number of leads taken off the queue.
+ */
+export function flushLeadQueue({ endpoint = getLeadEndpoint() } = {}) {
+  if (!activeFlush) {
+    activeFlush = flushQueueOnce(endpoint).finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+}
@@ -0,0 +1,32 @@
+// src/locationUtils.js
+
+/**
+ * Normalise an island display name for matching:
+ * "Long Island (Middle Andaman)" → "longisland", "Remote / Expeditions" → "remoteexpeditions"
+ */
+export function normalizeIslandName(name) {
+  return String(name || "")
+    .replace(/\(.*?\)/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Resolve the island id for a locations.json entry.
+ *
+ * locations.json stores the island as a display name that does not always match
+ * islands.json exactly ("Little Andaman" vs "Little Andaman (Hut Bay)"), so names
+ * are compared without their bracketed suffix.
+ */
+export function getLocationIslandId(location, islands = []) {
+  if (!location) return null;
+  if (location.islandId) return location.islandId;
+
+  const raw = location.island || "";
+  const exact = islands.find((i) => raw.includes(i.name));
+  if (exact) return exact.id;
+
+  const key = normalizeIslandName(raw);
+  const loose = islands.find((i) => normalizeIslandName(i.name) === key);
+  return loose ? loose.id : null;
+}
@@ -0,0 +1,253 @@
+// src/packagePresets.js
+import { checkChildAges } from "./adventurePricing";
+import { findCabLegById, findMatchingCabLeg } from "./cabPricing";
+import { generateCabPlan } from "./cabPlanner";
+import { getDefaultFerrySelection, listFerryOptions } from "./ferryPricing";
+import { computeHotelOccupancy, getHotelBaseRate } from "./hotelPricing";
+import { allocateNights } from "./itinerary";
+import { priceTrip } from "./tripPricing";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Hotel tags wanted for a trip mood (children on the trip always add "family")
+const MOOD_HOTEL_TAGS = {
+  romantic: ["honeymoon"],
+  family: ["family"],
+  offbeat: ["offbeat", "quiet"],
+  nature: ["eco-resort", "eco-stay"],
+};
+
+/**
+ * Package tiers from pricing_config.json → packagePresets, in config order.
+ * Returns [{ id, label, description, hotelTiers, hotelTags, ferryTier, cab,
+ *            activitiesPerIsland, activityCategories, maxActivityPriceINR }]
+ */
+export function listPackagePresets(pricingConfig = {}) {
+  return Object.entries(pricingConfig.packagePresets || {}).map(([id, preset]) => ({
+    id,
+    label: preset.label || id,
+    description: preset.description || "",
+    hotelTiers: preset.hotelTiers || [],
+    hotelTags: preset.hotelTags || [],
+    ferryTier: preset.ferryTier || "cheapest",
+    cab: preset.cab || {},
+    activitiesPerIsland: num(preset.activitiesPerIsland),
+    activityCategories: preset.activityCategories || [],
+    maxActivityPriceINR: num(preset.maxActivityPriceINR) || Infinity,
+  }));
+}
+
+/**
+ * Best hotel on an island for a tier.
+ *
+ * - Earlier entries in preset.hotelTiers win; hotels outside the listed tiers are only
+ *   used when nothing else is on the island
+ * - Then the most matching tags (preset.hotelTags + wanted tags), then the lower rate
+ */
+function pickHotel(islandHotels, preset, wantedTags) {
+  const tags = [...preset.hotelTags, ...wantedTags];
+  const tierRank = (h) => {
+    const i = preset.hotelTiers.indexOf(h.tier);
+    return i === -1 ? preset.hotelTiers.length : i;
+  };
+  const matches = (h) => (h.tags || []).filter((t) => tags.includes(t)).length;
+
+  return (
+    [...islandHotels].sort(
+      (a, b) =>
+        tierRank(a) - tierRank(b) ||
+        matches(b) - matches(a) ||
+        getHotelBaseRate(a) - getHotelBaseRate(b)
+    )[0] || null
+  );
+}
+
+/**
+ * Operator + class for a ferry route by tier:
+ * - "cheapest": the cheapest priced option (the planner default)
+ * - "private": the cheapest private operator
+ * - "premium": the dearest private operator class
+ */
+function pickFerrySelection(route, ferryTier, pricingConfig) {
+  const fallback = getDefaultFerrySelection(route, pricingConfig);
+  if (ferryTier === "cheapest") return fallback;
+
+  const privateOptions = listFerryOptions(route, pricingConfig)
+    .filter((o) => o.isPrivate && o.farePerPerson != null)
+    .sort((a, b) => a.farePerPerson - b.farePerPerson);
+  const pick =
+    ferryTier === "premium" ? privateOptions[privateOptions.length - 1] : privateOptions[0];
+  if (!pick) return fallback;
+  return { operator: pick.operator, classId: pick.classId, departure: pick.departures[0] || "" };
+}
+
+/**
+ * Starter activities: up to preset.activitiesPerIsland per island, from the preset's
+ * categories (earlier categories first) and under its price cap, skipping activities
+ * a child on the trip is too young for.
+ */
+function pickActivities(adventures, islandOrder, preset, party) {
+  const picked = [];
+  const rank = (adv) => preset.activityCategories.indexOf(adv.category);
+
+  islandOrder.forEach((islandId) => {
+    adventures
+      .filter(
+        (adv) =>
+          (adv.operatedIn || []).includes(islandId) &&
+          rank(adv) !== -1 &&
+          num(adv.basePriceINR) <= preset.maxActivityPriceINR &&
+          !picked.includes(adv.id) &&
+          checkChildAges(adv, party.children, party.childAges).tooYoung === 0
+      )
+      .sort((a, b) => rank(a) - rank(b) || num(a.basePriceINR) - num(b.basePriceINR))
+      .slice(0, preset.activitiesPerIsland)
+      .forEach((adv) => picked.push(adv.id));
+  });
+
+  return picked;
+}
+
+/**
+ * Swap an auto-planned cab leg to the preset's vehicle and service class where a fare
+ * exists for the same route; vehicleMode is "fixed" when the preset names a class.
+ */
+function applyCabTier(sel, cabLegs, cab) {
+  const leg = findCabLegById(cabLegs, sel.legId, sel.serviceClass);
+  if (!leg) return sel;
+  const route = {
+    islandId: leg.islandId,
+    fromZone: leg.fromZone,
+    toZone: leg.toZone,
+    tripType: leg.tripType,
+  };
+  const vehicleClass = cab.vehicleClass || leg.vehicleClass;
+  const match =
+    findMatchingCabLeg(cabLegs, {
+      ...route,
+      vehicleClass,
+      serviceClass: cab.serviceClass || "STANDARD",
+    }) || findMatchingCabLeg(cabLegs, { ...route, vehicleClass, serviceClass: "STANDARD" });
+  if (!match) return sel;
+  return {
+    ...sel,
+    legId: match.id,
+    serviceClass: match.serviceClass || "STANDARD",
+    vehicleMode: cab.vehicleClass ? "fixed" : "auto",
+  };
+}
+
+/**
+ * Fill in the whole plan for the selected islands and nights from one package tier.
+ *
+ * - Hotels per island by tier and tags, nights split like the itinerary does, rooms
+ *   enough for the party
+ * - The suggested ferry circuit with an operator/class per preset.ferryTier
+ * - Auto-planned cabs (see generateCabPlan) in the preset's cab class; legs added by
+ *   hand are kept
+ * - A starter activity set; locations and rentals are left as they are
+ *
+ * `state` is the current trip state, `data` the loaded datasets (see priceTrip).
+ *
+ * Returns { preset, state, priced, warnings } where priced comes from priceTrip.
+ */
+export function buildPackagePreset(presetId, state = {}, data = {}, pricingConfig = {}) {
+  const preset = listPackagePresets(pricingConfig).find((p) => p.id === presetId);
+  if (!preset) return null;
+
+  const { hotels = [], adventures = [], cabLegs = [], ferryRoutes = [] } = data;
+  const adults = num(state.adults);
+  const children = num(state.children);
+  const warnings = [];
+
+  // Ferry circuit and stay order come from the islands alone
+  const base = priceTrip(
+    { ...state, selectedFerryRouteIds: [], selectedHotelsByIsland: {}, selectedCabLegs: [] },
+    data,
+    pricingConfig
+  );
+  const { ferryPlan, islandOrder, nights } = base;
+
+  const wantedTags = [
+    ...(MOOD_HOTEL_TAGS[state.selectedMood] || []),
+    ...(children > 0 ? ["family"] : []),
+  ];
+  const selectedHotelsByIsland = {};
+  allocateNights(islandOrder, {}, nights, ferryPlan.gatewayId)
+    .filter((segment) => islandOrder.includes(segment.islandId))
+    .forEach(({ islandId, nights: stayNights }) => {
+      const hotel = pickHotel(
+        hotels.filter((h) => h.islandId === islandId),
+        preset,
+        wantedTags
+      );
+      if (!hotel) {
+        const name = (data.islands || []).find((i) => i.id === islandId)?.name || islandId;
+        warnings.push(`No hotels listed on ${name}.`);
+        return;
+      }
+      selectedHotelsByIsland[islandId] = {
+        hotelId: hotel.id,
+        nights: stayNights,
+        rooms: computeHotelOccupancy(hotel, { rooms: 1, adults, children }).suggestedRooms,
+      };
+    });
+
+  const selectedFerryRouteIds = ferryPlan.routeIds;
+  const ferrySelections = {};
+  selectedFerryRouteIds.forEach((id) => {
+    const route = ferryRoutes.find((r) => r.id === id);
+    const selection = route && pickFerrySelection(route, preset.ferryTier, pricingConfig);
+    if (selection) ferrySelections[id] = selection;
+  });
+
+  const adventureIds = pickActivities(adventures, islandOrder, preset, {
+    adults,
+    children,
+    childAges: state.childAges || [],
+  });
+  const selectedAdventureIds = Object.fromEntries(adventureIds.map((id) => [id, true]));
+  const adventureOptions = Object.fromEntries(
+    Object.entries(state.adventureOptions || {}).filter(([id]) => selectedAdventureIds[id])
+  );
+
+  const withoutCabs = {
+    ...state,
+    selectedFerryRouteIds,
+    ferrySelections,
+    selectedHotelsByIsland,
+    selectedAdventureIds,
+    adventureOptions,
+    itineraryOverrides: {},
+    selectedCabLegs: (state.selectedCabLegs || []).filter((sel) => !sel.auto),
+  };
+
+  // Cabs follow the itinerary, so plan them once the rest is in place
+  const planned = priceTrip(withoutCabs, data, pricingConfig);
+  const cabPlan = generateCabPlan({
+    cabLegs,
+    itinerary: planned.itinerary,
+    ferryRoutes,
+    selectedFerryRouteIds,
+    ferryQuotes: planned.ferryQuotes,
+    locations: data.locations || [],
+    islands: data.islands || [],
+    selectedLocationIds: state.selectedLocationIds || [],
+    travellers: planned.travellers,
+    pricingConfig,
+    gatewayId: ferryPlan.gatewayId,
+  });
+
+  const next = {
+    ...withoutCabs,
+    selectedCabLegs: [
+      ...withoutCabs.selectedCabLegs,
+      ...cabPlan.legs.map((sel) => applyCabTier(sel, cabLegs, preset.cab)),
+    ],
+  };
+
+  return { preset, state: next, priced: priceTrip(next, data, pricingConfig), warnings };
+}
@@ -0,0 +1,168 @@
+// src/permits.js
+import { isBoatExcursion } from "./adventurePricing";
+import { getLocationIslandId } from "./locationUtils";
+import { addDays } from "./seasons";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const DEFAULT_BOOKING_TYPE = {
+  label: "Booking",
+  where: "",
+  arrangeDaysBefore: 1,
+  documents: [],
+};
+
+/**
+ * How a booking type is arranged: pricing_config permitDefaults.bookingTypes[type].
+ * Returns { label, where, arrangeDaysBefore, entryFeeINR, documents }
+ */
+export function getBookingTypeRule(bookingType, pricingConfig = {}) {
+  const rule = pricingConfig.permitDefaults?.bookingTypes?.[bookingType] || {};
+  return {
+    ...DEFAULT_BOOKING_TYPE,
+    ...rule,
+    label: rule.label || bookingType,
+    arrangeDaysBefore: Math.max(0, num(rule.arrangeDaysBefore ?? 1)),
+    documents: Array.isArray(rule.documents) ? rule.documents : [],
+  };
+}
+
+/**
+ * Whether a location needs anything arranged ahead (a permit, ticket or booking)
+ */
+export function needsArrangement(loc) {
+  return Boolean(loc?.permitRequired) || (loc?.bookingType && loc.bookingType !== "none");
+}
+
+/**
+ * Fees per person for one location.
+ *
+ * - "permit+boat" (or permitRequired): boatExcursionDefaults.permitFeeINR and
+ *   environmentFeeINR, unless the location sets permitFeeINR / environmentFeeINR
+ * - "ticket_counter": the location's entryFeeINR, else the booking type's entryFeeINR
+ * - Boat and operator bookings are paid to the operator, so carry no fee here
+ *
+ * Returns [{ label, perPerson, boat }] where boat marks the permit/environment fees
+ * that boat excursions already charge (see adventurePricing.priceAdventure)
+ */
+export function getLocationFees(loc, pricingConfig = {}) {
+  const fees = [];
+  const boatDefaults = pricingConfig.boatExcursionDefaults || {};
+
+  if (loc.bookingType === "permit+boat" || loc.permitRequired) {
+    const permit = loc.permitFeeINR ?? boatDefaults.permitFeeINR;
+    const environment = loc.environmentFeeINR ?? boatDefaults.environmentFeeINR;
+    if (num(permit) > 0) fees.push({ label: "Permit", perPerson: num(permit), boat: true });
+    if (num(environment) > 0) {
+      fees.push({ label: "Environment fee", perPerson: num(environment), boat: true });
+    }
+  }
+  if (loc.bookingType === "ticket_counter") {
+    const entry = loc.entryFeeINR ?? getBookingTypeRule(loc.bookingType, pricingConfig).entryFeeINR;
+    if (num(entry) > 0) fees.push({ label: "Entry ticket", perPerson: num(entry) });
+  }
+  return fees;
+}
+
+// { index, date } for an itinerary day
+function dayRef(index, startDate) {
+  return { index, date: startDate ? addDays(startDate, index - 1) : null };
+}
+
+/**
+ * When to arrange an item: "before you travel", "on Day 2 (2025-01-11)" or, for stops
+ * not on the itinerary yet, "once the visit is scheduled".
+ */
+export function describeArrangeDay(item) {
+  if (item.beforeTrip) return "before you travel";
+  if (!item.arrangeDay) return "once the visit is scheduled";
+  const { index, date } = item.arrangeDay;
+  return `on Day ${index}${date ? ` (${date})` : ""}`;
+}
+
+// Checklist order: before the trip, then by day, unscheduled stops last
+function arrangeRank(item) {
+  if (item.beforeTrip) return 0;
+  return item.arrangeDay ? item.arrangeDay.index : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Permits and tickets checklist for the selected locations.
+ *
+ * - Fees are per traveller (see getLocationFees)
+ * - The visit day comes from the itinerary; the permit is due arrangeDaysBefore that
+ *   day, or before the trip when that falls ahead of day 1
+ * - Documents come from the booking type rule
+ * - A selected boat excursion already charges the permit and environment fee on its
+ *   islands, so locations there drop them and name the excursion in includedIn
+ *
+ * Returns { items: [{ locationId, name, islandId, bookingType, label, where, fees,
+ *                     total, includedIn, documents, note, visitDay, arrangeDay,
+ *                     beforeTrip }],
+ *           total }
+ * where visitDay / arrangeDay are { index, date } or null when the stop isn't scheduled.
+ */
+export function buildPermitChecklist({
+  locations = [],
+  islands = [],
+  selectedLocationIds = [],
+  adventures = [],
+  selectedAdventureIds = {},
+  itinerary = null,
+  startDate = "",
+  travellers = 1,
+  pricingConfig = {},
+}) {
+  const party = Math.max(1, num(travellers));
+  const visitDayIndex = {};
+  (itinerary?.days || []).forEach((day) =>
+    day.items.forEach((item) => {
+      if (item.type === "location") visitDayIndex[item.refId] = day.index;
+    })
+  );
+
+  const boatTrips = adventures.filter(
+    (adv) => selectedAdventureIds[adv.id] && isBoatExcursion(adv, pricingConfig)
+  );
+
+  const items = locations
+    .filter((loc) => selectedLocationIds.includes(loc.id) && needsArrangement(loc))
+    .map((loc) => {
+      const bookingType =
+        loc.bookingType && loc.bookingType !== "none" ? loc.bookingType : "permit+boat";
+      const rule = getBookingTypeRule(bookingType, pricingConfig);
+      const islandId = getLocationIslandId(loc, islands);
+      const allFees = getLocationFees({ ...loc, bookingType }, pricingConfig);
+      const boatTrip = allFees.some((f) => f.boat)
+        ? boatTrips.find((adv) => (adv.operatedIn || []).includes(islandId))
+        : null;
+      const fees = allFees
+        .filter((f) => !(boatTrip && f.boat))
+        .map((f) => ({ ...f, amount: f.perPerson * party }));
+
+      const visitIndex = visitDayIndex[loc.id];
+      const arrangeIndex = visitIndex ? visitIndex - rule.arrangeDaysBefore : null;
+      return {
+        locationId: loc.id,
+        name: loc.location,
+        islandId,
+        bookingType,
+        label: rule.label,
+        where: rule.where,
+        fees,
+        total: fees.reduce((sum, f) => sum + f.amount, 0),
+        includedIn: boatTrip ? boatTrip.name : "",
+        documents: rule.documents,
+        note: loc.permitNote || "",
+        visitDay: visitIndex ? dayRef(visitIndex, startDate) : null,
+        arrangeDay: arrangeIndex >= 1 ? dayRef(arrangeIndex, startDate) : null,
+        beforeTrip: arrangeIndex !== null && arrangeIndex < 1,
+      };
+    })
+    .sort((a, b) => arrangeRank(a) - arrangeRank(b));
+
+  return { items, total: items.reduce((sum, i) => sum + i.total, 0) };
+}
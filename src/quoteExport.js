@@ -0,0 +1,223 @@
+// src/quoteExport.js
+// Client-side exports of a trip breakdown (see buildTripBreakdown): CSV, JSON and a
+// print-ready HTML quote that the browser can save as PDF.
+
+const CSV_COLUMNS = ["category", "item", "details", "quantity", "unitPrice", "amount", "pending"];
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const round2 = (v) => Math.round(num(v) * 100) / 100;
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Line items as CSV, followed by subtotal / tax / service fee / total rows and the
+ * currency. Amounts are plain numbers (no currency symbol) so spreadsheets can sum them.
+ */
+export function breakdownToCSV(breakdown) {
+  const rows = [CSV_COLUMNS];
+
+  breakdown.lines.forEach((line) => {
+    rows.push([
+      line.category,
+      line.item,
+      line.details,
+      line.quantity,
+      round2(line.unitPrice),
+      round2(line.amount),
+      line.pending ? "yes" : "",
+    ]);
+  });
+
+  rows.push(["Subtotal", "", "", "", "", round2(breakdown.subtotal), ""]);
+  breakdown.taxLines.forEach((t) => rows.push(["Tax", t.label, "", "", "", round2(t.amount), ""]));
+  if (breakdown.serviceFee > 0) {
+    rows.push(["Service fee", "", "", "", "", round2(breakdown.serviceFee), ""]);
+  }
+  rows.push(["Total", "", "", "", "", round2(breakdown.grandTotal), ""]);
+  if (breakdown.deposits > 0) {
+    rows.push(["Refundable deposit", "not in total", "", "", "", round2(breakdown.deposits), ""]);
+  }
+  const { currency, exchangeRate } = breakdown.header;
+  if (currency) {
+    const rateNote = exchangeRate
+      ? `1 INR = ${exchangeRate.rate} ${currency} (rates of ${exchangeRate.asOf})`
+      : "";
+    rows.push(["Currency", currency, rateNote, "", "", "", ""]);
+  }
+
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+export function breakdownToJSON(breakdown) {
+  return JSON.stringify(breakdown, null, 2);
+}
+
+/**
+ * Standalone HTML document for the quote (header, line items, totals, itinerary,
+ * notes and validity). `formatPrice` formats amounts for display.
+ */
+export function renderQuoteHtml(breakdown, formatPrice = (v) => String(round2(v))) {
+  const { header } = breakdown;
+  const price = (v) => escapeHtml(formatPrice(v));
+
+  const travellers =
+    `${header.adults} adult(s)` + (header.children ? `, ${header.children} child(ren)` : "");
+  const dates = header.startDate
+    ? `${escapeHtml(header.startDate)} – ${escapeHtml(header.endDate)}`
+    : "Dates to be confirmed";
+
+  const lineRows = breakdown.lines
+    .map(
+      (line) => `
+      <tr${line.pending ? ' class="pending"' : ""}>
+        <td>${escapeHtml(line.category)}</td>
+        <td>${escapeHtml(line.item)}<div class="details">${escapeHtml(line.details)}</div></td>
+        <td class="num">${escapeHtml(line.quantity)}</td>
+        <td class="num">${line.pending ? "TBD" : price(line.unitPrice)}</td>
+        <td class="num">${line.pending ? "TBD" : price(line.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const totalRows = [
+    ...Object.entries(breakdown.categoryTotals)
+      .filter(([, amount]) => amount > 0)
+      .map(([category, amount]) => [`${category} subtotal`, amount]),
+    ["Subtotal", breakdown.subtotal],
+    ...breakdown.taxLines.map((t) => [t.label, t.amount]),
+    ...(breakdown.serviceFee > 0 ? [["Service fee", breakdown.serviceFee]] : []),
+  ]
+    .map(
+      ([label, amount]) =>
+        `<tr><td colspan="4">${escapeHtml(label)}</td><td class="num">${price(amount)}</td></tr>`
+    )
+    .join("");
+
+  const itinerary = breakdown.itineraryDays.length
+    ? `<h2>Itinerary</h2><ol class="itinerary">${breakdown.itineraryDays
+        .map(
+          (day) =>
+            `<li><strong>Day ${day.index}${day.date ? ` • ${escapeHtml(day.date)}` : ""} – ${escapeHtml(
+              day.island
+            )}</strong>${day.items.length ? `: ${day.items.map(escapeHtml).join(", ")}` : ""}</li>`
+        )
+        .join("")}</ol>`
+    : "";
+
+  const notes = breakdown.notes.length
+    ? `<h2>Notes</h2><ul>${breakdown.notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`
+    : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(header.title)} – ${escapeHtml(header.generatedAt)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; }
+  .meta { color: #4b5563; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f3f4f6; font-weight: 600; }
+  .num { text-align: right; white-space: nowrap; }
+  .details { color: #6b7280; font-size: 12px; }
+  .pending td { color: #92400e; }
+  .grand td { font-weight: 700; font-size: 15px; border-top: 2px solid #111827; }
+  .validity { margin-top: 24px; color: #4b5563; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(header.title)}</h1>
+  <p class="meta">${dates} • ${header.nights} night(s) • ${escapeHtml(travellers)}</p>
+  <p class="meta">${escapeHtml(header.route.join(" → ") || "Route to be confirmed")}</p>
+  <p class="meta">Issued ${escapeHtml(header.generatedAt)}${
+    header.dataVersion ? ` • Price data ${escapeHtml(header.dataVersion)}` : ""
+  }</p>
+
+  <table>
+    <thead>
+      <tr><th>Category</th><th>Item</th><th class="num">Qty</th><th class="num">Unit</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows || '<tr><td colspan="5">No items selected.</td></tr>'}</tbody>
+    <tfoot>
+      ${totalRows}
+      <tr class="grand"><td colspan="4">Estimated package total</td><td class="num">${price(
+        breakdown.grandTotal
+      )}</td></tr>${
+        breakdown.deposits > 0
+          ? `<tr><td colspan="4">Refundable deposits (paid at pickup, not in total)</td><td class="num">${price(
+              breakdown.deposits
+            )}</td></tr>`
+          : ""
+      }
+    </tfoot>
+  </table>
+
+  ${itinerary}
+  ${notes}
+
+  <p class="validity">
+    This quote is valid for ${header.validityDays} day(s), until ${escapeHtml(header.validUntil)}.
+    Prices are estimates and subject to availability at the time of booking.
+  </p>
+</body>
+</html>`;
+}
+
+/**
+ * Trigger a browser download of `text` as `filename`.
+ */
+export function downloadTextFile(filename, text, mimeType = "text/plain") {
+  // BOM so Excel reads the "→" and "•" separators as UTF-8
+  const body = mimeType === "text/csv" ? `\ufeff${text}` : text;
+  const blob = new Blob([body], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open the quote in a new window and show the print dialog ("Save as PDF").
+ * Returns false when the popup was blocked.
+ */
+export function printQuote(html) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  // Give the new document a tick to lay out before printing
+  setTimeout(() => win.print(), 250);
+  return true;
+}
+
+/**
+ * "andaman-quote-2025-01-10" style base name for exported files
+ */
+export function quoteFileName(breakdown) {
+  return `andaman-quote-${breakdown.header.startDate || breakdown.header.generatedAt}`;
+}
@@ -0,0 +1,126 @@
+// src/rentalPricing.js
+import { addDays, getSeasonBand } from "./seasons";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+/**
+ * Self-drive rental kinds.
+ * - islandFlag: islands.json flag that enables the kind on an island
+ * - configKey: pricing_config.json block with fallbacks (dailyRateINR, fuel)
+ */
+export const RENTAL_KINDS = {
+  scooter: {
+    label: "Scooter",
+    islandFlag: "supportsScooters",
+    configKey: "scooterRental",
+    usesFuel: true,
+  },
+  bicycle: {
+    label: "Bicycle",
+    islandFlag: "supportsBicycles",
+    configKey: "bicycleRental",
+    usesFuel: false,
+  },
+};
+
+export const RENTAL_PLANS = {
+  HALF_DAY: "Half day",
+  DAY: "Full day",
+};
+
+/**
+ * Available rental records for a kind on one island, grouped by model.
+ * Returns [{ model, plans: { HALF_DAY: record, DAY: record } }]
+ */
+export function listRentalModels(records = [], islandId) {
+  const byModel = {};
+  records
+    .filter((r) => r.islandId === islandId && r.isAvailable !== false)
+    .forEach((r) => {
+      if (!byModel[r.model]) byModel[r.model] = { model: r.model, plans: {} };
+      byModel[r.model].plans[r.plan] = r;
+    });
+  return Object.values(byModel);
+}
+
+/**
+ * Find the record a rental selection points at (island + model + plan)
+ */
+export function findRentalRecord(records = [], { islandId, model, plan }) {
+  return (
+    records.find(
+      (r) =>
+        r.islandId === islandId && r.model === model && r.plan === plan && r.isAvailable !== false
+    ) || null
+  );
+}
+
+/**
+ * Default km per rental day for fuel estimates (half-day plans cover half the distance)
+ */
+export function getDefaultRentalKm(kind, plan, pricingConfig = {}) {
+  if (!RENTAL_KINDS[kind]?.usesFuel) return 0;
+  const perDay = num(pricingConfig[RENTAL_KINDS[kind].configKey]?.defaultKmPerDay);
+  return plan === "HALF_DAY" ? Math.round(perDay / 2) : perDay;
+}
+
+/**
+ * Price a rental day by day.
+ *
+ * - Base rate from the record (or pricing_config dailyRateINR when the record is missing)
+ * - peakSeasonMarkupPct is added on days that fall in the peak season band
+ * - Scooters add fuel: kmPerDay × fuelCostPerKmINR per vehicle per day
+ * - securityDepositINR is refundable, so it is returned separately and not in total
+ *
+ * Returns { days: [{ index, date, season, rate }], rentalSubtotal, fuelKm, fuelCost,
+ *           deposit, total, peakDays, warnings }
+ */
+export function priceRental(record, rental = {}, pricingConfig = {}) {
+  const kind = RENTAL_KINDS[rental.kind] ? rental.kind : "scooter";
+  const defaults = pricingConfig[RENTAL_KINDS[kind].configKey] || {};
+  const dayCount = Math.max(1, num(rental.days) || 1);
+  const vehicles = Math.max(1, num(rental.vehicles) || 1);
+  const warnings = [];
+
+  let baseRate = num(record?.baseRateINR);
+  if (!record) {
+    baseRate = num(defaults.dailyRateINR);
+    if (rental.plan === "HALF_DAY") baseRate /= 2;
+    warnings.push("Model not listed for this island any more; using the default daily rate.");
+  }
+  const markupPct = num(record?.peakSeasonMarkupPct);
+
+  if (!rental.startDate && markupPct > 0) {
+    warnings.push("No dates set – peak-season markup not applied.");
+  }
+
+  const days = [];
+  for (let i = 0; i < dayCount; i += 1) {
+    const date = rental.startDate ? addDays(rental.startDate, i) : null;
+    const season = getSeasonBand(date, pricingConfig);
+    const rate = season === "peak" ? baseRate * (1 + markupPct / 100) : baseRate;
+    days.push({ index: i + 1, date, season, rate });
+  }
+
+  const rentalSubtotal = days.reduce((sum, d) => sum + d.rate, 0) * vehicles;
+
+  const kmPerDay = RENTAL_KINDS[kind].usesFuel
+    ? num(rental.kmPerDay ?? getDefaultRentalKm(kind, rental.plan, pricingConfig))
+    : 0;
+  const fuelKm = kmPerDay * dayCount * vehicles;
+  const fuelCost = fuelKm * num(defaults.fuelCostPerKmINR);
+
+  return {
+    days,
+    rentalSubtotal,
+    fuelKm,
+    fuelCost,
+    deposit: num(record?.securityDepositINR) * vehicles,
+    total: rentalSubtotal + fuelCost,
+    peakDays: days.filter((d) => d.season === "peak").length,
+    warnings,
+  };
+}
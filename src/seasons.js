@@ -0,0 +1,209 @@
+// src/seasons.js
+
+/**
+ * Default season bands by calendar month (1 = Jan … 12 = Dec).
+ * Can be overridden via pricing_config.json → seasons.
+ */
+export const DEFAULT_SEASON_MONTHS = {
+  peak: [12, 1],
+  shoulder: [2, 3, 4, 5, 10, 11],
+  lean: [6, 7, 8, 9],
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Parse a "YYYY-MM-DD" string as a UTC date (avoids timezone drift)
+ */
+export function parseISODate(value) {
+  if (!value || typeof value !== "string") return null;
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole days to a "YYYY-MM-DD" string. Returns null for invalid input.
+ */
+export function addDays(isoDate, days) {
+  const d = parseISODate(isoDate);
+  if (!d) return null;
+  return toISODate(new Date(d.getTime() + days * DAY_MS));
+}
+
+/**
+ * Resolve the season band ("peak" | "shoulder" | "lean") for a date.
+ * Returns null when the date is missing or invalid.
+ */
+export function getSeasonBand(isoDate, pricingConfig = {}) {
+  const d = parseISODate(isoDate);
+  if (!d) return null;
+  const month = d.getUTCMonth() + 1;
+  const months = { ...DEFAULT_SEASON_MONTHS, ...(pricingConfig.seasons || {}) };
+
+  if ((months.peak || []).includes(month)) return "peak";
+  if ((months.lean || []).includes(month)) return "lean";
+  return "shoulder";
+}
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// "Nov", "November" or "nov." → 11
+function parseMonthName(text) {
+  const key = String(text).trim().slice(0, 3).toLowerCase();
+  const index = MONTH_NAMES.findIndex((m) => m.toLowerCase() === key);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parse a season string from the data: "Nov-Apr", "Oct–May", "Jan-Mar, Oct-Dec",
+ * "Dec" or "Year-round". Ranges may wrap over the new year.
+ *
+ * Returns the month numbers (1–12) in calendar order, or null when the string is blank
+ * or unreadable (treated as "any time").
+ */
+export function parseSeasonRange(text) {
+  if (!text || typeof text !== "string") return null;
+  if (/year[\s-]*round|all[\s-]*year/i.test(text)) return MONTH_NAMES.map((_, i) => i + 1);
+
+  const months = new Set();
+  const parts = text.split(/[,/;]|\band\b/i).filter((p) => p.trim());
+  for (const part of parts) {
+    const [from, to] = part.split(/\s*(?:-|–|—|\bto\b)\s*/i);
+    const start = parseMonthName(from);
+    const end = to === undefined ? start : parseMonthName(to);
+    if (!start || !end) return null;
+    for (let m = start; ; m = (m % 12) + 1) {
+      months.add(m);
+      if (m === end) break;
+    }
+  }
+  return months.size ? [...months].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Calendar months a trip touches, from the start date's month to the end date's
+ * (at most twelve). Returns [] without a valid start date.
+ */
+export function getMonthsBetween(startDate, endDate) {
+  const start = parseISODate(startDate);
+  if (!start) return [];
+  const end = parseISODate(endDate) || start;
+
+  const months = [];
+  let year = start.getUTCFullYear();
+  let month = start.getUTCMonth();
+  while (months.length < 12 && (year < end.getUTCFullYear() || month <= end.getUTCMonth())) {
+    months.push(month + 1);
+    month += 1;
+    if (month === 12) {
+      month = 0;
+      year += 1;
+    }
+    if (year > end.getUTCFullYear()) break;
+  }
+  return months.length ? months : [start.getUTCMonth() + 1];
+}
+
+/**
+ * Month numbers as short ranges: [11, 12, 1, 2] → "Nov–Feb", [1, 3, 4] → "Jan, Mar–Apr".
+ */
+export function formatMonths(months = []) {
+  const set = new Set(months);
+  if (set.size === 12) return "Year-round";
+  if (!set.size) return "";
+
+  // Start from a month whose predecessor is missing so wrapped runs stay whole
+  const first = [...set].sort((a, b) => a - b).find((m) => !set.has(m === 1 ? 12 : m - 1));
+  const runs = [];
+  let run = null;
+  for (let i = 0, m = first; i < 12; i += 1, m = (m % 12) + 1) {
+    if (set.has(m)) {
+      if (run) run.end = m;
+      else run = { start: m, end: m };
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  }
+  if (run) runs.push(run);
+
+  return runs
+    .map(({ start, end }) =>
+      start === end ? MONTH_NAMES[start - 1] : `${MONTH_NAMES[start - 1]}–${MONTH_NAMES[end - 1]}`
+    )
+    .join(", ");
+}
+
+/**
+ * Check an item's season (see parseSeasonRange) against the trip dates.
+ *
+ * - "in": every month of the trip is in season
+ * - "partial": some are
+ * - "out": none are
+ * - "unknown": no dates yet, or no readable season on the item
+ *
+ * Returns { status, season, outMonths, message }
+ */
+export function checkSeasonWindow(seasonText, startDate, endDate) {
+  const season = parseSeasonRange(seasonText);
+  const tripMonths = getMonthsBetween(startDate, endDate);
+  if (!season || !tripMonths.length) {
+    return { status: "unknown", season, outMonths: [], message: "" };
+  }
+
+  const outMonths = tripMonths.filter((m) => !season.includes(m));
+  const best = formatMonths(season);
+  if (!outMonths.length) return { status: "in", season, outMonths, message: "" };
+  if (outMonths.length === tripMonths.length) {
+    return {
+      status: "out",
+      season,
+      outMonths,
+      message: `Out of season for your dates (${formatMonths(tripMonths)}); best ${best}.`,
+    };
+  }
+  return {
+    status: "partial",
+    season,
+    outMonths,
+    message: `Your dates run into ${formatMonths(outMonths)}, outside its ${best} season.`,
+  };
+}
+
+/**
+ * Months that suit the most items, from their season strings. Items without a readable
+ * season count as in season all year.
+ *
+ * Returns { months, inSeason, total } where inSeason is how many items fit those months,
+ * or null when there are no items.
+ */
+export function findBestMonths(seasonTexts = []) {
+  if (!seasonTexts.length) return null;
+  const seasons = seasonTexts.map(parseSeasonRange);
+  const counts = MONTH_NAMES.map((_, i) => seasons.filter((s) => !s || s.includes(i + 1)).length);
+  const inSeason = Math.max(...counts);
+  return {
+    months: counts.map((c, i) => (c === inSeason ? i + 1 : null)).filter(Boolean),
+    inSeason,
+    total: seasonTexts.length,
+  };
+}
@@ -0,0 +1,188 @@
+// src/taxEngine.js
+// Tax per line item by category rules (pricing_config taxRules), plus the service fee.
+// Every quote elsewhere is priced before tax; tax is only added here.
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+export const TAX_CATEGORIES = ["hotels", "cabs", "ferries", "adventures", "rentals"];
+
+const CATEGORY_LABELS = {
+  hotels: "GST – hotels",
+  cabs: "GST – cabs",
+  ferries: "GST – ferries",
+  adventures: "GST – activities",
+  rentals: "GST – rentals",
+};
+
+/**
+ * Tax rule for a category.
+ *
+ * - taxRules[category]: { label, percent } or { label, slabs: [{ maxTariffINR, percent }] }
+ * - Without a rule, hotels fall back to hotelDefaults.gstPercent and everything else to
+ *   the flat top-level taxPercent (the older config shape)
+ *
+ * Returns { category, label, percent, slabs }
+ */
+export function getTaxRule(category, pricingConfig = {}) {
+  const rule = pricingConfig.taxRules?.[category];
+  const fallback =
+    category === "hotels" && pricingConfig.hotelDefaults?.gstPercent != null
+      ? pricingConfig.hotelDefaults.gstPercent
+      : pricingConfig.taxPercent;
+
+  return {
+    category,
+    label: rule?.label || CATEGORY_LABELS[category] || `Tax – ${category}`,
+    percent: num(rule ? rule.percent : fallback),
+    slabs: Array.isArray(rule?.slabs)
+      ? [...rule.slabs].sort(
+          (a, b) => num(a.maxTariffINR ?? Infinity) - num(b.maxTariffINR ?? Infinity)
+        )
+      : [],
+  };
+}
+
+/**
+ * Rate for one taxable unit: the first slab whose maxTariffINR covers the tariff (a slab
+ * without a maximum takes everything above), else the rule's flat percent.
+ */
+export function getTaxPercent(rule, tariff) {
+  if (!rule.slabs.length) return rule.percent;
+  const slab =
+    rule.slabs.find((s) => s.maxTariffINR == null || num(tariff) <= num(s.maxTariffINR)) ||
+    rule.slabs[rule.slabs.length - 1];
+  return num(slab.percent);
+}
+
+/**
+ * Taxable lines from priced quotes, one per booking. The tariff that picks a slab is the
+ * room rate per night for hotels (stays are split into nights), the fare per person for
+ * ferries, the fare per vehicle for cabs and the unit price for activities.
+ *
+ * Returns [{ id, category, amount, units: [{ amount, tariff }] }]
+ */
+export function collectTaxableLines({
+  hotelQuotes = {},
+  ferryQuotes = {},
+  ferryRouteIds = [],
+  cabLines = [],
+  adventureLines = [],
+  rentalQuotes = {},
+}) {
+  const line = (id, category, amount, tariff) => ({
+    id,
+    category,
+    amount: num(amount),
+    units: [{ amount: num(amount), tariff: num(tariff) }],
+  });
+
+  return [
+    ...Object.entries(hotelQuotes).map(([islandId, quote]) => ({
+      id: `hotel:${islandId}`,
+      category: "hotels",
+      amount: num(quote.total),
+      units: quote.nights.map((n) => ({ amount: num(n.subtotal), tariff: num(n.roomRate) })),
+    })),
+    // A circuit can use the same route twice, so lines follow the selected ids
+    ...ferryRouteIds
+      .filter((id) => ferryQuotes[id])
+      .map((id, i) =>
+        line(`ferry:${id}:${i}`, "ferries", ferryQuotes[id].total, ferryQuotes[id].farePerPerson)
+      ),
+    ...cabLines.map((l) => line(`cab:${l.index}`, "cabs", l.amount, l.perVehicle)),
+    ...adventureLines.map((l) =>
+      line(`adventure:${l.adv.id}`, "adventures", l.amount, l.unitPrice)
+    ),
+    ...Object.entries(rentalQuotes).map(([id, quote]) =>
+      line(`rental:${id}`, "rentals", quote.total, quote.total)
+    ),
+  ];
+}
+
+/**
+ * Service fee from pricing_config serviceFee: a plain number (fixed amount) or
+ * { type: "fixed" | "percent" | "perTraveller", amount, label }. "percent" is taken
+ * on the pre-tax subtotal.
+ *
+ * Returns { label, type, amount }
+ */
+export function computeServiceFee(pricingConfig = {}, { subtotal = 0, travellers = 1 } = {}) {
+  const fee = pricingConfig.serviceFee;
+  if (fee == null || typeof fee !== "object") {
+    return { label: "Service fee", type: "fixed", amount: num(fee) };
+  }
+
+  const type = fee.type || "fixed";
+  const rate = num(fee.amount);
+  const amount =
+    type === "percent"
+      ? (num(subtotal) * rate) / 100
+      : type === "perTraveller"
+        ? rate * Math.max(1, num(travellers))
+        : rate;
+  return { label: fee.label || "Service fee", type, amount };
+}
+
+// "5%" for one rate, "5–18%" when slabs gave several
+function formatRates(percents) {
+  const unique = [...new Set(percents)].sort((a, b) => a - b);
+  if (!unique.length) return "";
+  return unique.length === 1 ? `${unique[0]}%` : `${unique[0]}–${unique[unique.length - 1]}%`;
+}
+
+/**
+ * Tax every line by its category rule and add the service fee.
+ *
+ * Returns { lines: [{ id, category, taxable, tax, rates }],
+ *           categories: [{ category, label, rates, taxable, tax }] (categories with tax only),
+ *           subtotal, taxAmount, serviceFee: { label, type, amount }, grandTotal }
+ */
+export function computeTripTaxes(taxableLines = [], pricingConfig = {}, { travellers = 1 } = {}) {
+  const rules = {};
+  const ruleFor = (category) => {
+    if (!rules[category]) rules[category] = getTaxRule(category, pricingConfig);
+    return rules[category];
+  };
+
+  const lines = taxableLines.map((l) => {
+    const rule = ruleFor(l.category);
+    let tax = 0;
+    const percents = [];
+    l.units.forEach((unit) => {
+      const percent = getTaxPercent(rule, unit.tariff);
+      tax += (num(unit.amount) * percent) / 100;
+      if (num(unit.amount) > 0) percents.push(percent);
+    });
+    return { id: l.id, category: l.category, taxable: l.amount, tax, percents };
+  });
+
+  const categories = [];
+  TAX_CATEGORIES.forEach((category) => {
+    const own = lines.filter((l) => l.category === category);
+    const tax = own.reduce((sum, l) => sum + l.tax, 0);
+    if (tax <= 0) return;
+    categories.push({
+      category,
+      label: ruleFor(category).label,
+      rates: formatRates(own.flatMap((l) => l.percents)),
+      taxable: own.reduce((sum, l) => sum + l.taxable, 0),
+      tax,
+    });
+  });
+
+  const subtotal = lines.reduce((sum, l) => sum + l.taxable, 0);
+  const taxAmount = lines.reduce((sum, l) => sum + l.tax, 0);
+  const serviceFee = computeServiceFee(pricingConfig, { subtotal, travellers });
+
+  return {
+    lines: lines.map(({ percents, ...l }) => ({ ...l, rates: formatRates(percents) })),
+    categories,
+    subtotal,
+    taxAmount,
+    serviceFee,
+    grandTotal: subtotal + taxAmount + serviceFee.amount,
+  };
+}
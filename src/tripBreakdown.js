@@ -0,0 +1,233 @@
+// src/tripBreakdown.js
+import { formatVehicleMix } from "./cabPricing";
+import { addDays } from "./seasons";
+import { RENTAL_KINDS, RENTAL_PLANS } from "./rentalPricing";
+import { describeArrangeDay } from "./permits";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+export const BREAKDOWN_CATEGORIES = [
+  "Hotels",
+  "Cabs",
+  "Ferries",
+  "Adventures",
+  "Rentals",
+  "Permits",
+];
+
+const DEFAULT_VALIDITY_DAYS = 7;
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Assemble the full quote breakdown from what App.jsx has already priced.
+ *
+ * Nothing is re-priced here: each input carries its own computed amount, so the
+ * breakdown always matches the summary panel.
+ *
+ * Input:
+ *   trip:       { startDate, endDate, nights, adults, children, travellers, route: [names] }
+ *   hotels:     [{ islandName, hotel, quote }]                 (quote from priceHotelStay)
+ *   cabs:       [{ leg, sel, info, perRun, count, amount }]   (info from estimateCabLeg)
+ *   ferries:    [{ fromName, toName, quote }]                 (quote from priceFerrySector)
+ *   adventures: [{ adv, quote, unit, unitPrice, quantity, amount }]  (quote from priceAdventure)
+ *   rentals:    [{ islandName, rental, quote }]              (quote from priceRental)
+ *   permits:    buildPermitChecklist output (optional)
+ *   totals:     { taxes, grandTotal }                         (taxes from computeTripTaxes)
+ *   itinerary:  output of buildItinerary (optional)
+ *   meta:       { dataVersion, validityDays, generatedAt }
+ *
+ * Returns { header, lines, categoryTotals, subtotal, taxLines, serviceFee, grandTotal,
+ *           deposits, itineraryDays, notes }
+ * Refundable deposits are listed separately and are not part of grandTotal.
+ */
+export function buildTripBreakdown({
+  trip = {},
+  hotels = [],
+  cabs = [],
+  ferries = [],
+  adventures = [],
+  rentals = [],
+  permits = null,
+  totals = {},
+  itinerary = null,
+  islandById = {},
+  meta = {},
+}) {
+  const lines = [];
+  const notes = [];
+
+  hotels.forEach(({ islandName, hotel, quote }) => {
+    if (!quote || !hotel) return;
+    const nights = quote.nights.length;
+    const rooms = quote.occupancy?.rooms || 1;
+    const beds = (quote.occupancy?.extraAdultBeds || 0) + (quote.occupancy?.extraChildBeds || 0);
+    lines.push({
+      category: "Hotels",
+      item: `${hotel.name} (${islandName})`,
+      details:
+        `${hotel.roomType || "Room"} • ${nights} night(s) × ${rooms} room(s)` +
+        (beds ? ` • ${beds} extra bed(s)` : ""),
+      quantity: nights,
+      unitPrice: nights ? quote.total / nights : 0,
+      amount: quote.total,
+    });
+    quote.warnings.forEach((w) => notes.push(`${hotel.name}: ${w}`));
+  });
+
+  cabs.forEach(({ leg, sel, info, perRun, count, amount }) => {
+    const when = [sel.date, sel.pickupTime].filter(Boolean).join(" ");
+    const fare = info?.timeOfDay === "mixed" ? "day/night split" : info?.timeOfDay || "day";
+    const vehicles = info?.vehicles?.length ? formatVehicleMix(info.vehicles) : leg.vehicleClass;
+    const item = sel.purpose || `${leg.fromZone} → ${leg.toZone}`;
+    lines.push({
+      category: "Cabs",
+      item,
+      details: `${sel.purpose ? `${leg.fromZone} → ${leg.toZone} • ` : ""}${vehicles} • ${leg.tripType} • ${leg.serviceClass || "STANDARD"}${when ? ` • ${when}` : ""} • ${fare} fare`,
+      quantity: count,
+      unitPrice: perRun,
+      amount,
+    });
+    if (info && !info.luggageFits) {
+      notes.push(`${item}: luggage may not fit in the booked vehicles.`);
+    }
+  });
+
+  ferries.forEach(({ fromName, toName, quote }) => {
+    if (!quote) return;
+    lines.push({
+      category: "Ferries",
+      item: `${fromName} → ${toName}`,
+      details:
+        `${quote.operator} • ${quote.classLabel}` +
+        (quote.departure ? ` • ${quote.departure}` : "") +
+        (quote.fareTBD ? " • fare TBD" : ""),
+      quantity: num(trip.travellers) || 1,
+      unitPrice: quote.farePerPerson,
+      amount: quote.total,
+      pending: quote.fareTBD,
+    });
+    if (quote.fareTBD) {
+      notes.push(`${fromName} → ${toName} (${quote.operator}) fare to be confirmed.`);
+    }
+  });
+
+  adventures.forEach(({ adv, quote, unit, unitPrice, quantity, amount }) => {
+    const who = quote
+      ? ` • ${quote.participants.adults} adult(s)` +
+        (quote.participants.children ? `, ${quote.participants.children} child(ren)` : "")
+      : "";
+    lines.push({
+      category: "Adventures",
+      item: adv.name,
+      details:
+        `${adv.category || "activity"} • ${String(unit).replace(/_/g, " ")}${who}` +
+        (quote?.childDiscount > 0 ? " • child discount applied" : "") +
+        (quote?.fees > 0 ? " • incl. permit & environment fees" : ""),
+      quantity,
+      unitPrice,
+      amount,
+    });
+    (quote?.warnings || []).forEach((w) => notes.push(`${adv.name}: ${w}`));
+  });
+
+  let deposits = 0;
+  rentals.forEach(({ islandName, rental, quote }) => {
+    if (!quote) return;
+    const kind = RENTAL_KINDS[rental.kind]?.label || rental.kind;
+    lines.push({
+      category: "Rentals",
+      item: `${kind} – ${rental.model} (${islandName})`,
+      details:
+        `${RENTAL_PLANS[rental.plan] || rental.plan} • ${quote.days.length} day(s) × ${num(rental.vehicles) || 1} vehicle(s)` +
+        (quote.fuelCost > 0 ? ` • incl. fuel ~${quote.fuelKm} km` : "") +
+        (quote.peakDays > 0 ? ` • peak markup ${quote.peakDays} day(s)` : ""),
+      quantity: num(rental.vehicles) || 1,
+      unitPrice: quote.total / (num(rental.vehicles) || 1),
+      amount: quote.total,
+    });
+    deposits += quote.deposit;
+  });
+  if (deposits > 0) {
+    notes.push("Rental security deposits are refundable and paid directly at pickup.");
+  }
+
+  (permits?.items || []).forEach((permit) => {
+    if (permit.total > 0) {
+      lines.push({
+        category: "Permits",
+        item: permit.name,
+        details: `${permit.label} • ${permit.fees.map((f) => f.label).join(" + ")}`,
+        quantity: num(trip.travellers) || 1,
+        unitPrice: permit.fees.reduce((sum, f) => sum + f.perPerson, 0),
+        amount: permit.total,
+      });
+    }
+    notes.push(
+      `${permit.name}: ${permit.label.toLowerCase()} – arrange ${describeArrangeDay(permit)}` +
+        (permit.where ? ` (${permit.where})` : "") +
+        (permit.documents.length ? `. Bring: ${permit.documents.join("; ")}.` : ".") +
+        (permit.includedIn ? ` Permit fees are included in ${permit.includedIn}.` : "")
+    );
+  });
+
+  const categoryTotals = {};
+  BREAKDOWN_CATEGORIES.forEach((c) => {
+    categoryTotals[c] = 0;
+  });
+  lines.forEach((line) => {
+    categoryTotals[line.category] = (categoryTotals[line.category] || 0) + num(line.amount);
+  });
+  const subtotal = Object.values(categoryTotals).reduce((sum, v) => sum + v, 0);
+
+  // One tax line per category, e.g. "GST – hotels (5–18%)"
+  const taxLines = (totals.taxes?.categories || []).map((c) => ({
+    label: c.rates ? `${c.label} (${c.rates})` : c.label,
+    amount: num(c.tax),
+  }));
+  const serviceFee = num(totals.taxes?.serviceFee.amount);
+  const grandTotal =
+    totals.grandTotal != null
+      ? num(totals.grandTotal)
+      : subtotal + taxLines.reduce((s, t) => s + t.amount, 0) + serviceFee;
+
+  const generatedAt = meta.generatedAt || todayISO();
+  const validityDays = num(meta.validityDays) || DEFAULT_VALIDITY_DAYS;
+
+  const itineraryDays = (itinerary?.days || []).map((day) => ({
+    index: day.index,
+    date: day.date,
+    island: islandById[day.islandId]?.name || day.islandId,
+    kind: day.kind,
+    items: day.items.map((i) => i.name),
+  }));
+
+  return {
+    header: {
+      title: "Andaman trip quote",
+      generatedAt,
+      validUntil: addDays(generatedAt, validityDays),
+      validityDays,
+      dataVersion: meta.dataVersion || "",
+      startDate: trip.startDate || "",
+      endDate: trip.endDate || "",
+      nights: num(trip.nights),
+      adults: num(trip.adults),
+      children: num(trip.children),
+      travellers: num(trip.travellers),
+      route: trip.route || [],
+    },
+    lines,
+    categoryTotals,
+    subtotal,
+    taxLines,
+    serviceFee,
+    grandTotal,
+    deposits,
+    itineraryDays,
+    notes,
+  };
+}
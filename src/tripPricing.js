@@ -0,0 +1,410 @@
+// src/tripPricing.js
+import { estimateCabLeg, findCabLegById, findLegVariants, getPartyLuggage } from "./cabPricing";
+import { priceFerrySector } from "./ferryPricing";
+import { planIslandCircuit } from "./ferryRouting";
+import { priceHotelStay } from "./hotelPricing";
+import { priceAdventure } from "./adventurePricing";
+import { findRentalRecord, priceRental } from "./rentalPricing";
+import { applyItineraryOverrides, buildItinerary, collectItineraryItems } from "./itinerary";
+import { addDays } from "./seasons";
+import { getHotelNightsByIsland } from "./feasibility";
+import { collectTaxableLines, computeTripTaxes } from "./taxEngine";
+import { buildPermitChecklist } from "./permits";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+const DEFAULT_NIGHTS = 4;
+
+/**
+ * Whole nights between two "YYYY-MM-DD" dates; 0 when either is missing or invalid.
+ */
+export function getNightsBetween(startDate, endDate) {
+  if (!startDate || !endDate) return 0;
+  const s = new Date(startDate);
+  const e = new Date(endDate);
+  if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime())) return 0;
+  const days = (e.getTime() - s.getTime()) / (1000 * 60 * 60 * 24);
+  return days > 0 ? Math.round(days) : 0;
+}
+
+/**
+ * Trip length: the nights override, else the nights between the dates, else 4.
+ */
+export function getTripNights({ startDate, endDate, nightsOverride } = {}) {
+  const override = parseInt(nightsOverride, 10);
+  if (!Number.isNaN(override) && override > 0) return override;
+  return getNightsBetween(startDate, endDate) || DEFAULT_NIGHTS;
+}
+
+/**
+ * Stay order: the ferry circuit (minus the return to the gateway), then islands the
+ * ferry network cannot reach, in the order they were picked.
+ */
+export function getIslandOrder(selectedIslands = [], ferryPlan) {
+  const circuit = (ferryPlan?.order || []).slice(0, -1);
+  const rest = selectedIslands.filter((id) => !circuit.includes(id));
+  return [...circuit, ...rest].filter((id) => selectedIslands.includes(id));
+}
+
+/**
+ * Quote each selected ferry route once. Returns { [routeId]: quote }; a multi-hop
+ * circuit can use a route twice, so totals sum over routeIds (see getTripTotals).
+ */
+export function priceFerrySelections(
+  { routeIds = [], ferryRoutes = [], ferrySelections = {}, travellers = 1 },
+  pricingConfig = {}
+) {
+  const quotes = {};
+  routeIds.forEach((id) => {
+    const route = ferryRoutes.find((r) => r.id === id);
+    if (!route) return;
+    const quote = priceFerrySector(route, ferrySelections[id], pricingConfig, travellers);
+    if (quote) quotes[id] = quote;
+  });
+  return quotes;
+}
+
+/**
+ * Price the selected cab legs. count = how many times a leg is driven; each run books
+ * info.vehicles for the party and its luggage.
+ *
+ * Returns [{ index, sel, leg, info, variants, perVehicle, perRun, count, amount }]
+ */
+export function priceCabSelections(
+  { selectedCabLegs = [], cabLegs = [], travellers = 1, luggageBags },
+  pricingConfig = {}
+) {
+  const bags = getPartyLuggage(travellers, luggageBags, pricingConfig);
+  const lines = [];
+  selectedCabLegs.forEach((sel, index) => {
+    const leg = findCabLegById(cabLegs, sel.legId, sel.serviceClass);
+    if (!leg) return;
+    const variants = findLegVariants(cabLegs, leg);
+    const info = estimateCabLeg(leg, pricingConfig, {
+      timeOfDay: sel.timeOfDay || "day",
+      pickupTime: sel.pickupTime,
+      travellers,
+      bags,
+      variants,
+      vehicleMode: sel.vehicleMode,
+    });
+    const count = sel.count || 1;
+    lines.push({
+      index,
+      sel,
+      leg,
+      info,
+      variants,
+      perVehicle: num(info.perVehicle),
+      perRun: num(info.total),
+      count,
+      amount: num(info.total) * count,
+    });
+  });
+  return lines;
+}
+
+/**
+ * Price the selected hotels. Stays follow the island order, each checking in when the
+ * previous one ends. Returns { [islandId]: quote } (see hotelPricing.priceHotelStay).
+ */
+export function priceHotelSelections(
+  { islandOrder = [], selectedHotelsByIsland = {}, hotels = [], startDate, adults, children },
+  pricingConfig = {}
+) {
+  const quotes = {};
+  let nightsSoFar = 0;
+  islandOrder.forEach((islandId) => {
+    const sel = selectedHotelsByIsland[islandId];
+    const hotel = sel && hotels.find((h) => h.islandId === islandId && h.id === sel.hotelId);
+    if (!hotel) return;
+    const nights = sel.nights || 1;
+    quotes[islandId] = priceHotelStay(
+      hotel,
+      {
+        checkIn: startDate ? addDays(startDate, nightsSoFar) : null,
+        nights,
+        rooms: sel.rooms || 1,
+        adults,
+        children,
+      },
+      pricingConfig
+    );
+    nightsSoFar += nights;
+  });
+  return quotes;
+}
+
+/**
+ * Quote adventures for the party, selected or not. Returns { [adventureId]: quote }.
+ */
+export function priceAdventures(
+  adventures = [],
+  { adults, children, childAges = [], adventureOptions = {} },
+  pricingConfig = {}
+) {
+  const quotes = {};
+  adventures.forEach((adv) => {
+    quotes[adv.id] = priceAdventure(
+      adv,
+      { adults, children, childAges, ...adventureOptions[adv.id] },
+      pricingConfig
+    );
+  });
+  return quotes;
+}
+
+/**
+ * Lines for the selected adventures out of their quotes (see priceAdventures).
+ *
+ * Returns [{ adv, quote, unit, unitPrice, quantity, amount }]
+ */
+export function getAdventureLines(adventures = [], selectedAdventureIds = {}, quotes = {}) {
+  return adventures
+    .filter((adv) => selectedAdventureIds[adv.id] && quotes[adv.id])
+    .map((adv) => {
+      const quote = quotes[adv.id];
+      return {
+        adv,
+        quote,
+        unit: quote.unit.id,
+        unitPrice: quote.unitPrice,
+        quantity: quote.units,
+        amount: quote.total,
+      };
+    });
+}
+
+/**
+ * Price the selected rentals. Each starts on the first itinerary day spent on its
+ * island; rentals on islands dropped from the trip are not priced.
+ * Returns { [rentalId]: quote } (see rentalPricing.priceRental).
+ */
+export function priceRentalSelections(
+  { selectedRentals = [], recordsByKind = {}, islandOrder = [], itinerary },
+  pricingConfig = {}
+) {
+  const quotes = {};
+  selectedRentals.forEach((rental) => {
+    if (!islandOrder.includes(rental.islandId)) return;
+    const firstDay = (itinerary?.days || []).find((d) => d.islandId === rental.islandId);
+    quotes[rental.id] = priceRental(
+      findRentalRecord(recordsByKind[rental.kind], rental),
+      { ...rental, startDate: firstDay?.date || null },
+      pricingConfig
+    );
+  });
+  return quotes;
+}
+
+/**
+ * Category totals, GST and service fee for the priced lines. Quotes are before tax;
+ * GST is worked out per line by the category rules. Permit and ticket fees are
+ * government charges, so they are added outside GST.
+ *
+ * Returns { taxes, totals } where taxes comes from taxEngine.computeTripTaxes and
+ *       totals = { ferries, cabs, hotels, adventures, rentals, subtotal, taxAmount,
+ *                  serviceFee, permits, grandTotal, rentalDeposit }
+ */
+export function getTripTotals(
+  {
+    ferryQuotes = {},
+    ferryRouteIds = [],
+    cabLines = [],
+    hotelQuotes = {},
+    adventureLines = [],
+    rentalQuotes = {},
+    permits,
+    travellers = 1,
+  },
+  pricingConfig = {}
+) {
+  const sum = (list, pick) => list.reduce((total, x) => total + num(pick(x)), 0);
+  const taxes = computeTripTaxes(
+    collectTaxableLines({
+      hotelQuotes,
+      ferryQuotes,
+      ferryRouteIds,
+      cabLines,
+      adventureLines,
+      rentalQuotes,
+    }),
+    pricingConfig,
+    { travellers }
+  );
+  const permitsTotal = num(permits?.total);
+
+  return {
+    taxes,
+    totals: {
+      ferries: sum(ferryRouteIds, (id) => ferryQuotes[id]?.total),
+      cabs: sum(cabLines, (l) => l.amount),
+      hotels: sum(Object.values(hotelQuotes), (q) => q.total),
+      adventures: sum(adventureLines, (l) => l.amount),
+      rentals: sum(Object.values(rentalQuotes), (q) => q.total),
+      subtotal: taxes.subtotal,
+      taxAmount: taxes.taxAmount,
+      serviceFee: taxes.serviceFee.amount,
+      permits: permitsTotal,
+      grandTotal: taxes.grandTotal + permitsTotal,
+      rentalDeposit: sum(Object.values(rentalQuotes), (q) => q.deposit),
+    },
+  };
+}
+
+/**
+ * Price a whole trip state (the shape saved by tripState.js) without rendering it.
+ *
+ * Follows the same steps as the planner screen: ferry circuit → stay order → ferry,
+ * cab, hotel and adventure quotes → itinerary → rentals → tax and service fee →
+ * permits. Used to compare package presets and trip variants side by side.
+ *
+ * `data` holds the loaded datasets ({ islands, locations, adventures, ferryRoutes,
+ * cabLegs, hotels, scooters, bicycles }).
+ *
+ * Returns { travellers, nights, ferryPlan, islandOrder, itinerary, ferryQuotes,
+ *           cabLines, hotelQuotes, adventureLines, rentalQuotes, taxes, permits, totals }
+ * where taxes and totals come from getTripTotals and permits from
+ * permits.buildPermitChecklist
+ */
+export function priceTrip(state = {}, data = {}, pricingConfig = {}) {
+  const {
+    islands = [],
+    locations = [],
+    adventures = [],
+    ferryRoutes = [],
+    cabLegs = [],
+    hotels = [],
+    scooters = [],
+    bicycles = [],
+  } = data;
+  const adults = num(state.adults);
+  const children = num(state.children);
+  const travellers = Math.max(1, adults + children);
+  const nights = getTripNights(state);
+  const selectedIslands = state.selectedIslands || [];
+  const selectedFerryRouteIds = state.selectedFerryRouteIds || [];
+  const selectedHotelsByIsland = state.selectedHotelsByIsland || {};
+  const selectedAdventureIds = state.selectedAdventureIds || {};
+  const islandById = Object.fromEntries(islands.map((i) => [i.id, i]));
+
+  const ferryPlan = planIslandCircuit(selectedIslands, ferryRoutes, {
+    islands,
+    pricingConfig,
+    optimize: state.ferryOptimize,
+  });
+  const islandOrder = getIslandOrder(selectedIslands, ferryPlan);
+
+  const ferryQuotes = priceFerrySelections(
+    {
+      routeIds: selectedFerryRouteIds,
+      ferryRoutes,
+      ferrySelections: state.ferrySelections || {},
+      travellers,
+    },
+    pricingConfig
+  );
+  const cabLines = priceCabSelections(
+    {
+      selectedCabLegs: state.selectedCabLegs || [],
+      cabLegs,
+      travellers,
+      luggageBags: state.luggageBags,
+    },
+    pricingConfig
+  );
+  const hotelQuotes = priceHotelSelections(
+    { islandOrder, selectedHotelsByIsland, hotels, startDate: state.startDate, adults, children },
+    pricingConfig
+  );
+  const selectedAdventures = adventures.filter((adv) => selectedAdventureIds[adv.id]);
+  const adventureLines = getAdventureLines(
+    selectedAdventures,
+    selectedAdventureIds,
+    priceAdventures(
+      selectedAdventures,
+      {
+        adults,
+        children,
+        childAges: state.childAges || [],
+        adventureOptions: state.adventureOptions || {},
+      },
+      pricingConfig
+    )
+  );
+
+  const itinerary = applyItineraryOverrides(
+    buildItinerary({
+      islandOrder,
+      hotelNightsByIsland: getHotelNightsByIsland(selectedHotelsByIsland),
+      totalNights: nights,
+      startDate: state.startDate || "",
+      ferryPlan,
+      islandById,
+      items: collectItineraryItems({
+        locations,
+        adventures,
+        islands,
+        selectedLocationIds: state.selectedLocationIds || [],
+        selectedAdventureIds,
+        islandOrder,
+      }),
+    }),
+    state.itineraryOverrides || {}
+  );
+
+  const rentalQuotes = priceRentalSelections(
+    {
+      selectedRentals: state.selectedRentals || [],
+      recordsByKind: { scooter: scooters, bicycle: bicycles },
+      islandOrder,
+      itinerary,
+    },
+    pricingConfig
+  );
+
+  const permits = buildPermitChecklist({
+    locations,
+    islands,
+    selectedLocationIds: state.selectedLocationIds || [],
+    adventures,
+    selectedAdventureIds,
+    itinerary,
+    startDate: state.startDate || "",
+    travellers,
+    pricingConfig,
+  });
+
+  const { taxes, totals } = getTripTotals(
+    {
+      ferryQuotes,
+      ferryRouteIds: selectedFerryRouteIds,
+      cabLines,
+      hotelQuotes,
+      adventureLines,
+      rentalQuotes,
+      permits,
+      travellers,
+    },
+    pricingConfig
+  );
+
+  return {
+    travellers,
+    nights,
+    ferryPlan,
+    islandOrder,
+    itinerary,
+    ferryQuotes,
+    cabLines,
+    hotelQuotes,
+    adventureLines,
+    rentalQuotes,
+    taxes,
+    permits,
+    totals,
+  };
+}
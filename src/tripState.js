@@ -0,0 +1,391 @@
+// src/tripState.js
+
+/**
+ * Version of the serialised trip format (bump when the short keys change).
+ */
+export const TRIP_STATE_VERSION = 1;
+
+const HASH_PREFIX = "#trip=";
+const AUTOSAVE_KEY = "andaman-planner:autosave";
+const SAVED_TRIPS_KEY = "andaman-planner:saved-trips";
+const VARIANTS_KEY = "andaman-planner:variants";
+
+/**
+ * Id renames between data versions (meta.json → dataVersion).
+ *
+ * Each entry maps old ids to new ids per dataset, e.g.
+ *   { from: "2025.01", to: "2025.02", rename: { hotels: { "H-NA-PRISTINE-BAY": "H-DG-PRISTINE-BAY" } } }
+ * Saved trips are walked through every step after their own dataVersion.
+ */
+export const DATA_ID_MIGRATIONS = [];
+
+// Full state key → compact key used in URLs and storage
+const SHORT_KEYS = {
+  startDate: "sd",
+  endDate: "ed",
+  nightsOverride: "no",
+  adults: "a",
+  children: "c",
+  childAges: "ca",
+  luggageBags: "lb",
+  selectedMood: "m",
+  selectedIslands: "is",
+  selectedLocationIds: "lo",
+  selectedAdventureIds: "ad",
+  adventureOptions: "ao",
+  selectedFerryRouteIds: "fr",
+  ferrySelections: "fs",
+  ferryOptimize: "fo",
+  selectedCabLegs: "cb",
+  selectedHotelsByIsland: "ho",
+  selectedRentals: "rn",
+  itineraryOverrides: "it",
+  budgetTarget: "bt",
+  budgetMode: "bm",
+  displayCurrency: "cur",
+};
+
+const isRecord = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isScalar = (value) => ["string", "number", "boolean"].includes(typeof value);
+const isId = (value) => typeof value === "string";
+
+// Shape each key must have when read back: lists and maps name the check for
+// their entries, other keys hold a single scalar
+const LIST_ENTRIES = {
+  childAges: isScalar,
+  selectedIslands: isId,
+  selectedLocationIds: isId,
+  selectedAdventureIds: isId,
+  selectedFerryRouteIds: isId,
+  selectedCabLegs: isRecord,
+  selectedRentals: isRecord,
+};
+const MAP_ENTRIES = {
+  adventureOptions: isRecord,
+  ferrySelections: isRecord,
+  selectedHotelsByIsland: isRecord,
+  itineraryOverrides: (keys) => Array.isArray(keys) && keys.every(isId),
+};
+
+/**
+ * Value of `key` from a decoded payload, or undefined when it has the wrong shape.
+ * Lists and maps keep only the entries that fit.
+ */
+function readTripValue(key, value) {
+  if (LIST_ENTRIES[key]) {
+    return Array.isArray(value) ? value.filter(LIST_ENTRIES[key]) : undefined;
+  }
+  if (MAP_ENTRIES[key]) {
+    if (!isRecord(value)) return undefined;
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => MAP_ENTRIES[key](v)));
+  }
+  return isScalar(value) ? value : undefined;
+}
+
+/**
+ * Convert planner state into the compact, versioned form.
+ * selectedAdventureIds ({ id: true }) is stored as a list of ticked ids.
+ */
+export function serializeTrip(state, dataVersion = "") {
+  const out = { v: TRIP_STATE_VERSION, dv: dataVersion };
+
+  Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+    let value = state[key];
+    if (key === "selectedAdventureIds") {
+      value = Object.keys(value || {}).filter((id) => value[id]);
+    }
+    if (value === undefined || value === "" || value === null) return;
+    if (Array.isArray(value) && !value.length) return;
+    if (typeof value === "object" && !Array.isArray(value) && !Object.keys(value).length) return;
+    out[short] = value;
+  });
+
+  return out;
+}
+
+/**
+ * Inverse of serializeTrip. Returns { state, version, dataVersion } or null for
+ * payloads from an unknown (newer) format. Values of the wrong type (e.g. from a
+ * hand-edited link) are dropped, so the planner falls back to its defaults.
+ */
+export function deserializeTrip(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  const version = Number(payload.v) || 0;
+  if (version < 1 || version > TRIP_STATE_VERSION) return null;
+
+  const state = {};
+  Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+    const value = readTripValue(key, payload[short]);
+    if (value !== undefined) state[key] = value;
+  });
+
+  if (state.selectedAdventureIds) {
+    state.selectedAdventureIds = Object.fromEntries(
+      state.selectedAdventureIds.map((id) => [id, true])
+    );
+  }
+
+  return { state, version, dataVersion: isScalar(payload.dv) ? String(payload.dv) : "" };
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const padded = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(padded + "===".slice((padded.length + 3) % 4));
+  const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * "#trip=<base64url JSON>" for the current state
+ */
+export function encodeTripHash(state, dataVersion) {
+  return HASH_PREFIX + toBase64Url(JSON.stringify(serializeTrip(state, dataVersion)));
+}
+
+/**
+ * Decode a location hash produced by encodeTripHash. Returns null if absent or invalid.
+ */
+export function decodeTripHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  try {
+    return deserializeTrip(JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length))));
+  } catch (err) {
+    console.warn("Could not read trip from URL", err);
+    return null;
+  }
+}
+
+function compareVersions(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Bring a saved trip up to the current data.
+ *
+ * - Applies DATA_ID_MIGRATIONS newer than the trip's dataVersion
+ * - Drops selections whose ids no longer exist in the loaded datasets
+ *
+ * `data` holds the loaded datasets ({ islands, locations, adventures, ferryRoutes,
+ * cabLegs, hotels, scooters, bicycles }). Returns { state, notes } where notes explain what changed.
+ */
+export function migrateTripState(saved, data = {}, currentDataVersion = "") {
+  const state = { ...saved.state };
+  const notes = [];
+
+  const renames = {
+    islands: {},
+    locations: {},
+    adventures: {},
+    ferryRoutes: {},
+    cabLegs: {},
+    hotels: {},
+  };
+  DATA_ID_MIGRATIONS.filter(
+    (m) =>
+      compareVersions(m.from, saved.dataVersion || "") >= 0 &&
+      compareVersions(m.to, currentDataVersion) <= 0
+  )
+    .sort((a, b) => compareVersions(a.from, b.from))
+    .forEach((m) => {
+      Object.entries(m.rename || {}).forEach(([dataset, map]) => {
+        Object.assign(renames[dataset] || (renames[dataset] = {}), map);
+      });
+    });
+
+  const rename = (dataset, id) => renames[dataset]?.[id] ?? id;
+  const idsOf = (list) => new Set((list || []).map((x) => x.id));
+  const known = {
+    islands: idsOf(data.islands),
+    locations: idsOf(data.locations),
+    adventures: idsOf(data.adventures),
+    ferryRoutes: idsOf(data.ferryRoutes),
+    cabLegs: idsOf(data.cabLegs),
+    hotels: idsOf(data.hotels),
+  };
+
+  const keepIds = (list, dataset, label) => {
+    const renamed = (list || []).map((id) => rename(dataset, id));
+    const kept = renamed.filter((id) => known[dataset].has(id));
+    if (kept.length < renamed.length) {
+      notes.push(`${renamed.length - kept.length} ${label} no longer available and removed.`);
+    }
+    return kept;
+  };
+
+  if (state.selectedIslands) {
+    state.selectedIslands = keepIds(state.selectedIslands, "islands", "island(s)");
+  }
+  if (state.selectedLocationIds) {
+    state.selectedLocationIds = keepIds(state.selectedLocationIds, "locations", "location(s)");
+  }
+  if (state.selectedAdventureIds) {
+    const ids = keepIds(
+      Object.keys(state.selectedAdventureIds).filter((id) => state.selectedAdventureIds[id]),
+      "adventures",
+      "adventure(s)"
+    );
+    state.selectedAdventureIds = Object.fromEntries(ids.map((id) => [id, true]));
+  }
+  if (state.adventureOptions) {
+    state.adventureOptions = Object.fromEntries(
+      Object.entries(state.adventureOptions)
+        .map(([id, options]) => [rename("adventures", id), options])
+        .filter(([id]) => known.adventures.has(id))
+    );
+  }
+  if (state.selectedFerryRouteIds) {
+    state.selectedFerryRouteIds = keepIds(
+      state.selectedFerryRouteIds,
+      "ferryRoutes",
+      "ferry sector(s)"
+    );
+  }
+  if (state.ferrySelections) {
+    state.ferrySelections = Object.fromEntries(
+      Object.entries(state.ferrySelections)
+        .map(([id, sel]) => [rename("ferryRoutes", id), sel])
+        .filter(([id]) => known.ferryRoutes.has(id))
+    );
+  }
+  if (state.selectedCabLegs) {
+    const legs = state.selectedCabLegs.map((sel) => ({
+      ...sel,
+      legId: rename("cabLegs", sel.legId),
+    }));
+    state.selectedCabLegs = legs.filter((sel) => known.cabLegs.has(sel.legId));
+    if (state.selectedCabLegs.length < legs.length) {
+      notes.push(
+        `${legs.length - state.selectedCabLegs.length} cab leg(s) no longer available and removed.`
+      );
+    }
+  }
+  if (state.selectedHotelsByIsland) {
+    const entries = Object.entries(state.selectedHotelsByIsland).map(([islandId, sel]) => [
+      rename("islands", islandId),
+      { ...sel, hotelId: rename("hotels", sel.hotelId) },
+    ]);
+    const kept = entries.filter(([, sel]) => known.hotels.has(sel.hotelId));
+    if (kept.length < entries.length) {
+      notes.push(`${entries.length - kept.length} hotel(s) no longer available and removed.`);
+    }
+    state.selectedHotelsByIsland = Object.fromEntries(kept);
+  }
+  if (state.selectedRentals) {
+    const rentals = state.selectedRentals.map((r) => ({
+      ...r,
+      islandId: rename("islands", r.islandId),
+    }));
+    const records = { scooter: data.scooters || [], bicycle: data.bicycles || [] };
+    state.selectedRentals = rentals.filter((r) =>
+      (records[r.kind] || []).some((x) => x.islandId === r.islandId && x.model === r.model)
+    );
+    if (state.selectedRentals.length < rentals.length) {
+      notes.push(
+        `${rentals.length - state.selectedRentals.length} rental(s) no longer available and removed.`
+      );
+    }
+  }
+
+  if (saved.dataVersion && currentDataVersion && saved.dataVersion !== currentDataVersion) {
+    notes.unshift(
+      `Trip was saved with data version ${saved.dataVersion}; prices now use ${currentDataVersion}.`
+    );
+  }
+
+  return { state, notes };
+}
+
+/* -----------------------------
+   localStorage
+------------------------------ */
+
+function readStorage(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn("Could not write to localStorage", err);
+    return false;
+  }
+}
+
+export function loadAutosave() {
+  return deserializeTrip(readStorage(AUTOSAVE_KEY, null));
+}
+
+export function saveAutosave(state, dataVersion) {
+  return writeStorage(AUTOSAVE_KEY, serializeTrip(state, dataVersion));
+}
+
+/**
+ * Named trips: [{ id, name, savedAt, payload }], newest first
+ */
+export function listSavedTrips() {
+  const list = readStorage(SAVED_TRIPS_KEY, []);
+  return Array.isArray(list) ? list : [];
+}
+
+export function saveNamedTrip(name, state, dataVersion) {
+  const trimmed = String(name || "").trim() || "Untitled trip";
+  const others = listSavedTrips().filter((t) => t.name !== trimmed);
+  const entry = {
+    id: `trip-${Date.now().toString(36)}`,
+    name: trimmed,
+    savedAt: new Date().toISOString(),
+    payload: serializeTrip(state, dataVersion),
+  };
+  const next = [entry, ...others];
+  writeStorage(SAVED_TRIPS_KEY, next);
+  return next;
+}
+
+export function deleteSavedTrip(id) {
+  const next = listSavedTrips().filter((t) => t.id !== id);
+  writeStorage(SAVED_TRIPS_KEY, next);
+  return next;
+}
+
+/**
+ * Trip variants being compared: { activeId, variants: [{ id, name, saved }] } where
+ * saved is a deserializeTrip result (pass it through migrateTripState before use).
+ */
+export function loadTripVariants() {
+  const stored = readStorage(VARIANTS_KEY, null);
+  if (!stored || !Array.isArray(stored.variants)) return { activeId: null, variants: [] };
+  return {
+    activeId: stored.activeId || null,
+    variants: stored.variants
+      .filter(isRecord)
+      .map((v) => ({ id: v.id, name: v.name, saved: deserializeTrip(v.payload) }))
+      .filter((v) => v.saved),
+  };
+}
+
+export function saveTripVariants(activeId, variants, dataVersion) {
+  return writeStorage(VARIANTS_KEY, {
+    activeId,
+    variants: variants.map((v) => ({
+      id: v.id,
+      name: v.name,
+      payload: serializeTrip(v.state, dataVersion),
+    })),
+  });
+}
@@ -0,0 +1,107 @@
+// src/variantComparison.js
+import { formatVehicleMix } from "./cabPricing";
+import { priceTrip } from "./tripPricing";
+
+/**
+ * Safely coerce to number
+ */
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+
+// Totals shown as money rows, in table order
+const MONEY_ROWS = [
+  { key: "hotels", label: "Hotels" },
+  { key: "ferries", label: "Ferries" },
+  { key: "cabs", label: "Cabs" },
+  { key: "adventures", label: "Adventures" },
+  { key: "rentals", label: "Rentals" },
+  { key: "permits", label: "Permits & tickets" },
+  { key: "taxAmount", label: "Taxes" },
+  { key: "serviceFee", label: "Service fee" },
+  { key: "grandTotal", label: "Grand total" },
+];
+
+function describeVariant(state, priced, data) {
+  const islandName = (id) => (data.islands || []).find((i) => i.id === id)?.name || id;
+  const hotelName = (id) => (data.hotels || []).find((h) => h.id === id)?.name || id;
+  const ferryRoutes = data.ferryRoutes || [];
+
+  return {
+    route: priced.islandOrder.map(islandName).join(" → ") || "–",
+    party: `${priced.nights} nights • ${priced.travellers} traveller(s)`,
+    hotels: priced.islandOrder
+      .filter((id) => priced.hotelQuotes[id])
+      .map((id) => {
+        const sel = state.selectedHotelsByIsland[id];
+        return `${islandName(id)}: ${hotelName(sel.hotelId)} (${sel.nights}n × ${sel.rooms || 1})`;
+      }),
+    ferries: (state.selectedFerryRouteIds || [])
+      .filter((id) => priced.ferryQuotes[id])
+      .map((id) => {
+        const route = ferryRoutes.find((r) => r.id === id);
+        const quote = priced.ferryQuotes[id];
+        return `${route?.from || id} → ${route?.to || ""}: ${quote.operator} ${quote.classLabel}`;
+      }),
+    cabs: priced.cabLines.map(
+      (line) =>
+        `${line.sel.purpose || `${line.leg.fromZone} → ${line.leg.toZone}`} (${formatVehicleMix(
+          line.info.vehicles
+        )})`
+    ),
+    adventures: priced.adventureLines.map((line) => line.adv.name),
+  };
+}
+
+/**
+ * Price trip variants side by side.
+ *
+ * - variants: [{ id, name, state }] with full trip states (see tripPricing.priceTrip)
+ * - Text rows list what each variant books; money rows hold the totals
+ * - A row `differs` when any variant's value is not the same as the first one's
+ *
+ * Returns { columns: [{ id, name, priced }],
+ *           rows: [{ key, label, kind: "text" | "money", values, differs }],
+ *           cheapestId }
+ */
+export function buildVariantComparison(variants = [], data = {}, pricingConfig = {}) {
+  const columns = variants.map((v) => {
+    const priced = priceTrip(v.state, data, pricingConfig);
+    return { id: v.id, name: v.name, priced, details: describeVariant(v.state, priced, data) };
+  });
+
+  const textRow = (key, label) => {
+    const values = columns.map((c) => c.details[key]);
+    const flat = values.map((v) => (Array.isArray(v) ? v.join("\n") : v));
+    return { key, label, kind: "text", values, differs: flat.some((v) => v !== flat[0]) };
+  };
+  const moneyRow = ({ key, label }) => {
+    const values = columns.map((c) => num(c.priced.totals[key]));
+    return {
+      key,
+      label,
+      kind: "money",
+      values,
+      differs: values.some((v) => Math.abs(v - values[0]) >= 0.5),
+    };
+  };
+
+  const rows = [
+    textRow("route", "Route"),
+    textRow("party", "Trip"),
+    textRow("hotels", "Hotels"),
+    textRow("ferries", "Ferries"),
+    textRow("cabs", "Cabs"),
+    textRow("adventures", "Adventures"),
+    ...MONEY_ROWS.map(moneyRow),
+  ];
+
+  const cheapest = columns.reduce(
+    (best, c) => (!best || c.priced.totals.grandTotal < best.priced.totals.grandTotal ? c : best),
+    null
+  );
+
+  return {
+    columns: columns.map(({ id, name, priced }) => ({ id, name, priced })),
+    rows,
+    cheapestId: cheapest?.id || null,
+  };
+}
@@ -1,9 +1,11 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import mockLeadEndpoint from "./mock/leadEndpoint.js";
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // mockLeadEndpoint only runs under `vite` / `vite preview`, never in the build
+  plugins: [react(), mockLeadEndpoint()],
   base: "/",           // important for Vercel / Netlify
   build: {
     outDir: "dist"